@@ -40,13 +40,36 @@ const initializeDatabase = async () => {
         // Import models
         const Session = require('../models/Session');
         const Message = require('../models/Message');
+        const MessageReceipt = require('../models/MessageReceipt');
         const Contact = require('../models/Contact');
         const Webhook = require('../models/Webhook');
+        const AuthState = require('../models/AuthState');
+        const ApiKey = require('../models/ApiKey');
+        const AdminUser = require('../models/AdminUser');
+        const StoreChat = require('../models/StoreChat');
+        const StoreContact = require('../models/StoreContact');
+        const StoreMessage = require('../models/StoreMessage');
+        const CallLog = require('../models/CallLog');
+        const ReconnectAttempt = require('../models/ReconnectAttempt');
+        const QueuedMessage = require('../models/QueuedMessage');
+        const ScheduledMessage = require('../models/ScheduledMessage');
+        const ScheduleRun = require('../models/ScheduleRun');
+        const Campaign = require('../models/Campaign');
+        const CampaignRecipient = require('../models/CampaignRecipient');
+        const MessageTemplate = require('../models/MessageTemplate');
+        const IdempotencyKey = require('../models/IdempotencyKey');
 
         // Sync database
         await sequelize.sync({ alter: true });
         logger.info('Database synchronized successfully');
 
+        // Index full-text untuk search pesan, tanpa FTS5 search tetap jalan dengan LIKE
+        try {
+            await Message.setupFullTextSearch();
+        } catch (error) {
+            logger.warn('Full-text search index unavailable, message search falls back to LIKE:', { error: error.message });
+        }
+
         return true;
     } catch (error) {
         logger.error('Error initializing database:', error);
@@ -17,7 +17,28 @@ const defaultConfig = {
         readMessageDelay: parseInt(process.env.DEFAULT_READ_MESSAGE_DELAY) || 3000,
         showTyping: process.env.DEFAULT_SHOW_TYPING === 'true',
         autoRead: process.env.DEFAULT_AUTO_READ === 'true',
-        checkNumber: process.env.DEFAULT_CHECK_NUMBER === 'true'
+        checkNumber: process.env.DEFAULT_CHECK_NUMBER === 'true',
+        authStore: process.env.DEFAULT_AUTH_STORE || 'file', // file | database
+        callPolicy: {
+            action: process.env.DEFAULT_CALL_ACTION || 'reject', // ignore | reject | reject_reply
+            replyMessage: process.env.DEFAULT_CALL_REPLY || 'Maaf, kami tidak menerima panggilan. Silakan kirim pesan.',
+            blockRepeatCallers: process.env.DEFAULT_CALL_BLOCK_REPEAT === 'true',
+            blockThreshold: parseInt(process.env.DEFAULT_CALL_BLOCK_THRESHOLD) || 3, // jumlah panggilan dalam window
+            blockWindow: parseInt(process.env.DEFAULT_CALL_BLOCK_WINDOW) || 600000 // ms
+        },
+        // Opsi socket Baileys, bisa di-override per session lewat config.socket
+        socket: {
+            browser: ['WhatsApp API', 'Chrome', '10.15.7'], // [client, browser, versi]
+            markOnlineOnConnect: process.env.DEFAULT_MARK_ONLINE === 'true',
+            syncFullHistory: process.env.DEFAULT_SYNC_FULL_HISTORY === 'true',
+            connectTimeoutMs: parseInt(process.env.DEFAULT_CONNECT_TIMEOUT) || 60000,
+            defaultQueryTimeoutMs: parseInt(process.env.DEFAULT_QUERY_TIMEOUT) || 60000,
+            keepAliveIntervalMs: parseInt(process.env.DEFAULT_KEEP_ALIVE_INTERVAL) || 30000,
+            retryRequestDelayMs: 5000,
+            maxMsgRetryCount: 3,
+            generateHighQualityLinkPreview: true,
+            proxyUrl: process.env.DEFAULT_PROXY_URL || null // http(s)://, socks4://, socks5://
+        }
     },
 
     database: {
@@ -33,19 +54,46 @@ const defaultConfig = {
 
     security: {
         rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
-        rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+        rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+        // Scope yang bisa diberikan ke API key
+        apiKeyScopes: [
+            'messages:send',
+            'messages:read',
+            'groups:manage',
+            'sessions:admin',
+            'webhooks:manage'
+        ]
+    },
+
+    admin: {
+        // Tanpa JWT_SECRET yang kuat login admin user dan autentikasi JWT dinonaktifkan
+        jwtSecret: process.env.JWT_SECRET || null,
+        accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+        refreshTokenTtl: process.env.JWT_REFRESH_TTL || '7d',
+        // Akun admin pertama dibuat otomatis jika tabel admin_users masih kosong
+        username: process.env.ADMIN_USERNAME || null,
+        password: process.env.ADMIN_PASSWORD || null
     },
 
     media: {
         maxFileSize: process.env.MAX_FILE_SIZE || '50MB',
-        uploadPath: process.env.UPLOAD_PATH || './data/uploads'
+        uploadPath: process.env.UPLOAD_PATH || './data/uploads',
+        // Batas waktu unduh mediaUrl pada send-media
+        urlTimeout: parseInt(process.env.MEDIA_URL_TIMEOUT) || 30000
     },
 
     session: {
         path: process.env.SESSION_PATH || './data/sessions',
         timeout: parseInt(process.env.SESSION_TIMEOUT) || 300000,
         maxReconnectAttempts: parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 5,
-        reconnectInterval: parseInt(process.env.RECONNECT_INTERVAL) || 5000
+        reconnectInterval: parseInt(process.env.RECONNECT_INTERVAL) || 5000, // base delay backoff
+        reconnectMaxDelay: parseInt(process.env.RECONNECT_MAX_DELAY) || 300000,
+        // Session RECONNECT_EXHAUSTED dicoba lagi setiap interval ini
+        circuitBreakerInterval: parseInt(process.env.CIRCUIT_BREAKER_INTERVAL) || 1800000,
+        // Boot session saat server start dan bulk connect/disconnect
+        bootConcurrency: parseInt(process.env.BOOT_CONCURRENCY) || 5,
+        bootStagger: parseInt(process.env.BOOT_STAGGER_MS) || 1000,
+        watchdogInterval: parseInt(process.env.WATCHDOG_INTERVAL) || 15000
     },
 
     webhook: {
@@ -54,8 +102,42 @@ const defaultConfig = {
         retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000
     },
 
+    queue: {
+        // Interval pengecekan pesan antrian yang jatuh tempo
+        pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 5000,
+        // Media antrian disimpan di luar uploads (tidak dilayani /media dan tidak ikut cleanup)
+        spoolPath: process.env.QUEUE_SPOOL_PATH || './data/spool',
+        // Retry otomatis untuk error sementara, jeda dobel tiap percobaan sampai retryMaxDelay
+        maxRetries: parseInt(process.env.QUEUE_MAX_RETRIES) || 3,
+        retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY) || 30000,
+        retryMaxDelay: parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 900000,
+        // Lama media pesan FAILED disimpan untuk retry manual sebelum dihapus
+        failedMediaRetention: parseInt(process.env.QUEUE_FAILED_MEDIA_RETENTION) || 604800000
+    },
+
+    campaign: {
+        // Jeda default antar penerima, bisa diatur per campaign
+        defaultDelay: parseInt(process.env.CAMPAIGN_DEFAULT_DELAY) || 5000,
+        maxRecipients: parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000
+    },
+
+    idempotency: {
+        // Lama respons pertama disimpan per Idempotency-Key
+        ttl: parseInt(process.env.IDEMPOTENCY_TTL) || 86400000,
+        // Request yang tidak pernah selesai (mis. server mati) melepas key setelah batas ini
+        lockTimeout: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT) || 300000
+    },
+
+    store: {
+        // Batas cache in-memory per session, data lengkap ada di database
+        hotChats: parseInt(process.env.STORE_HOT_CHATS) || 100,
+        hotMessagesPerChat: parseInt(process.env.STORE_HOT_MESSAGES) || 25,
+        hotPresences: parseInt(process.env.STORE_HOT_PRESENCES) || 500
+    },
+
     qr: {
-        timeout: parseInt(process.env.QR_TIMEOUT) || 60000
+        timeout: parseInt(process.env.QR_TIMEOUT) || 60000,
+        maxRegenerations: parseInt(process.env.QR_MAX_REGENERATIONS) || 0
     }
 };
 
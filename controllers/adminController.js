@@ -0,0 +1,252 @@
+const apiKeyService = require('../services/apiKeyService');
+const adminUserService = require('../services/adminUserService');
+const { logger } = require('../utils/logger');
+
+class AdminController {
+
+    /**
+     * Login admin user
+     * POST /api/admin/login
+     */
+    async login(req, res) {
+        try {
+            const { username, password } = req.body;
+
+            const result = await adminUserService.login(username, password);
+            if (!result) {
+                logger.warn('Failed admin login attempt', { username, ip: req.ip });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid username or password'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Error in login:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Refresh access token
+     * POST /api/admin/refresh
+     */
+    async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            const tokens = await adminUserService.refresh(refreshToken);
+            if (!tokens) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired refresh token'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Token refreshed',
+                data: tokens
+            });
+
+        } catch (error) {
+            logger.error('Error in refresh:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Create admin user
+     * POST /api/admin/users
+     */
+    async createUser(req, res) {
+        try {
+            const user = await adminUserService.createUser(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: user.getSummary()
+            });
+
+        } catch (error) {
+            if (error.message.includes('sudah ada')) {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Error in createUser:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get semua admin user
+     * GET /api/admin/users
+     */
+    async listUsers(req, res) {
+        try {
+            const users = await adminUserService.listUsers();
+
+            res.json({
+                success: true,
+                message: 'Users retrieved',
+                data: {
+                    total: users.length,
+                    users
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in listUsers:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Nonaktifkan admin user
+     * DELETE /api/admin/users/:userId
+     */
+    async deactivateUser(req, res) {
+        try {
+            const { userId } = req.params;
+
+            if (req.adminUser && req.adminUser.id === userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'You cannot deactivate your own account'
+                });
+            }
+
+            const user = await adminUserService.deactivateUser(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'User deactivated successfully',
+                data: user
+            });
+
+        } catch (error) {
+            logger.error('Error in deactivateUser:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Create API key baru
+     * POST /api/admin/keys
+     */
+    async createApiKey(req, res) {
+        try {
+            const { name, scopes } = req.body;
+
+            const { key, apiKey } = await apiKeyService.createKey(name, scopes);
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created. Store it now, it will not be shown again',
+                data: {
+                    ...apiKey.getSummary(),
+                    key
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in createApiKey:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get semua API key
+     * GET /api/admin/keys
+     */
+    async listApiKeys(req, res) {
+        try {
+            const keys = await apiKeyService.listKeys();
+
+            res.json({
+                success: true,
+                message: 'API keys retrieved',
+                data: {
+                    total: keys.length,
+                    active: keys.filter(k => k.isActive).length,
+                    keys
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in listApiKeys:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cabut API key
+     * DELETE /api/admin/keys/:keyId
+     */
+    async revokeApiKey(req, res) {
+        try {
+            const { keyId } = req.params;
+
+            const key = await apiKeyService.revokeKey(keyId);
+            if (!key) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'API key revoked successfully',
+                data: key
+            });
+
+        } catch (error) {
+            logger.error('Error in revokeApiKey:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new AdminController();
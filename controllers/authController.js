@@ -4,9 +4,53 @@ const qrcode = require('qrcode');
 
 const sessionManager = require('../services/sessionManager');
 const whatsappService = require('../services/whatsappService');
+const sessionTransferService = require('../services/sessionTransferService');
+const sessionBootService = require('../services/sessionBootService');
 const { logger, logWithSession } = require('../utils/logger');
 const { validateConfig } = require('../config/default');
 
+/**
+ * Mulai bulk job, dijalankan di background dan dipantau lewat GET /api/auth/bulk/:jobId
+ */
+const startBulkJob = async (req, res, type) => {
+    try {
+        const { sessionIds, all = false, concurrency } = req.body;
+
+        const targetIds = all ? sessionManager.getAccessibleSessionIds(req.apiKey) : sessionIds;
+        const notFound = targetIds.filter(sessionId =>
+            !sessionManager.hasSession(sessionId) || !sessionManager.canAccessSession(sessionId, req.apiKey)
+        );
+
+        if (notFound.length > 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found',
+                sessionIds: notFound
+            });
+        }
+
+        const options = { concurrency, ownerKeyId: req.apiKey?.id };
+        const job = type === 'connect'
+            ? sessionBootService.bulkConnect(targetIds, options)
+            : sessionBootService.bulkDisconnect(targetIds, options);
+
+        logger.info(`Bulk ${type} started via API`, { jobId: job.id, total: job.total });
+
+        res.status(202).json({
+            success: true,
+            message: `Bulk ${type} started`,
+            data: sessionBootService.getJob(job.id)
+        });
+
+    } catch (error) {
+        logger.error(`Error in bulk ${type}:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 class AuthController {
 
     /**
@@ -30,7 +74,7 @@ class AuthController {
             }
 
             // Buat session
-            const newSessionId = sessionManager.createSession(sessionId, config);
+            const newSessionId = await sessionManager.createSession(sessionId, config, req.apiKey?.id);
 
             logWithSession('info', 'Session created via API', newSessionId);
 
@@ -39,7 +83,7 @@ class AuthController {
                 message: 'Session created successfully',
                 data: {
                     sessionId: newSessionId,
-                    config: sessionManager.getSessionConfig(newSessionId),
+                    config: sessionManager.getPublicSessionConfig(newSessionId),
                     state: sessionManager.getSessionState(newSessionId)
                 }
             });
@@ -78,7 +122,12 @@ class AuthController {
             // Cek apakah session sudah ada
             if (!sessionManager.hasSession(sessionId)) {
                 // Buat session baru jika belum ada
-                sessionManager.createSession(sessionId, config);
+                await sessionManager.createSession(sessionId, config, req.apiKey?.id);
+            } else if (!sessionManager.canAccessSession(sessionId, req.apiKey)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
             } else {
                 // Update config jika session sudah ada
                 if (Object.keys(config).length > 0) {
@@ -196,6 +245,111 @@ class AuthController {
         }
     }
 
+    /**
+     * Stream QR code dan status login lewat Server-Sent Events
+     * GET /api/auth/qr/:sessionId/stream
+     */
+    async streamQRCode(req, res) {
+        const { sessionId } = req.params;
+
+        // Status yang mengakhiri stream dengan event expired
+        const expiredStates = ['QR_EXPIRED', 'STALLED', 'BANNED', 'DISCONNECTED', 'RECONNECT_EXHAUSTED', 'LOGGED_OUT'];
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform', // no-transform agar compression tidak menahan event
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify({ sessionId, ...data })}\n\n`);
+        };
+
+        const onQR = (id, qr) => {
+            if (id === sessionId) {
+                send('qr', { qr, state: sessionManager.getSessionState(sessionId) });
+            }
+        };
+
+        const onPairingCode = (id, pairingCode) => {
+            if (id === sessionId) {
+                send('pairing_code', { pairingCode });
+            }
+        };
+
+        const onPaired = (id) => {
+            if (id === sessionId) {
+                send('paired', {});
+            }
+        };
+
+        const onState = (id, state) => {
+            if (id !== sessionId) {
+                return;
+            }
+
+            if (state === 'CONNECTED') {
+                send('connected', { state, user: sessionManager.getSession(sessionId)?.user || null });
+                close();
+            } else if (expiredStates.includes(state)) {
+                send('expired', { state });
+                close();
+            } else {
+                send('state', { state });
+            }
+        };
+
+        const onDeleted = (id) => {
+            if (id === sessionId) {
+                send('expired', { state: 'DELETED' });
+                close();
+            }
+        };
+
+        // Komentar SSE agar proxy tidak memutus koneksi idle
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        let closed = false;
+        const close = () => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+
+            clearInterval(heartbeat);
+            whatsappService.off('qr', onQR);
+            whatsappService.off('pairing_code', onPairingCode);
+            whatsappService.off('paired', onPaired);
+            sessionManager.off('state', onState);
+            sessionManager.off('deleted', onDeleted);
+            res.end();
+        };
+
+        whatsappService.on('qr', onQR);
+        whatsappService.on('pairing_code', onPairingCode);
+        whatsappService.on('paired', onPaired);
+        sessionManager.on('state', onState);
+        sessionManager.on('deleted', onDeleted);
+        req.on('close', close);
+
+        logWithSession('info', 'QR stream opened', sessionId);
+
+        // Kirim kondisi saat ini
+        const state = sessionManager.getSessionState(sessionId);
+        if (state === 'CONNECTED') {
+            onState(sessionId, state);
+            return;
+        }
+
+        send('state', { state });
+
+        const qrPath = path.join(sessionManager.getSessionPath(sessionId), 'qr.png');
+        if (state === 'QR_GENERATED' && fs.existsSync(qrPath)) {
+            send('qr', { qr: `data:image/png;base64,${fs.readFileSync(qrPath).toString('base64')}`, state });
+        }
+    }
+
     /**
      * Get session status
      * GET /api/auth/status/:sessionId
@@ -212,7 +366,7 @@ class AuthController {
             }
 
             const state = sessionManager.getSessionState(sessionId);
-            const config = sessionManager.getSessionConfig(sessionId);
+            const config = sessionManager.getPublicSessionConfig(sessionId);
             const sock = sessionManager.getSession(sessionId);
 
             const responseData = {
@@ -274,13 +428,8 @@ class AuthController {
                 });
             }
 
-            const sock = sessionManager.getSession(sessionId);
-
-            if (sock && sock.end) {
-                await sock.end();
-            }
-
-            sessionManager.setSessionState(sessionId, 'DISCONNECTED');
+            // Sama dengan bulk disconnect: tanpa reconnect otomatis, reconnect terjadwal dibatalkan
+            await whatsappService.closeConnection(sessionId, 'DISCONNECTED');
 
             logWithSession('info', 'Session disconnected via API', sessionId);
 
@@ -356,21 +505,72 @@ class AuthController {
         }
     }
 
+    /**
+     * Connect banyak session lewat boot orchestrator
+     * POST /api/auth/bulk-connect
+     */
+    async bulkConnect(req, res) {
+        return startBulkJob(req, res, 'connect');
+    }
+
+    /**
+     * Disconnect banyak session lewat boot orchestrator
+     * POST /api/auth/bulk-disconnect
+     */
+    async bulkDisconnect(req, res) {
+        return startBulkJob(req, res, 'disconnect');
+    }
+
+    /**
+     * Get progress bulk job
+     * GET /api/auth/bulk/:jobId
+     */
+    async getBulkJob(req, res) {
+        try {
+            const job = sessionBootService.getJob(req.params.jobId, req.apiKey);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: job
+            });
+
+        } catch (error) {
+            logger.error('Error in getBulkJob:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Get all sessions
      * GET /api/auth/sessions
      */
     async getAllSessions(req, res) {
         try {
-            const sessions = sessionManager.getAllSessionsInfo();
+            const { limit, offset } = req.query;
+            const { sessions, total, connected } = sessionManager.querySessions(req.apiKey, req.query);
 
             res.json({
                 success: true,
                 message: 'Sessions retrieved',
                 data: {
-                    total: sessions.length,
-                    connected: sessions.filter(s => s.connected).length,
-                    sessions: sessions
+                    total,
+                    connected,
+                    sessions: sessions,
+                    pagination: {
+                        limit,
+                        offset,
+                        hasMore: offset + sessions.length < total
+                    }
                 }
             });
 
@@ -425,7 +625,7 @@ class AuthController {
                 message: 'Session config updated successfully',
                 data: {
                     sessionId: sessionId,
-                    config: sessionManager.getSessionConfig(sessionId)
+                    config: sessionManager.getPublicSessionConfig(sessionId)
                 }
             });
 
@@ -469,7 +669,7 @@ class AuthController {
             }
 
             // Request pairing code
-            const pairingCode = await sock.requestPairingCode(phoneNumber);
+            const pairingCode = await whatsappService.requestPairingCode(sessionId, phoneNumber);
 
             logWithSession('info', 'Pairing code requested via API', sessionId, { phoneNumber });
 
@@ -600,6 +800,120 @@ class AuthController {
             });
         }
     }
+
+    /**
+     * Export session menjadi bundle terenkripsi
+     * GET /api/auth/session/:sessionId/export
+     */
+    async exportSession(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const passphrase = req.get('x-bundle-passphrase');
+
+            if (!passphrase) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'X-Bundle-Passphrase header is required'
+                });
+            }
+
+            if (!sessionManager.hasSession(sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            const bundle = await sessionTransferService.exportSession(sessionId, passphrase);
+
+            logWithSession('info', 'Session exported via API', sessionId);
+
+            res.setHeader('Content-Type', 'application/octet-stream');
+            res.setHeader('Content-Disposition', `attachment; filename="${sessionId}.wabundle"`);
+            res.send(bundle);
+
+        } catch (error) {
+            if (error.message.includes('Passphrase')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Error in exportSession:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Import session dari bundle terenkripsi
+     * POST /api/auth/session/import
+     */
+    async importSession(req, res) {
+        try {
+            const { passphrase, sessionId, connect } = req.body;
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'bundle file is required'
+                });
+            }
+
+            if (!passphrase) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'passphrase is required'
+                });
+            }
+
+            const result = await sessionTransferService.importSession(req.file.buffer, passphrase, {
+                sessionId,
+                ownerKeyId: req.apiKey?.id
+            });
+
+            // Langsung connect jika diminta
+            if (connect === true || connect === 'true') {
+                await whatsappService.createConnection(result.sessionId, result.config);
+            }
+
+            logWithSession('info', 'Session imported via API', result.sessionId);
+
+            res.json({
+                success: true,
+                message: 'Session imported successfully',
+                data: {
+                    ...result,
+                    config: sessionManager.getPublicSessionConfig(result.sessionId),
+                    state: sessionManager.getSessionState(result.sessionId)
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('sudah ada')) {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (error.message.includes('Passphrase') || error.message.includes('session bundle')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            logger.error('Error in importSession:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
 }
 
-module.exports = new AuthController();
\ No newline at end of file
+module.exports = new AuthController();
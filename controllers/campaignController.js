@@ -0,0 +1,197 @@
+const campaignService = require('../services/campaignService');
+const { logger, logWithSession } = require('../utils/logger');
+
+/**
+ * Normalisasi field array yang bisa dikirim sebagai string dipisah koma
+ */
+const toList = (value) => {
+    if (!value) {
+        return [];
+    }
+
+    return Array.isArray(value) ? value : value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Jalankan aksi status campaign (pause, resume, cancel) dengan respons seragam
+ */
+const changeStatus = async (req, res, action, message) => {
+    try {
+        const { sessionId, campaignId } = req.params;
+        const campaign = await campaignService[action](sessionId, campaignId);
+
+        res.json({
+            success: true,
+            message,
+            data: campaign
+        });
+
+    } catch (error) {
+        logger.error(`Error in ${action}:`, error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+class CampaignController {
+
+    /**
+     * Buat campaign broadcast dan jalankan di background
+     * POST /api/campaign
+     */
+    async createCampaign(req, res) {
+        try {
+            const { sessionId, numbers, tags, ...data } = req.body;
+            const files = req.files || {};
+
+            const campaign = await campaignService.createCampaign(sessionId, {
+                ...data,
+                numbers: toList(numbers),
+                tags: toList(tags)
+            }, {
+                media: files.media?.[0],
+                csv: files.recipients?.[0]
+            });
+
+            logWithSession('info', 'Campaign created via API', sessionId, {
+                campaignId: campaign.id,
+                recipients: campaign.progress.total
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Campaign started',
+                data: campaign
+            });
+
+        } catch (error) {
+            logger.error('Error in createCampaign:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message,
+                details: error.details || undefined
+            });
+        }
+    }
+
+    /**
+     * Get daftar campaign session
+     * GET /api/campaign/:sessionId
+     */
+    async listCampaigns(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const { campaigns, total } = await campaignService.listCampaigns(sessionId, {
+                status,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            res.json({
+                success: true,
+                message: 'Campaigns retrieved',
+                data: {
+                    campaigns,
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + campaigns.length < total
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in listCampaigns:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get campaign beserta progress
+     * GET /api/campaign/:sessionId/:campaignId
+     */
+    async getCampaign(req, res) {
+        try {
+            const { sessionId, campaignId } = req.params;
+            const campaign = await campaignService.getCampaign(sessionId, campaignId);
+
+            res.json({
+                success: true,
+                message: 'Campaign retrieved',
+                data: campaign
+            });
+
+        } catch (error) {
+            logger.error('Error in getCampaign:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get status per penerima
+     * GET /api/campaign/:sessionId/:campaignId/recipients
+     */
+    async getRecipients(req, res) {
+        try {
+            const { sessionId, campaignId } = req.params;
+            const { status, limit = 100, offset = 0 } = req.query;
+
+            const { recipients, total } = await campaignService.getRecipients(sessionId, campaignId, {
+                status,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            res.json({
+                success: true,
+                message: 'Campaign recipients retrieved',
+                data: {
+                    recipients,
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + recipients.length < total
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in getRecipients:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * POST /api/campaign/:sessionId/:campaignId/pause
+     */
+    async pauseCampaign(req, res) {
+        return changeStatus(req, res, 'pauseCampaign', 'Campaign paused');
+    }
+
+    /**
+     * POST /api/campaign/:sessionId/:campaignId/resume
+     */
+    async resumeCampaign(req, res) {
+        return changeStatus(req, res, 'resumeCampaign', 'Campaign resumed');
+    }
+
+    /**
+     * POST /api/campaign/:sessionId/:campaignId/cancel
+     */
+    async cancelCampaign(req, res) {
+        return changeStatus(req, res, 'cancelCampaign', 'Campaign cancelled');
+    }
+}
+
+module.exports = new CampaignController();
@@ -63,12 +63,12 @@ class ContactController {
             const whatsappService = require('../services/whatsappService');
             const store = whatsappService.getStore(sessionId);
 
-            if (store && store.contacts) {
+            if (store) {
                 // Merge with live WhatsApp data
-                const liveContacts = Object.values(store.contacts);
+                const { contacts: liveContacts } = await store.getContacts({ limit: 100 }); // Limit to avoid performance issues
 
                 // Update database with latest info
-                for (const liveContact of liveContacts.slice(0, 100)) { // Limit to avoid performance issues
+                for (const liveContact of liveContacts) {
                     try {
                         await Contact.findOrCreate({
                             where: { sessionId, jid: liveContact.id },
@@ -209,11 +209,11 @@ class ContactController {
             const whatsappService = require('../services/whatsappService');
             const store = whatsappService.getStore(sessionId);
 
-            if (!store || !store.contacts) {
+            if (!store) {
                 throw createError.api('WhatsApp store not available', 400);
             }
 
-            const liveContacts = Object.values(store.contacts);
+            const { contacts: liveContacts } = await store.getContacts({ limit: null });
             let synced = 0;
             let updated = 0;
             let errors = 0;
@@ -423,7 +423,7 @@ class ContactController {
             // Get current presence from store
             const whatsappService = require('../services/whatsappService');
             const store = whatsappService.getStore(sessionId);
-            const presence = store?.presences?.[targetJid] || null;
+            const presence = store?.getPresence(targetJid) || null;
 
             // Update contact in database
             const contact = await Contact.findByJid(sessionId, targetJid);
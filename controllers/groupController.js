@@ -679,13 +679,13 @@ class GroupController {
             const whatsappService = require('../services/whatsappService');
             const store = whatsappService.getStore(sessionId);
 
-            if (!store || !store.chats) {
+            if (!store) {
                 throw createError.api('WhatsApp store not available', 400);
             }
 
-            // Get all chats and filter groups
-            let groups = Object.values(store.chats)
-                .filter(chat => chat.id.endsWith('@g.us'))
+            // Get all group chats (filter di bawah dilakukan in-memory)
+            const { chats } = await store.getChats({ type: 'group', limit: null });
+            let groups = chats
                 .map(group => ({
                     id: group.id,
                     name: group.name || 'Unknown Group',
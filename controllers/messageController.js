@@ -1,5 +1,9 @@
 const messageService = require('../services/messageService');
 const sessionManager = require('../services/sessionManager');
+const templateService = require('../services/templateService');
+const messageLogService = require('../services/messageLogService');
+const exportService = require('../services/exportService');
+const mediaService = require('../services/mediaService');
 const { logger, logWithSession } = require('../utils/logger');
 const { formatMultiplePhones, isValidPhoneNumber } = require('../utils/phoneFormatter');
 
@@ -11,17 +15,17 @@ class MessageController {
      */
     async sendText(req, res) {
         try {
-            const { sessionId, to, text, options = {} } = req.body;
+            const { sessionId, to, text, template, variables = {}, priority = 0, options = {} } = req.body;
 
             // Validasi input
-            if (!sessionId || !to || !text) {
+            if (!sessionId || !to || (!text && !template)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'sessionId, to, and text are required'
+                    error: 'sessionId, to, and text or template are required'
                 });
             }
 
-            // Cek apakah session exist dan terhubung
+            // Cek apakah session exist (pesan tetap diantrikan walau session terputus)
             if (!sessionManager.hasSession(sessionId)) {
                 return res.status(404).json({
                     success: false,
@@ -29,13 +33,6 @@ class MessageController {
                 });
             }
 
-            if (!sessionManager.isSessionConnected(sessionId)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Session not connected'
-                });
-            }
-
             // Validasi nomor telepon
             const recipients = Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
             const invalidNumbers = recipients.filter(phone => !isValidPhoneNumber(phone));
@@ -48,25 +45,37 @@ class MessageController {
                 });
             }
 
-            // Send message
-            const result = await messageService.sendTextMessage(sessionId, recipients, text, options);
+            // Template dirender per penerima, gagal sebelum ada yang diantrikan jika variabel kurang
+            const texts = template
+                ? await templateService.renderTemplateFor(sessionId, template, recipients, variables)
+                : null;
+
+            // Masukkan ke antrian, dikirim worker session
+            const result = await messageService.enqueueMessages(
+                sessionId,
+                'text',
+                recipients,
+                texts ? recipient => ({ text: texts.get(recipient), options }) : { text, options },
+                { priority }
+            );
 
-            logWithSession('info', 'Text message sent via API', sessionId, {
+            logWithSession('info', 'Text message queued via API', sessionId, {
                 to: recipients,
-                success: result.success
+                batchId: result.batchId
             });
 
-            res.json({
-                success: result.success,
-                message: 'Text message sent',
-                data: result.results
+            res.status(202).json({
+                success: true,
+                message: 'Text message queued',
+                data: result
             });
 
         } catch (error) {
             logger.error('Error in sendText:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                error: error.message
+                error: error.message,
+                details: error.details || undefined
             });
         }
     }
@@ -77,13 +86,13 @@ class MessageController {
      */
     async sendMedia(req, res) {
         try {
-            const { sessionId, to, type, caption, fileName, options = {} } = req.body;
+            const { sessionId, to, type, caption, template, variables = {}, fileName, mediaUrl, priority = 0, options = {} } = req.body;
 
             // Validasi input
-            if (!sessionId || !to || !type || !req.file) {
+            if (!sessionId || !to || !type || (!req.file && !mediaUrl)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'sessionId, to, type, and media file are required'
+                    error: 'sessionId, to, type, and media file or mediaUrl are required'
                 });
             }
 
@@ -104,13 +113,6 @@ class MessageController {
                 });
             }
 
-            if (!sessionManager.isSessionConnected(sessionId)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Session not connected'
-                });
-            }
-
             // Validasi nomor telepon
             const recipients = Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
             const invalidNumbers = recipients.filter(phone => !isValidPhoneNumber(phone));
@@ -123,41 +125,62 @@ class MessageController {
                 });
             }
 
+            // Media dari URL diunduh server lalu disiapkan untuk WhatsApp (resize gambar, batas ukuran)
+            let file = req.file;
+            if (!file) {
+                const downloaded = await mediaService.fetchMediaFromUrl(mediaUrl, type.toLowerCase());
+                const processed = await mediaService.processForWhatsApp(downloaded, type.toLowerCase());
+                file = {
+                    buffer: processed.buffer,
+                    originalname: processed.fileName,
+                    mimetype: processed.mimeType
+                };
+            }
+
             // Prepare media options
             const mediaOptions = {
                 caption: caption || '',
-                fileName: fileName || req.file.originalname,
-                mimeType: req.file.mimetype,
+                fileName: fileName || file.originalname,
+                mimeType: file.mimetype,
                 ...options
             };
 
-            // Send media message
-            const result = await messageService.sendMediaMessage(
+            // Caption dari template dirender per penerima sebelum diantrikan
+            const captions = template
+                ? await templateService.renderTemplateFor(sessionId, template, recipients, variables)
+                : null;
+
+            const payload = { mediaType: type.toLowerCase(), options: mediaOptions };
+
+            // Masukkan ke antrian, file media disimpan ke disk sampai terkirim
+            const result = await messageService.enqueueMessages(
                 sessionId,
+                'media',
                 recipients,
-                req.file.buffer,
-                type,
-                mediaOptions
+                captions ? recipient => ({ ...payload, options: { ...mediaOptions, caption: captions.get(recipient) } }) : payload,
+                { priority: parseInt(priority) || 0, media: file.buffer }
             );
 
-            logWithSession('info', 'Media message sent via API', sessionId, {
+            logWithSession('info', 'Media message queued via API', sessionId, {
                 to: recipients,
                 type: type,
-                fileName: req.file.originalname,
-                success: result.success
+                fileName: file.originalname,
+                mediaUrl: mediaUrl || undefined,
+                batchId: result.batchId
             });
 
-            res.json({
-                success: result.success,
-                message: 'Media message sent',
-                data: result.results
+            res.status(202).json({
+                success: true,
+                message: 'Media message queued',
+                data: result
             });
 
         } catch (error) {
             logger.error('Error in sendMedia:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                error: error.message
+                error: error.message,
+                details: error.details || undefined
             });
         }
     }
@@ -168,7 +191,7 @@ class MessageController {
      */
     async sendLocation(req, res) {
         try {
-            const { sessionId, to, latitude, longitude, name, address, options = {} } = req.body;
+            const { sessionId, to, latitude, longitude, name, address, priority = 0, options = {} } = req.body;
 
             // Validasi input
             if (!sessionId || !to || latitude === undefined || longitude === undefined) {
@@ -201,13 +224,6 @@ class MessageController {
                 });
             }
 
-            if (!sessionManager.isSessionConnected(sessionId)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Session not connected'
-                });
-            }
-
             // Validasi nomor telepon
             const recipients = Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
             const invalidNumbers = recipients.filter(phone => !isValidPhoneNumber(phone));
@@ -220,32 +236,32 @@ class MessageController {
                 });
             }
 
-            // Send location message
+            // Queue location message
             const locationOptions = {
                 name: name || '',
                 address: address || '',
                 ...options
             };
 
-            const result = await messageService.sendLocationMessage(
+            const result = await messageService.enqueueMessages(
                 sessionId,
+                'location',
                 recipients,
-                latitude,
-                longitude,
-                locationOptions
+                { latitude, longitude, options: locationOptions },
+                { priority }
             );
 
-            logWithSession('info', 'Location message sent via API', sessionId, {
+            logWithSession('info', 'Location message queued via API', sessionId, {
                 to: recipients,
                 latitude: latitude,
                 longitude: longitude,
-                success: result.success
+                batchId: result.batchId
             });
 
-            res.json({
-                success: result.success,
-                message: 'Location message sent',
-                data: result.results
+            res.status(202).json({
+                success: true,
+                message: 'Location message queued',
+                data: result
             });
 
         } catch (error) {
@@ -263,7 +279,7 @@ class MessageController {
      */
     async sendContact(req, res) {
         try {
-            const { sessionId, to, contact, options = {} } = req.body;
+            const { sessionId, to, contact, priority = 0, options = {} } = req.body;
 
             // Validasi input
             if (!sessionId || !to || !contact || !contact.name || !contact.phone) {
@@ -281,13 +297,6 @@ class MessageController {
                 });
             }
 
-            if (!sessionManager.isSessionConnected(sessionId)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Session not connected'
-                });
-            }
-
             // Validasi nomor telepon
             const recipients = Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
             const invalidNumbers = recipients.filter(phone => !isValidPhoneNumber(phone));
@@ -308,19 +317,19 @@ class MessageController {
                 });
             }
 
-            // Send contact message
-            const result = await messageService.sendContactMessage(sessionId, recipients, contact, options);
+            // Masukkan ke antrian, dikirim worker session
+            const result = await messageService.enqueueMessages(sessionId, 'contact', recipients, { contact, options }, { priority });
 
-            logWithSession('info', 'Contact message sent via API', sessionId, {
+            logWithSession('info', 'Contact message queued via API', sessionId, {
                 to: recipients,
                 contactName: contact.name,
-                success: result.success
+                batchId: result.batchId
             });
 
-            res.json({
-                success: result.success,
-                message: 'Contact message sent',
-                data: result.results
+            res.status(202).json({
+                success: true,
+                message: 'Contact message queued',
+                data: result
             });
 
         } catch (error) {
@@ -685,22 +694,13 @@ class MessageController {
                 });
             }
 
-            // Get messages from store
-            const messages = store.messages[jid] || [];
-
-            // Apply filters
-            let filteredMessages = messages;
-
-            if (before) {
-                filteredMessages = messages.filter(msg =>
-                    msg.messageTimestamp < parseInt(before)
-                );
-            }
-
-            // Sort by timestamp (newest first) and limit
-            filteredMessages = filteredMessages
-                .sort((a, b) => b.messageTimestamp - a.messageTimestamp)
-                .slice(0, parseInt(limit));
+            // Ambil satu pesan lebih untuk menentukan hasMore (newest first)
+            const pageSize = parseInt(limit);
+            const messages = await store.loadMessages(jid, {
+                limit: pageSize + 1,
+                before: before ? parseInt(before) : null
+            });
+            const filteredMessages = messages.slice(0, pageSize);
 
             res.json({
                 success: true,
@@ -709,7 +709,7 @@ class MessageController {
                     jid: jid,
                     messages: filteredMessages,
                     count: filteredMessages.length,
-                    hasMore: messages.length > filteredMessages.length
+                    hasMore: messages.length > pageSize
                 }
             });
 
@@ -721,6 +721,184 @@ class MessageController {
             });
         }
     }
+
+    /**
+     * Cari pesan tersimpan
+     * GET /api/message/search/:sessionId
+     */
+    async searchMessages(req, res) {
+        try {
+            const { sessionId } = req.params;
+
+            res.json({
+                success: true,
+                message: 'Messages retrieved',
+                data: await messageLogService.searchMessages(sessionId, req.query)
+            });
+
+        } catch (error) {
+            logger.error('Error in searchMessages:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Export percakapan (JSON, CSV, HTML, TXT), opsional zip bersama media
+     * GET /api/message/export/:sessionId/:jid
+     */
+    async exportConversation(req, res) {
+        try {
+            const { sessionId, jid } = req.params;
+
+            await exportService.exportConversation(sessionId, jid, req.query, res);
+
+        } catch (error) {
+            logger.error('Error in exportConversation:', error);
+
+            // Export sudah mulai di-stream, respons error JSON tidak bisa dikirim lagi
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get timeline status pesan (pending, server_ack, delivered, read, played)
+     * GET /api/message/status/:sessionId/:messageId
+     */
+    async getMessageStatus(req, res) {
+        try {
+            const { sessionId, messageId } = req.params;
+
+            res.json({
+                success: true,
+                message: 'Message status retrieved',
+                data: await messageLogService.getStatusTimeline(sessionId, messageId)
+            });
+
+        } catch (error) {
+            logger.error('Error in getMessageStatus:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Kirim ulang pesan yang gagal
+     * POST /api/message/retry
+     */
+    async retryMessages(req, res) {
+        try {
+            const { sessionId, ids } = req.body;
+
+            const result = await messageService.retryFailedMessages(sessionId, ids || null);
+
+            logWithSession('info', 'Failed messages retried via API', sessionId, {
+                retried: result.retried.length,
+                skipped: result.skipped.length
+            });
+
+            res.json({
+                success: true,
+                message: `${result.retried.length} message(s) queued for retry`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Error in retryMessages:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get antrian pesan keluar session
+     * GET /api/message/queue/:sessionId
+     */
+    async getQueue(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const queue = await messageService.getQueue(sessionId, {
+                status,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            res.json({
+                success: true,
+                message: 'Message queue retrieved',
+                data: {
+                    ...queue,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + queue.messages.length < queue.total
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in getQueue:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Batalkan pesan di antrian
+     * DELETE /api/message/queue/:sessionId/:messageId
+     */
+    async cancelQueuedMessage(req, res) {
+        try {
+            const { sessionId, messageId } = req.params;
+
+            let message;
+            try {
+                message = await messageService.cancelQueuedMessage(sessionId, messageId);
+            } catch (error) {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Queued message not found'
+                });
+            }
+
+            logWithSession('info', 'Queued message cancelled via API', sessionId, { messageId });
+
+            res.json({
+                success: true,
+                message: 'Queued message cancelled',
+                data: message
+            });
+
+        } catch (error) {
+            logger.error('Error in cancelQueuedMessage:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
 }
 
 module.exports = new MessageController();
\ No newline at end of file
@@ -0,0 +1,183 @@
+const scheduleService = require('../services/scheduleService');
+const { schedulePayloads } = require('../middleware/validation');
+const { logger, logWithSession } = require('../utils/logger');
+
+/**
+ * Normalisasi field to menjadi array penerima
+ */
+const toRecipients = (to) => Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
+
+class ScheduleController {
+
+    /**
+     * Buat jadwal pesan (sekali kirim atau berulang)
+     * POST /api/message/schedule
+     */
+    async createSchedule(req, res) {
+        try {
+            const { sessionId, to, ...data } = req.body;
+
+            const schedule = await scheduleService.createSchedule(sessionId, {
+                ...data,
+                recipients: toRecipients(to)
+            }, req.file);
+
+            logWithSession('info', 'Message schedule created via API', sessionId, { scheduleId: schedule.id });
+
+            res.status(201).json({
+                success: true,
+                message: 'Message scheduled',
+                data: schedule
+            });
+
+        } catch (error) {
+            logger.error('Error in createSchedule:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message,
+                details: error.details || undefined
+            });
+        }
+    }
+
+    /**
+     * Get daftar jadwal session
+     * GET /api/message/schedule/:sessionId
+     */
+    async listSchedules(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const { schedules, total } = await scheduleService.listSchedules(sessionId, {
+                status,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            res.json({
+                success: true,
+                message: 'Schedules retrieved',
+                data: {
+                    schedules,
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + schedules.length < total
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in listSchedules:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get detail jadwal beserta riwayat run
+     * GET /api/message/schedule/:sessionId/:scheduleId
+     */
+    async getSchedule(req, res) {
+        try {
+            const { sessionId, scheduleId } = req.params;
+            const schedule = await scheduleService.getSchedule(sessionId, scheduleId, {
+                limit: Math.min(parseInt(req.query.runs) || 20, 200)
+            });
+
+            res.json({
+                success: true,
+                message: 'Schedule retrieved',
+                data: schedule
+            });
+
+        } catch (error) {
+            logger.error('Error in getSchedule:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Update jadwal (isi, waktu, pause/resume)
+     * PUT /api/message/schedule/:sessionId/:scheduleId
+     */
+    async updateSchedule(req, res) {
+        try {
+            const { sessionId, scheduleId } = req.params;
+            const { to, ...changes } = req.body;
+
+            // Payload divalidasi sesuai tipe jadwal yang sudah ada
+            if (changes.payload) {
+                const schedule = await scheduleService.findSchedule(sessionId, scheduleId);
+                const { error, value } = schedulePayloads[schedule.type].validate(changes.payload, {
+                    stripUnknown: true,
+                    abortEarly: false
+                });
+
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Validation error',
+                        details: error.details.map(detail => ({
+                            field: ['payload', ...detail.path].join('.'),
+                            message: detail.message
+                        }))
+                    });
+                }
+
+                changes.payload = value;
+            }
+
+            if (to) {
+                changes.recipients = toRecipients(to);
+            }
+
+            const schedule = await scheduleService.updateSchedule(sessionId, scheduleId, changes);
+
+            res.json({
+                success: true,
+                message: 'Schedule updated',
+                data: schedule
+            });
+
+        } catch (error) {
+            logger.error('Error in updateSchedule:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message,
+                details: error.details || undefined
+            });
+        }
+    }
+
+    /**
+     * Batalkan jadwal
+     * DELETE /api/message/schedule/:sessionId/:scheduleId
+     */
+    async cancelSchedule(req, res) {
+        try {
+            const { sessionId, scheduleId } = req.params;
+            const schedule = await scheduleService.cancelSchedule(sessionId, scheduleId);
+
+            res.json({
+                success: true,
+                message: 'Schedule cancelled',
+                data: schedule
+            });
+
+        } catch (error) {
+            logger.error('Error in cancelSchedule:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new ScheduleController();
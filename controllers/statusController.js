@@ -483,8 +483,8 @@ class StatusController {
                 throw createError.api('WhatsApp store not available', 400);
             }
 
-            // Get status messages from store
-            const statusMessages = store.messages['status@broadcast'] || [];
+            // Get status messages from store (newest first)
+            const statusMessages = await store.loadMessages('status@broadcast', { limit: parseInt(limit) + 1 });
 
             // Filter and format stories
             let stories = statusMessages
@@ -0,0 +1,163 @@
+const templateService = require('../services/templateService');
+const { logger } = require('../utils/logger');
+
+class TemplateController {
+
+    /**
+     * Buat template pesan
+     * POST /api/template
+     */
+    async createTemplate(req, res) {
+        try {
+            const { sessionId, ...data } = req.body;
+            const template = await templateService.createTemplate(sessionId, data);
+
+            res.status(201).json({
+                success: true,
+                message: 'Template created',
+                data: template
+            });
+
+        } catch (error) {
+            logger.error('Error in createTemplate:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get daftar template session
+     * GET /api/template/:sessionId
+     */
+    async listTemplates(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const { limit = 50, offset = 0 } = req.query;
+
+            const { templates, total } = await templateService.listTemplates(sessionId, {
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+
+            res.json({
+                success: true,
+                message: 'Templates retrieved',
+                data: {
+                    templates,
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + templates.length < total
+                }
+            });
+
+        } catch (error) {
+            logger.error('Error in listTemplates:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get template berdasarkan ID atau nama
+     * GET /api/template/:sessionId/:template
+     */
+    async getTemplate(req, res) {
+        try {
+            const { sessionId, template } = req.params;
+
+            res.json({
+                success: true,
+                message: 'Template retrieved',
+                data: await templateService.getTemplate(sessionId, template)
+            });
+
+        } catch (error) {
+            logger.error('Error in getTemplate:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Update template
+     * PUT /api/template/:sessionId/:template
+     */
+    async updateTemplate(req, res) {
+        try {
+            const { sessionId, template } = req.params;
+
+            res.json({
+                success: true,
+                message: 'Template updated',
+                data: await templateService.updateTemplate(sessionId, template, req.body)
+            });
+
+        } catch (error) {
+            logger.error('Error in updateTemplate:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Hapus template
+     * DELETE /api/template/:sessionId/:template
+     */
+    async deleteTemplate(req, res) {
+        try {
+            const { sessionId, template } = req.params;
+
+            res.json({
+                success: true,
+                message: 'Template deleted',
+                data: await templateService.deleteTemplate(sessionId, template)
+            });
+
+        } catch (error) {
+            logger.error('Error in deleteTemplate:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Render template untuk penerima tanpa mengirim
+     * POST /api/template/:sessionId/:template/preview
+     */
+    async previewTemplate(req, res) {
+        try {
+            const { sessionId, template } = req.params;
+            const { to, variables = {} } = req.body;
+            const recipients = Array.isArray(to) ? to : to.split(',').map(phone => phone.trim());
+
+            const rendered = await templateService.renderTemplateFor(sessionId, template, recipients, variables);
+
+            res.json({
+                success: true,
+                message: 'Template rendered',
+                data: recipients.map(recipient => ({ to: recipient, text: rendered.get(recipient) }))
+            });
+
+        } catch (error) {
+            logger.error('Error in previewTemplate:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message,
+                details: error.details || undefined
+            });
+        }
+    }
+}
+
+module.exports = new TemplateController();
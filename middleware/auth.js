@@ -3,8 +3,10 @@ const { logger } = require('../utils/logger');
 
 /**
  * Middleware untuk validasi API Key
+ * Master key (API_KEY) bisa mengakses semua session, key lain hanya session miliknya.
+ * Admin user mengirim JWT access token lewat header yang sama
  */
-const validateApiKey = (req, res, next) => {
+const validateApiKey = async (req, res, next) => {
     try {
         const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
 
@@ -15,7 +17,42 @@ const validateApiKey = (req, res, next) => {
             });
         }
 
-        if (apiKey !== defaultConfig.server.apiKey) {
+        if (apiKey === defaultConfig.server.apiKey) {
+            req.apiKey = {
+                id: null,
+                name: 'master',
+                scopes: [...defaultConfig.security.apiKeyScopes],
+                isMaster: true
+            };
+            return next();
+        }
+
+        const adminUserService = require('../services/adminUserService');
+        if (adminUserService.isJwt(apiKey)) {
+            const user = await adminUserService.verifyAccessToken(apiKey);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired access token'
+                });
+            }
+
+            // Operator manusia melihat semua session, akses dibatasi lewat role
+            req.adminUser = user;
+            req.apiKey = {
+                id: null,
+                name: `user:${user.username}`,
+                scopes: adminUserService.getRoleScopes(user.role),
+                isMaster: user.role === 'admin',
+                userId: user.id
+            };
+            return next();
+        }
+
+        const apiKeyService = require('../services/apiKeyService');
+        const key = await apiKeyService.verifyKey(apiKey);
+
+        if (!key) {
             logger.warn('Invalid API key attempt', {
                 ip: req.ip,
                 userAgent: req.get('User-Agent'),
@@ -28,6 +65,7 @@ const validateApiKey = (req, res, next) => {
             });
         }
 
+        req.apiKey = { ...key, isMaster: false };
         next();
     } catch (error) {
         logger.error('Error in validateApiKey middleware:', error);
@@ -38,6 +76,48 @@ const validateApiKey = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware untuk endpoint admin, hanya master key atau user dengan role admin
+ */
+const requireMasterKey = (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.isMaster) {
+        return res.status(403).json({
+            success: false,
+            error: 'Master API key or admin role required'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Middleware untuk cek scope API key
+ * @param {string} scope - Scope yang dibutuhkan
+ * @param {string} readScope - Scope untuk request GET (default sama dengan scope)
+ */
+const requireScope = (scope, readScope = scope) => {
+    return (req, res, next) => {
+        const requiredScope = req.method === 'GET' ? readScope : scope;
+        const scopes = req.apiKey?.scopes || [];
+
+        if (!scopes.includes(requiredScope)) {
+            logger.warn('API key missing scope', {
+                keyId: req.apiKey?.id,
+                requiredScope,
+                path: req.originalUrl
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: `Missing required scope: ${requiredScope}`,
+                requiredScope
+            });
+        }
+
+        next();
+    };
+};
+
 /**
  * Middleware untuk log request
  */
@@ -70,7 +150,8 @@ const logRequest = (req, res, next) => {
 const corsMiddleware = (req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-api-key');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-api-key, x-bundle-passphrase, Idempotency-Key');
+    res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed');
     res.header('Access-Control-Allow-Credentials', 'true');
 
     if (req.method === 'OPTIONS') {
@@ -135,6 +216,11 @@ const sanitizeObject = (obj) => {
         return obj;
     }
 
+    // Array tetap array (mis. tuple browser di config session)
+    if (Array.isArray(obj)) {
+        return Object.values(sanitizeObject({ ...obj }));
+    }
+
     const sanitized = {};
 
     for (const [key, value] of Object.entries(obj)) {
@@ -239,6 +325,7 @@ const requestTimeout = (timeoutMs = 30000) => {
     return (req, res, next) => {
         const timeout = setTimeout(() => {
             if (!res.headersSent) {
+                req.timedOut = true;
                 res.status(408).json({
                     success: false,
                     error: 'Request timeout'
@@ -311,6 +398,8 @@ const notFoundHandler = (req, res) => {
 
 module.exports = {
     validateApiKey,
+    requireMasterKey,
+    requireScope,
     logRequest,
     corsMiddleware,
     validateContentType,
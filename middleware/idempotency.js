@@ -0,0 +1,83 @@
+const idempotencyService = require('../services/idempotencyService');
+const { logger } = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency-Key untuk endpoint kirim pesan.
+ * Respons pertama disimpan per key, request ulang dengan body sama mendapat respons itu tanpa dikirim ulang,
+ * body berbeda ditolak 409. Respons 5xx tidak disimpan sehingga request bisa diulang.
+ * Dipasang setelah upload multer agar file ikut di-hash.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    let claim;
+    try {
+        claim = await idempotencyService.begin(req.apiKey?.id || req.apiKey?.name || req.ip, key, {
+            method: req.method,
+            path: `${req.baseUrl}${req.path}`,
+            requestHash: idempotencyService.hashRequest(req)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        logger.error('Error in idempotency middleware:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+
+    if (claim.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.statusCode).json(claim.replay.responseBody);
+    }
+
+    const { record } = claim;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        // 408 dari requestTimeout dikirim saat handler masih berjalan, key tetap diklaim sampai hasil aslinya ada
+        if (req.timedOut && !res.headersSent) {
+            return json(body);
+        }
+
+        const statusCode = res.statusCode;
+        const store = statusCode >= 500
+            ? idempotencyService.release(record)
+            : idempotencyService.complete(record, statusCode, body);
+
+        store
+            .catch(error => logger.error('Error storing idempotent response:', { key, error: error.message }))
+            .finally(() => {
+                // Handler yang selesai setelah timeout: hasilnya disimpan untuk request ulang, respons sudah terkirim
+                if (!res.headersSent) {
+                    json(body);
+                }
+            });
+
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotency
+};
@@ -4,6 +4,108 @@ const path = require('path');
 const { isValidPhoneNumber } = require('../utils/phoneFormatter');
 const { defaultConfig } = require('../config/default');
 
+/**
+ * Variabel template ({{name}}, {{customFields.orderId}}), menimpa data kontak
+ */
+const templateVariables = Joi.object().pattern(
+    Joi.string().pattern(/^\w+$/),
+    Joi.alternatives(
+        Joi.string().max(1000),
+        Joi.number(),
+        Joi.boolean(),
+        Joi.object().pattern(Joi.string().pattern(/^\w+$/), Joi.alternatives(Joi.string().max(1000), Joi.number(), Joi.boolean()))
+    )
+).max(50);
+
+/**
+ * Isi pesan terjadwal dan campaign per tipe, text dan caption bisa diganti template (ID atau nama)
+ */
+const schedulePayloads = {
+    text: Joi.object({
+        text: Joi.string().min(1).max(65536),
+        template: Joi.string().max(100),
+        variables: templateVariables.optional(),
+        options: Joi.object({
+            mentions: Joi.array().items(Joi.string()).optional()
+        }).optional()
+    }).xor('text', 'template'),
+
+    media: Joi.object({
+        mediaType: Joi.string().valid('image', 'video', 'audio', 'document').required(),
+        caption: Joi.string().max(1024).optional().allow(''),
+        template: Joi.string().max(100).optional(),
+        variables: templateVariables.optional(),
+        fileName: Joi.string().max(255).optional(),
+        options: Joi.object().optional()
+    }).oxor('caption', 'template'),
+
+    location: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+        name: Joi.string().max(100).optional().allow(''),
+        address: Joi.string().max(200).optional().allow(''),
+        options: Joi.object().optional()
+    }),
+
+    contact: Joi.object({
+        contact: Joi.object({
+            name: Joi.string().min(1).max(100).required(),
+            phone: Joi.string().required(),
+            organization: Joi.string().max(100).optional().allow('')
+        }).required(),
+        options: Joi.object().optional()
+    })
+};
+
+/**
+ * Konfigurasi custom session, dipakai saat create session dan connect
+ */
+const sessionConfig = Joi.object({
+    countryCode: Joi.string().pattern(/^\d{1,4}$/).optional(),
+    webhookUrl: Joi.string().uri().optional().allow(''),
+    webhookDelay: Joi.number().integer().min(500).max(10000).optional(),
+    messageDelay: Joi.number().integer().min(1000).max(30000).optional(),
+    typingDelay: Joi.number().integer().min(500).max(5000).optional(),
+    pauseDelay: Joi.number().integer().min(100).max(2000).optional(),
+    readMessageDelay: Joi.number().integer().min(1000).max(10000).optional(),
+    showTyping: Joi.boolean().optional(),
+    autoRead: Joi.boolean().optional(),
+    checkNumber: Joi.boolean().optional(),
+    authStore: Joi.string().valid('file', 'database').optional(),
+    bootPriority: Joi.number().integer().min(-100).max(100).optional(),
+    displayName: Joi.string().max(100).optional().allow(''),
+    owner: Joi.string().max(100).optional().allow(''),
+    labels: Joi.array().items(Joi.string().pattern(/^[\w:.-]{1,50}$/)).max(20).unique().optional(),
+    metadata: Joi.object().pattern(
+        Joi.string().max(50),
+        Joi.alternatives(Joi.string().max(500), Joi.number(), Joi.boolean()).allow(null)
+    ).max(50).optional(),
+    callPolicy: Joi.object({
+        action: Joi.string().valid('ignore', 'reject', 'reject_reply').optional(),
+        replyMessage: Joi.string().max(1000).when('action', { is: 'reject_reply', then: Joi.required(), otherwise: Joi.optional() }),
+        blockRepeatCallers: Joi.boolean().optional(),
+        blockThreshold: Joi.number().integer().min(1).max(100).optional(),
+        blockWindow: Joi.number().integer().min(60000).max(86400000).optional()
+    }).optional(),
+    socket: Joi.object({
+        browser: Joi.array().ordered(
+            Joi.string().max(50).required(),
+            Joi.string().max(50).required(),
+            Joi.string().max(50).required()
+        ).length(3).optional(),
+        markOnlineOnConnect: Joi.boolean().optional(),
+        syncFullHistory: Joi.boolean().optional(),
+        connectTimeoutMs: Joi.number().integer().min(5000).max(300000).optional(),
+        defaultQueryTimeoutMs: Joi.number().integer().min(5000).max(300000).optional(),
+        keepAliveIntervalMs: Joi.number().integer().min(5000).max(120000).optional(),
+        retryRequestDelayMs: Joi.number().integer().min(100).max(60000).optional(),
+        maxMsgRetryCount: Joi.number().integer().min(0).max(10).optional(),
+        generateHighQualityLinkPreview: Joi.boolean().optional(),
+        proxyUrl: Joi.string().uri({ scheme: ['http', 'https', 'socks', 'socks4', 'socks4a', 'socks5', 'socks5h'] })
+            .optional().allow(null, '')
+    }).optional()
+});
+
 /**
  * Validation schemas
  */
@@ -11,18 +113,7 @@ const schemas = {
     // Session validation
     createSession: Joi.object({
         sessionId: Joi.string().alphanum().min(3).max(50).optional(),
-        config: Joi.object({
-            countryCode: Joi.string().pattern(/^\d{1,4}$/).optional(),
-            webhookUrl: Joi.string().uri().optional().allow(''),
-            webhookDelay: Joi.number().integer().min(500).max(10000).optional(),
-            messageDelay: Joi.number().integer().min(1000).max(30000).optional(),
-            typingDelay: Joi.number().integer().min(500).max(5000).optional(),
-            pauseDelay: Joi.number().integer().min(100).max(2000).optional(),
-            readMessageDelay: Joi.number().integer().min(1000).max(10000).optional(),
-            showTyping: Joi.boolean().optional(),
-            autoRead: Joi.boolean().optional(),
-            checkNumber: Joi.boolean().optional()
-        }).optional()
+        config: sessionConfig.optional()
     }),
 
     // Message validation
@@ -32,12 +123,15 @@ const schemas = {
             Joi.string().required(),
             Joi.array().items(Joi.string()).min(1).required()
         ),
-        text: Joi.string().min(1).max(65536).required(),
+        text: Joi.string().min(1).max(65536),
+        template: Joi.string().max(100),
+        variables: templateVariables.optional(),
         options: Joi.object({
             quoted: Joi.object().optional(),
             mentions: Joi.array().items(Joi.string()).optional()
-        }).optional()
-    }),
+        }).optional(),
+        priority: Joi.number().integer().min(-10).max(10).optional()
+    }).xor('text', 'template'),
 
     sendLocation: Joi.object({
         sessionId: Joi.string().required(),
@@ -49,7 +143,8 @@ const schemas = {
         longitude: Joi.number().min(-180).max(180).required(),
         name: Joi.string().max(100).optional().allow(''),
         address: Joi.string().max(200).optional().allow(''),
-        options: Joi.object().optional()
+        options: Joi.object().optional(),
+        priority: Joi.number().integer().min(-10).max(10).optional()
     }),
 
     sendContact: Joi.object({
@@ -63,7 +158,146 @@ const schemas = {
             phone: Joi.string().required(),
             organization: Joi.string().max(100).optional().allow('')
         }).required(),
-        options: Joi.object().optional()
+        options: Joi.object().optional(),
+        priority: Joi.number().integer().min(-10).max(10).optional()
+    }),
+
+    listQueue: Joi.object({
+        status: Joi.string().valid('QUEUED', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED').optional(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    searchMessages: Joi.object({
+        q: Joi.string().trim().min(1).max(200).optional(),
+        direction: Joi.string().valid('INCOMING', 'OUTGOING').optional(),
+        type: Joi.string().uppercase().valid(
+            'TEXT', 'IMAGE', 'VIDEO', 'AUDIO', 'DOCUMENT',
+            'LOCATION', 'CONTACT', 'POLL', 'LIST', 'BUTTON',
+            'REACTION', 'FORWARD', 'REPLY', 'EDIT', 'DELETE'
+        ).optional(),
+        jid: Joi.string().optional(),
+        groupJid: Joi.string().pattern(/@g\.us$/).optional(),
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().optional(),
+        hasMedia: Joi.boolean().optional(),
+        cursor: Joi.string().max(200).optional(),
+        limit: Joi.number().integer().min(1).max(200).default(50)
+    }),
+
+    exportConversation: Joi.object({
+        format: Joi.string().lowercase().valid('json', 'csv', 'html', 'txt').default('json'),
+        from: Joi.date().iso().optional(),
+        // Tanggal saja (YYYY-MM-DD) berarti sampai akhir hari itu
+        to: Joi.alternatives().try(
+            Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+                const endOfDay = new Date(`${value}T23:59:59.999Z`);
+                return isNaN(endOfDay) ? helpers.error('date.base') : endOfDay;
+            }),
+            Joi.date().iso()
+        ).optional(),
+        media: Joi.boolean().default(false)
+    }),
+
+    retryMessages: Joi.object({
+        sessionId: Joi.string().required(),
+        ids: Joi.array().items(Joi.string()).min(1).max(500).unique().optional()
+    }),
+
+    createSchedule: Joi.object({
+        sessionId: Joi.string().required(),
+        to: Joi.alternatives().try(
+            Joi.string().required(),
+            Joi.array().items(Joi.string()).min(1).required()
+        ),
+        type: Joi.string().valid('text', 'media', 'location', 'contact').required(),
+        payload: Joi.when('type', {
+            switch: Object.entries(schedulePayloads).map(([type, schema]) => ({ is: type, then: schema }))
+        }).required(),
+        sendAt: Joi.date().iso().optional(),
+        cron: Joi.string().max(100).optional(),
+        timezone: Joi.string().max(50).optional(),
+        endAt: Joi.date().iso().optional(),
+        missedPolicy: Joi.string().valid('send_late', 'skip').default('send_late'),
+        priority: Joi.number().integer().min(-10).max(10).optional()
+    }).xor('sendAt', 'cron').with('endAt', 'cron').with('timezone', 'cron'),
+
+    // payload dicek terhadap tipe jadwal di controller
+    updateSchedule: Joi.object({
+        to: Joi.alternatives().try(
+            Joi.string(),
+            Joi.array().items(Joi.string()).min(1)
+        ).optional(),
+        payload: Joi.object().optional(),
+        sendAt: Joi.date().iso().optional(),
+        cron: Joi.string().max(100).optional(),
+        timezone: Joi.string().max(50).optional().allow(null),
+        endAt: Joi.date().iso().optional().allow(null),
+        missedPolicy: Joi.string().valid('send_late', 'skip').optional(),
+        priority: Joi.number().integer().min(-10).max(10).optional(),
+        status: Joi.string().valid('ACTIVE', 'PAUSED').optional()
+    }).oxor('sendAt', 'cron').min(1),
+
+    createCampaign: Joi.object({
+        sessionId: Joi.string().required(),
+        name: Joi.string().min(1).max(100).required(),
+        type: Joi.string().valid('text', 'media', 'location', 'contact').required(),
+        payload: Joi.when('type', {
+            switch: Object.entries(schedulePayloads).map(([type, schema]) => ({ is: type, then: schema }))
+        }).required(),
+        numbers: Joi.alternatives().try(
+            Joi.array().items(Joi.string()).max(defaultConfig.campaign.maxRecipients),
+            Joi.string()
+        ).optional(),
+        tags: Joi.alternatives().try(
+            Joi.array().items(Joi.string().max(50)).max(20),
+            Joi.string()
+        ).optional(),
+        delayMs: Joi.number().integer().min(1000).max(600000).optional()
+    }),
+
+    listCampaigns: Joi.object({
+        status: Joi.string().valid('RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED').optional(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    listCampaignRecipients: Joi.object({
+        status: Joi.string().valid('queued', 'sent', 'delivered', 'read', 'failed', 'cancelled').optional(),
+        limit: Joi.number().integer().min(1).max(1000).default(100),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    createTemplate: Joi.object({
+        sessionId: Joi.string().required(),
+        name: Joi.string().pattern(/^[\w.-]{1,100}$/).required(),
+        body: Joi.string().min(1).max(65536).required(),
+        description: Joi.string().max(500).optional().allow('')
+    }),
+
+    updateTemplate: Joi.object({
+        name: Joi.string().pattern(/^[\w.-]{1,100}$/).optional(),
+        body: Joi.string().min(1).max(65536).optional(),
+        description: Joi.string().max(500).optional().allow('', null)
+    }).min(1),
+
+    listTemplates: Joi.object({
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    previewTemplate: Joi.object({
+        to: Joi.alternatives().try(
+            Joi.string().required(),
+            Joi.array().items(Joi.string()).min(1).required()
+        ),
+        variables: templateVariables.optional()
+    }),
+
+    listSchedules: Joi.object({
+        status: Joi.string().valid('ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED').optional(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
     }),
 
     sendReaction: Joi.object({
@@ -90,7 +324,7 @@ const schemas = {
     // Auth validation
     connect: Joi.object({
         sessionId: Joi.string().required(),
-        config: Joi.object().optional()
+        config: sessionConfig.optional()
     }),
 
     checkNumber: Joi.object({
@@ -101,15 +335,63 @@ const schemas = {
     pairingCode: Joi.object({
         sessionId: Joi.string().required(),
         phoneNumber: Joi.string().pattern(/^\d{10,15}$/).required()
+    }),
+
+    listSessions: Joi.object({
+        label: Joi.string().optional(), // dipisah koma, session harus punya semua label
+        state: Joi.string().optional(), // dipisah koma
+        owner: Joi.string().optional(),
+        search: Joi.string().max(100).optional(),
+        sortBy: Joi.string().valid('sessionId', 'displayName', 'owner', 'state', 'stateChangedAt').default('sessionId'),
+        sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    bulkSessions: Joi.object({
+        sessionIds: Joi.array().items(Joi.string()).min(1).max(1000).unique().optional(),
+        all: Joi.boolean().optional(),
+        concurrency: Joi.number().integer().min(1).max(50).optional()
+    }).or('sessionIds', 'all'),
+
+    importSession: Joi.object({
+        passphrase: Joi.string().required(),
+        sessionId: Joi.string().alphanum().min(3).max(50).optional(),
+        connect: Joi.boolean().optional()
+    }),
+
+    // Admin validation
+    adminLogin: Joi.object({
+        username: Joi.string().required(),
+        password: Joi.string().required()
+    }),
+
+    adminRefresh: Joi.object({
+        refreshToken: Joi.string().required()
+    }),
+
+    createAdminUser: Joi.object({
+        username: Joi.string().alphanum().min(3).max(50).required(),
+        password: Joi.string().min(8).max(128).required(),
+        role: Joi.string().valid('admin', 'operator', 'viewer').default('viewer')
+    }),
+
+    createApiKey: Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        scopes: Joi.array()
+            .items(Joi.string().valid(...defaultConfig.security.apiKeyScopes))
+            .min(1)
+            .unique()
+            .optional()
     })
 };
 
 /**
  * Generic validation middleware
  */
-const validate = (schema) => {
+const validate = (schema, property = 'body') => {
     return (req, res, next) => {
-        const { error, value } = schema.validate(req.body, {
+        const { error, value } = schema.validate(req[property], {
             allowUnknown: false,
             stripUnknown: true,
             abortEarly: false
@@ -129,7 +411,7 @@ const validate = (schema) => {
             });
         }
 
-        req.body = value;
+        req[property] = value;
         next();
     };
 };
@@ -210,6 +492,63 @@ const upload = multer({
     }
 });
 
+/**
+ * Upload bundle session (hasil export), tanpa filter mime karena berupa file biner
+ */
+const bundleUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB
+        files: 1
+    }
+});
+
+/**
+ * Upload campaign: media (file pesan) dan recipients (CSV penerima)
+ */
+const campaignUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'recipients') {
+            const csvMimes = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+            return csvMimes.includes(file.mimetype)
+                ? cb(null, true)
+                : cb(new Error(`Recipients file must be CSV, got ${file.mimetype}`), false);
+        }
+
+        fileFilter(req, file, cb);
+    },
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB
+        files: 2
+    }
+});
+
+/**
+ * Parse field multipart yang berisi JSON (object/array) sebelum validasi Joi
+ * @param {...string} fields - Nama field
+ */
+const parseJsonFields = (...fields) => {
+    return (req, res, next) => {
+        for (const field of fields) {
+            const value = req.body[field];
+
+            if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+                try {
+                    req.body[field] = JSON.parse(value);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `${field} must be valid JSON`
+                    });
+                }
+            }
+        }
+
+        next();
+    };
+};
+
 /**
  * Media type validation
  */
@@ -264,7 +603,8 @@ const validateSessionExists = (req, res, next) => {
         });
     }
 
-    if (!sessionManager.hasSession(sessionId)) {
+    // Session milik API key lain diperlakukan seperti tidak ada
+    if (!sessionManager.canAccessSession(sessionId, req.apiKey)) {
         return res.status(404).json({
             success: false,
             error: 'Session not found'
@@ -378,6 +718,29 @@ const validateTextLength = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate variabel template untuk endpoint yang tidak memakai schema Joi
+ */
+const validateTemplateVariables = (req, res, next) => {
+    if (req.body.variables === undefined) {
+        return next();
+    }
+
+    const { error } = templateVariables.validate(req.body.variables);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            details: error.details.map(detail => ({
+                field: ['variables', ...detail.path].join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    next();
+};
+
 /**
  * Validate recipients limit
  */
@@ -403,14 +766,20 @@ const validateRecipientsLimit = (maxRecipients = 100) => {
 
 module.exports = {
     schemas,
+    schedulePayloads,
+    templateVariables,
     validate,
     validatePhoneNumbers,
     upload,
+    bundleUpload,
+    campaignUpload,
+    parseJsonFields,
     validateMediaType,
     validateSessionExists,
     validateSessionConnected,
     uploadRateLimit,
     validateWebhookUrl,
     validateTextLength,
-    validateRecipientsLimit
+    validateRecipientsLimit,
+    validateTemplateVariables
 };
\ No newline at end of file
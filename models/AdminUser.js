@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AdminUser = sequelize.define('AdminUser', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    username: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+
+    passwordHash: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'bcrypt hash of the password'
+    },
+
+    role: {
+        type: DataTypes.ENUM('admin', 'operator', 'viewer'),
+        defaultValue: 'viewer',
+        allowNull: false
+    },
+
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+
+    // Dinaikkan untuk membatalkan semua refresh token yang sudah terbit
+    tokenVersion: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Incremented to invalidate issued refresh tokens'
+    },
+
+    lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'admin_users',
+    indexes: [
+        {
+            fields: ['role']
+        },
+        {
+            fields: ['isActive']
+        }
+    ]
+});
+
+// Instance methods
+AdminUser.prototype.deactivate = async function () {
+    this.isActive = false;
+    this.tokenVersion += 1;
+    return this.save();
+};
+
+AdminUser.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        username: this.username,
+        role: this.role,
+        isActive: this.isActive,
+        lastLoginAt: this.lastLoginAt,
+        createdAt: this.createdAt
+    };
+};
+
+// Static methods
+AdminUser.findActiveByUsername = function (username) {
+    return this.findOne({
+        where: {
+            username,
+            isActive: true
+        }
+    });
+};
+
+module.exports = AdminUser;
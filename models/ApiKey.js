@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { defaultConfig } = require('../config/default');
+
+const ApiKey = sequelize.define('ApiKey', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Label for the key owner (team, client, integration)'
+    },
+
+    // Prefix disimpan plain untuk lookup, key lengkap hanya disimpan sebagai hash
+    prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        unique: true,
+        comment: 'Public key prefix used to find the hash'
+    },
+
+    keyHash: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'bcrypt hash of the full key'
+    },
+
+    // Scope JSON, null berarti semua scope (key lama sebelum ada scope)
+    scopes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Granted permission scopes (JSON)',
+        get() {
+            const value = this.getDataValue('scopes');
+            return value ? JSON.parse(value) : [...defaultConfig.security.apiKeyScopes];
+        },
+        set(value) {
+            this.setDataValue('scopes', value ? JSON.stringify(value) : null);
+        }
+    },
+
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'api_keys',
+    indexes: [
+        {
+            fields: ['isActive']
+        }
+    ]
+});
+
+// Instance methods
+ApiKey.prototype.revoke = async function () {
+    this.isActive = false;
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+ApiKey.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        isActive: this.isActive,
+        lastUsedAt: this.lastUsedAt,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt
+    };
+};
+
+// Static methods
+ApiKey.findActiveByPrefix = function (prefix) {
+    return this.findOne({
+        where: {
+            prefix,
+            isActive: true
+        }
+    });
+};
+
+module.exports = ApiKey;
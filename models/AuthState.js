@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Composite primary key (sessionId, category, keyId) agar upsert langsung konflik di PK
+const AuthState = sequelize.define('AuthState', {
+    sessionId: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    // Baileys key category
+    category: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'creds, pre-key, session, sender-key, app-state-sync-key, etc'
+    },
+
+    keyId: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Key ID within the category'
+    },
+
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Serialized key data (JSON with BufferJSON encoding)'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'auth_states',
+    indexes: [
+        {
+            fields: ['sessionId']
+        }
+    ]
+});
+
+// Static methods
+AuthState.readKey = function (sessionId, category, keyId) {
+    return this.findOne({
+        where: {
+            sessionId,
+            category,
+            keyId
+        }
+    });
+};
+
+AuthState.readKeys = function (sessionId, category, keyIds) {
+    return this.findAll({
+        where: {
+            sessionId,
+            category,
+            keyId: keyIds
+        }
+    });
+};
+
+AuthState.writeKey = function (sessionId, category, keyId, data, options = {}) {
+    return this.upsert({
+        sessionId,
+        category,
+        keyId,
+        data,
+        updatedAt: new Date()
+    }, options);
+};
+
+AuthState.removeKey = function (sessionId, category, keyId, options = {}) {
+    return this.destroy({
+        where: {
+            sessionId,
+            category,
+            keyId
+        },
+        ...options
+    });
+};
+
+AuthState.clearSession = function (sessionId) {
+    return this.destroy({
+        where: { sessionId }
+    });
+};
+
+AuthState.countSessionKeys = function (sessionId) {
+    return this.count({
+        where: { sessionId }
+    });
+};
+
+// Association with Session
+AuthState.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+module.exports = AuthState;
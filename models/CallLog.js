@@ -0,0 +1,112 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Satu row per panggilan masuk, status diperbarui mengikuti event call berikutnya
+const CallLog = sequelize.define('CallLog', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    callId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'WhatsApp call ID'
+    },
+
+    from: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Caller JID'
+    },
+
+    isVideo: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+
+    isGroup: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+
+    status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Last call status from WhatsApp (offer, ringing, timeout, reject, accept, terminate)'
+    },
+
+    action: {
+        type: DataTypes.ENUM('ignored', 'rejected', 'replied', 'blocked', 'failed'),
+        allowNull: true,
+        comment: 'Action taken by the call policy'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'call_logs',
+    indexes: [
+        {
+            unique: true,
+            fields: ['sessionId', 'callId']
+        },
+        {
+            fields: ['sessionId', 'from', 'createdAt']
+        },
+        {
+            fields: ['sessionId', 'createdAt']
+        }
+    ]
+});
+
+// Association with Session
+CallLog.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+CallLog.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        callId: this.callId,
+        from: this.from,
+        isVideo: this.isVideo,
+        isGroup: this.isGroup,
+        status: this.status,
+        action: this.action,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+// Static methods
+CallLog.countRecentFrom = function (sessionId, from, since) {
+    return this.count({
+        where: {
+            sessionId,
+            from,
+            createdAt: { [Op.gte]: since }
+        }
+    });
+};
+
+module.exports = CallLog;
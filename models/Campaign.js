@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Campaign broadcast, penerima dan status per penerima ada di CampaignRecipient
+const Campaign = sequelize.define('Campaign', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+
+    type: {
+        type: DataTypes.ENUM('text', 'media', 'location', 'contact'),
+        allowNull: false
+    },
+
+    payload: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Message content and options as given by the caller (JSON)',
+        get() {
+            const value = this.getDataValue('payload');
+            return value ? JSON.parse(value) : {};
+        },
+        set(value) {
+            this.setDataValue('payload', JSON.stringify(value));
+        }
+    },
+
+    mediaPath: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Spooled media file for media campaigns'
+    },
+
+    delayMs: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Pause between recipients'
+    },
+
+    status: {
+        type: DataTypes.ENUM('RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED'),
+        defaultValue: 'RUNNING'
+    },
+
+    startedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'campaigns',
+    indexes: [
+        {
+            fields: ['sessionId', 'status']
+        }
+    ]
+});
+
+// Association with Session
+Campaign.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+Campaign.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        sessionId: this.sessionId,
+        name: this.name,
+        type: this.type,
+        payload: this.payload,
+        delayMs: this.delayMs,
+        status: this.status,
+        startedAt: this.startedAt,
+        finishedAt: this.finishedAt,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = Campaign;
@@ -0,0 +1,179 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Campaign = require('./Campaign');
+
+// Urutan status, receipt tidak boleh menurunkan status (read tetap read)
+const STATUS_RANK = {
+    queued: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3
+};
+
+const CampaignRecipient = sequelize.define('CampaignRecipient', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    campaignId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'campaigns',
+            key: 'id'
+        }
+    },
+
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Send order within the campaign'
+    },
+
+    recipient: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+
+    variables: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Per-recipient values from CSV columns or contact (JSON)',
+        get() {
+            const value = this.getDataValue('variables');
+            return value ? JSON.parse(value) : {};
+        },
+        set(value) {
+            this.setDataValue('variables', JSON.stringify(value || {}));
+        }
+    },
+
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Rendered template text or caption, null when the campaign has no template'
+    },
+
+    status: {
+        type: DataTypes.ENUM('queued', 'sent', 'delivered', 'read', 'failed', 'cancelled'),
+        defaultValue: 'queued'
+    },
+
+    waMessageId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    readAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'campaign_recipients',
+    indexes: [
+        {
+            fields: ['campaignId', 'status', 'position']
+        },
+        {
+            fields: ['waMessageId']
+        }
+    ]
+});
+
+Campaign.hasMany(CampaignRecipient, {
+    foreignKey: 'campaignId',
+    as: 'recipients'
+});
+
+CampaignRecipient.belongsTo(Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+});
+
+// Instance methods
+CampaignRecipient.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        to: this.recipient,
+        status: this.status,
+        waMessageId: this.waMessageId,
+        error: this.error,
+        sentAt: this.sentAt,
+        deliveredAt: this.deliveredAt,
+        readAt: this.readAt
+    };
+};
+
+/**
+ * Naikkan status dari receipt (delivered/read), tidak pernah turun
+ */
+CampaignRecipient.prototype.applyReceipt = async function (status) {
+    if (!(this.status in STATUS_RANK) || STATUS_RANK[status] <= STATUS_RANK[this.status]) {
+        return this;
+    }
+
+    const now = new Date();
+    return this.update({
+        status,
+        deliveredAt: this.deliveredAt || now,
+        readAt: status === 'read' ? now : this.readAt
+    });
+};
+
+// Static methods
+CampaignRecipient.findNext = function (campaignId) {
+    return this.findOne({
+        where: { campaignId, status: 'queued' },
+        order: [['position', 'ASC']]
+    });
+};
+
+CampaignRecipient.getCounts = async function (campaignId) {
+    const rows = await this.findAll({
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: { campaignId },
+        group: ['status'],
+        raw: true
+    });
+
+    const counts = rows.reduce((result, row) => ({ ...result, [row.status]: Number(row.count) }), {
+        queued: 0,
+        sent: 0,
+        delivered: 0,
+        read: 0,
+        failed: 0,
+        cancelled: 0
+    });
+
+    counts.total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return counts;
+};
+
+module.exports = CampaignRecipient;
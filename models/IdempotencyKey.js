@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Respons pertama per Idempotency-Key, request ulang dengan key yang sama mendapat respons ini
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    owner: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'API key ID or name, keys are scoped per caller'
+    },
+
+    key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+
+    method: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+
+    path: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+
+    requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of method, path, body and uploaded files'
+    },
+
+    status: {
+        type: DataTypes.ENUM('PROCESSING', 'COMPLETED'),
+        defaultValue: 'PROCESSING'
+    },
+
+    statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+
+    responseBody: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Stored JSON response',
+        get() {
+            const value = this.getDataValue('responseBody');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('responseBody', value === undefined ? null : JSON.stringify(value));
+        }
+    },
+
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'idempotency_keys',
+    indexes: [
+        {
+            unique: true,
+            fields: ['owner', 'key']
+        },
+        {
+            fields: ['expiresAt']
+        }
+    ]
+});
+
+// Instance methods
+IdempotencyKey.prototype.isExpired = function () {
+    return new Date(this.expiresAt) <= new Date();
+};
+
+module.exports = IdempotencyKey;
@@ -1,5 +1,6 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op, QueryTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { defaultConfig } = require('../config/default');
 
 const Message = sequelize.define('Message', {
     id: {
@@ -180,6 +181,12 @@ const Message = sequelize.define('Message', {
         defaultValue: 0
     },
 
+    queuedMessageId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Outbound queue row holding the payload, retries update this row'
+    },
+
     // Timestamps
     sentAt: {
         type: DataTypes.DATE,
@@ -248,6 +255,11 @@ const Message = sequelize.define('Message', {
         {
             fields: ['waMessageId']
         },
+        {
+            // Satu row per pesan WhatsApp, kirim API dan event upsert tidak membuat duplikat
+            unique: true,
+            fields: ['sessionId', 'waMessageId']
+        },
         {
             fields: ['direction']
         },
@@ -269,6 +281,10 @@ const Message = sequelize.define('Message', {
         {
             fields: ['createdAt']
         },
+        {
+            // Urutan hasil search dan cursor pagination
+            fields: ['sessionId', 'createdAt', 'id']
+        },
         {
             fields: ['waTimestamp']
         },
@@ -277,6 +293,9 @@ const Message = sequelize.define('Message', {
         },
         {
             fields: ['reactedToMessageId']
+        },
+        {
+            fields: ['queuedMessageId']
         }
     ]
 });
@@ -323,7 +342,7 @@ Message.prototype.isFailed = function () {
 };
 
 Message.prototype.canRetry = function () {
-    return this.status === 'FAILED' && this.retryCount < 3;
+    return this.status === 'FAILED' && this.queuedMessageId !== null && this.retryCount < defaultConfig.queue.maxRetries;
 };
 
 Message.prototype.getRecipients = function () {
@@ -338,6 +357,7 @@ Message.prototype.getSummary = function () {
     const summary = {
         id: this.id,
         waMessageId: this.waMessageId,
+        queuedMessageId: this.queuedMessageId,
         direction: this.direction,
         messageType: this.messageType,
         status: this.status,
@@ -430,23 +450,137 @@ Message.getFailedMessages = function (sessionId) {
         where: {
             sessionId,
             status: 'FAILED',
-            retryCount: { [sequelize.Op.lt]: 3 }
+            queuedMessageId: { [Op.ne]: null },
+            retryCount: { [Op.lt]: defaultConfig.queue.maxRetries }
         },
         order: [['createdAt', 'ASC']]
     });
 };
 
-Message.searchMessages = function (sessionId, query, limit = 50) {
-    return this.findAll({
-        where: {
-            sessionId,
-            [sequelize.Op.or]: [
-                { content: { [sequelize.Op.like]: `%${query}%` } },
-                { contactName: { [sequelize.Op.like]: `%${query}%` } },
-                { locationName: { [sequelize.Op.like]: `%${query}%` } }
+// Kolom yang dicari oleh searchMessages
+const SEARCH_COLUMNS = ['content', 'contactName', 'locationName', 'mediaFileName'];
+const SEARCH_TRIGGERS = ['messages_fts_insert', 'messages_fts_delete', 'messages_fts_update'];
+
+// Aktif setelah setupFullTextSearch berhasil, selain itu search memakai LIKE
+Message.fullTextSearch = false;
+
+/**
+ * Index FTS5 (external content) untuk kolom teks pesan, dijaga trigger pada tabel messages.
+ * sync({ alter }) membuat ulang tabel messages beserta rowid-nya dan menghapus trigger,
+ * sehingga index dibangun ulang setiap trigger hilang.
+ */
+Message.setupFullTextSearch = async function () {
+    if (sequelize.getDialect() !== 'sqlite') {
+        return false;
+    }
+
+    const columns = SEARCH_COLUMNS.join(', ');
+    const values = (prefix) => SEARCH_COLUMNS.map(column => `${prefix}.${column}`).join(', ');
+
+    await sequelize.query(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            ${columns}, content='messages', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+        )`);
+
+    const triggers = await sequelize.query(
+        "SELECT name FROM sqlite_master WHERE type = 'trigger' AND name IN (:names)",
+        { replacements: { names: SEARCH_TRIGGERS }, type: QueryTypes.SELECT }
+    );
+
+    if (triggers.length < SEARCH_TRIGGERS.length) {
+        await sequelize.transaction(async (transaction) => {
+            await sequelize.query(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                    INSERT INTO messages_fts(rowid, ${columns}) VALUES (new.rowid, ${values('new')});
+                END`, { transaction });
+            await sequelize.query(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                    INSERT INTO messages_fts(messages_fts, rowid, ${columns}) VALUES ('delete', old.rowid, ${values('old')});
+                END`, { transaction });
+            await sequelize.query(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF ${columns} ON messages BEGIN
+                    INSERT INTO messages_fts(messages_fts, rowid, ${columns}) VALUES ('delete', old.rowid, ${values('old')});
+                    INSERT INTO messages_fts(rowid, ${columns}) VALUES (new.rowid, ${values('new')});
+                END`, { transaction });
+            await sequelize.query("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')", { transaction });
+        });
+    }
+
+    this.fullTextSearch = true;
+    return true;
+};
+
+/**
+ * Cari pesan tersimpan, terbaru lebih dulu
+ * @param {string} sessionId - ID session
+ * @param {Object} filters - { query, direction, messageType, jid, groupJid, from, to, hasMedia, before, limit }
+ *   before: { createdAt, id } pesan terakhir halaman sebelumnya
+ */
+Message.searchMessages = function (sessionId, filters = {}) {
+    const { query, direction, messageType, jid, groupJid, from, to, hasMedia, before, limit = 50 } = filters;
+    const where = { sessionId };
+    const conditions = [];
+
+    if (query) {
+        if (this.fullTextSearch) {
+            // Tiap kata jadi prefix term, karakter sintaks FTS5 tidak ikut
+            const match = (query.match(/[\p{L}\p{N}_]+/gu) || []).map(term => `"${term}"*`).join(' ');
+            conditions.push(sequelize.literal(
+                `\`Message\`.rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ${sequelize.escape(match || '""')})`
+            ));
+        } else {
+            conditions.push({
+                [Op.or]: SEARCH_COLUMNS.map(column => ({ [column]: { [Op.like]: `%${query}%` } }))
+            });
+        }
+    }
+
+    if (direction) {
+        where.direction = direction;
+    }
+
+    if (messageType) {
+        where.messageType = messageType;
+    }
+
+    if (jid) {
+        conditions.push({ [Op.or]: [{ fromJid: jid }, { toJid: jid }, { groupJid: jid }] });
+    }
+
+    if (groupJid) {
+        where.groupJid = groupJid;
+    }
+
+    if (from || to) {
+        where.createdAt = {
+            ...(from ? { [Op.gte]: from } : {}),
+            ...(to ? { [Op.lte]: to } : {})
+        };
+    }
+
+    if (hasMedia !== undefined) {
+        const mediaTypes = ['IMAGE', 'VIDEO', 'AUDIO', 'DOCUMENT'];
+        conditions.push(hasMedia
+            ? { [Op.or]: [{ messageType: mediaTypes }, { mediaType: { [Op.ne]: null } }] }
+            : { messageType: { [Op.notIn]: mediaTypes }, mediaType: null });
+    }
+
+    if (before) {
+        conditions.push({
+            [Op.or]: [
+                { createdAt: { [Op.lt]: before.createdAt } },
+                { createdAt: before.createdAt, id: { [Op.lt]: before.id } }
             ]
-        },
-        order: [['createdAt', 'DESC']],
+        });
+    }
+
+    if (conditions.length > 0) {
+        where[Op.and] = conditions;
+    }
+
+    return this.findAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
         limit,
         attributes: { exclude: ['rawData'] }
     });
@@ -459,7 +593,7 @@ Message.cleanupOldMessages = async function (olderThanDays = 30) {
     const result = await this.destroy({
         where: {
             createdAt: {
-                [sequelize.Op.lt]: cutoffDate
+                [Op.lt]: cutoffDate
             }
         }
     });
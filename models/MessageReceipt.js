@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Receipt pesan dari messages.update dan message-receipt.update, satu row per tahap per participant
+const MessageReceipt = sequelize.define('MessageReceipt', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    waMessageId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+
+    participant: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: '',
+        comment: 'Group participant JID, empty for the message-level receipt'
+    },
+
+    status: {
+        type: DataTypes.ENUM('pending', 'server_ack', 'delivered', 'read', 'played'),
+        allowNull: false
+    },
+
+    timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'message_receipts',
+    updatedAt: false,
+    indexes: [
+        {
+            // Hanya waktu pertama tiap tahap yang disimpan
+            unique: true,
+            fields: ['sessionId', 'waMessageId', 'participant', 'status']
+        }
+    ]
+});
+
+// Urutan tahap pada timeline
+MessageReceipt.STAGES = ['pending', 'server_ack', 'delivered', 'read', 'played'];
+
+// Association with Session
+MessageReceipt.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+module.exports = MessageReceipt;
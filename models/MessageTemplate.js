@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { extractTemplateVariables } = require('../utils/helper');
+
+// Template teks per session, placeholder {{...}} diisi dari data kontak dan variabel request
+const MessageTemplate = sequelize.define('MessageTemplate', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Unique per session, can be used instead of the ID'
+    },
+
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+
+    description: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'message_templates',
+    indexes: [
+        {
+            unique: true,
+            fields: ['sessionId', 'name']
+        }
+    ]
+});
+
+// Association with Session
+MessageTemplate.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+MessageTemplate.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        name: this.name,
+        body: this.body,
+        description: this.description,
+        variables: extractTemplateVariables(this.body),
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = MessageTemplate;
@@ -0,0 +1,198 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Antrian pesan keluar, satu row per penerima
+const QueuedMessage = sequelize.define('QueuedMessage', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    batchId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Groups rows enqueued by the same request'
+    },
+
+    recipient: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Phone number or JID as given by the caller'
+    },
+
+    type: {
+        type: DataTypes.ENUM('text', 'media', 'location', 'contact'),
+        allowNull: false
+    },
+
+    payload: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Message content and options (JSON)',
+        get() {
+            const value = this.getDataValue('payload');
+            return value ? JSON.parse(value) : {};
+        },
+        set(value) {
+            this.setDataValue('payload', JSON.stringify(value));
+        }
+    },
+
+    mediaPath: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Spooled media file for media messages'
+    },
+
+    priority: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Higher is sent first'
+    },
+
+    status: {
+        type: DataTypes.ENUM('QUEUED', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED'),
+        defaultValue: 'QUEUED'
+    },
+
+    availableAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        comment: 'Not sent before this time'
+    },
+
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    waMessageId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'message_queue',
+    indexes: [
+        {
+            fields: ['sessionId', 'status', 'priority', 'createdAt']
+        },
+        {
+            fields: ['status', 'availableAt']
+        },
+        {
+            fields: ['batchId']
+        }
+    ]
+});
+
+// Association with Session
+QueuedMessage.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+QueuedMessage.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        batchId: this.batchId,
+        to: this.recipient,
+        type: this.type,
+        priority: this.priority,
+        status: this.status,
+        attempts: this.attempts,
+        error: this.error,
+        waMessageId: this.waMessageId,
+        availableAt: this.availableAt,
+        sentAt: this.sentAt,
+        createdAt: this.createdAt
+    };
+};
+
+// Static methods
+QueuedMessage.findNext = function (sessionId) {
+    return this.findOne({
+        where: {
+            sessionId,
+            status: 'QUEUED',
+            availableAt: { [Op.lte]: new Date() }
+        },
+        order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+};
+
+QueuedMessage.findSessionsWithDueMessages = async function () {
+    const rows = await this.findAll({
+        attributes: [[sequelize.fn('DISTINCT', sequelize.col('sessionId')), 'sessionId']],
+        where: {
+            status: 'QUEUED',
+            availableAt: { [Op.lte]: new Date() }
+        },
+        raw: true
+    });
+
+    return rows.map(row => row.sessionId);
+};
+
+QueuedMessage.getSessionCounts = async function (sessionId) {
+    const rows = await this.findAll({
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: { sessionId },
+        group: ['status'],
+        raw: true
+    });
+
+    return rows.reduce((counts, row) => ({ ...counts, [row.status]: Number(row.count) }), {
+        QUEUED: 0,
+        PROCESSING: 0,
+        SENT: 0,
+        FAILED: 0,
+        CANCELLED: 0
+    });
+};
+
+QueuedMessage.getBatchCounts = async function (batchIds) {
+    const rows = await this.findAll({
+        attributes: ['batchId', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: { batchId: batchIds },
+        group: ['batchId', 'status'],
+        raw: true
+    });
+
+    return rows.reduce((batches, row) => {
+        batches[row.batchId] = { ...batches[row.batchId], [row.status]: Number(row.count) };
+        return batches;
+    }, {});
+};
+
+module.exports = QueuedMessage;
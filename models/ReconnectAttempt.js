@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Riwayat percobaan reconnect per session
+const ReconnectAttempt = sequelize.define('ReconnectAttempt', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    attempt: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Attempt number within the current backoff cycle'
+    },
+
+    trigger: {
+        type: DataTypes.ENUM('disconnect', 'restart_required', 'circuit_breaker'),
+        allowNull: false
+    },
+
+    reason: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Disconnect reason that caused the attempt'
+    },
+
+    delayMs: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    outcome: {
+        type: DataTypes.ENUM('pending', 'connected', 'failed'),
+        defaultValue: 'pending'
+    },
+
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'reconnect_attempts',
+    indexes: [
+        {
+            fields: ['sessionId', 'createdAt']
+        },
+        {
+            fields: ['sessionId', 'outcome']
+        }
+    ]
+});
+
+// Association with Session
+ReconnectAttempt.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+ReconnectAttempt.prototype.getSummary = function () {
+    return {
+        attempt: this.attempt,
+        trigger: this.trigger,
+        reason: this.reason,
+        delayMs: this.delayMs,
+        outcome: this.outcome,
+        error: this.error,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+// Static methods
+ReconnectAttempt.resolvePending = function (sessionId, outcome, error = null) {
+    return this.update(
+        { outcome, error, updatedAt: new Date() },
+        { where: { sessionId, outcome: 'pending' } }
+    );
+};
+
+ReconnectAttempt.findRecent = function (sessionId, limit = 10) {
+    return this.findAll({
+        where: { sessionId },
+        order: [['createdAt', 'DESC']],
+        limit
+    });
+};
+
+module.exports = ReconnectAttempt;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ScheduledMessage = require('./ScheduledMessage');
+
+// Satu row per eksekusi jadwal, pengiriman dilacak lewat batch antrian
+const ScheduleRun = sequelize.define('ScheduleRun', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    scheduleId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'scheduled_messages',
+            key: 'id'
+        }
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+
+    dueAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    outcome: {
+        type: DataTypes.ENUM('queued', 'skipped', 'failed'),
+        allowNull: false
+    },
+
+    batchId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Message queue batch created by this run'
+    },
+
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the run was skipped, sent late or failed'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'schedule_runs',
+    indexes: [
+        {
+            fields: ['scheduleId', 'createdAt']
+        }
+    ]
+});
+
+ScheduledMessage.hasMany(ScheduleRun, {
+    foreignKey: 'scheduleId',
+    as: 'runs'
+});
+
+ScheduleRun.belongsTo(ScheduledMessage, {
+    foreignKey: 'scheduleId',
+    as: 'schedule'
+});
+
+// Instance methods
+ScheduleRun.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        dueAt: this.dueAt,
+        outcome: this.outcome,
+        batchId: this.batchId,
+        reason: this.reason,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = ScheduleRun;
@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Pesan terjadwal: sekali kirim (sendAt) atau berulang (cron)
+const ScheduledMessage = sequelize.define('ScheduledMessage', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+
+    sessionId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    type: {
+        type: DataTypes.ENUM('text', 'media', 'location', 'contact'),
+        allowNull: false
+    },
+
+    recipients: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Phone numbers or JIDs (JSON array)',
+        get() {
+            const value = this.getDataValue('recipients');
+            return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+            this.setDataValue('recipients', JSON.stringify(value));
+        }
+    },
+
+    payload: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Message content and options as given by the caller (JSON)',
+        get() {
+            const value = this.getDataValue('payload');
+            return value ? JSON.parse(value) : {};
+        },
+        set(value) {
+            this.setDataValue('payload', JSON.stringify(value));
+        }
+    },
+
+    mediaPath: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Spooled media file for media schedules'
+    },
+
+    sendAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'One-off send time'
+    },
+
+    cron: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Cron expression for recurring schedules'
+    },
+
+    timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'IANA timezone for the cron expression'
+    },
+
+    endAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Recurring schedule stops after this time'
+    },
+
+    missedPolicy: {
+        type: DataTypes.ENUM('send_late', 'skip'),
+        defaultValue: 'send_late',
+        comment: 'What to do with a run that comes due while the session is offline'
+    },
+
+    priority: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'),
+        defaultValue: 'ACTIVE'
+    },
+
+    runCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+
+    lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'scheduled_messages',
+    indexes: [
+        {
+            fields: ['sessionId', 'status']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Association with Session
+ScheduledMessage.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+// Instance methods
+ScheduledMessage.prototype.getSummary = function () {
+    return {
+        id: this.id,
+        sessionId: this.sessionId,
+        type: this.type,
+        to: this.recipients,
+        payload: this.payload,
+        sendAt: this.sendAt,
+        cron: this.cron,
+        timezone: this.timezone,
+        endAt: this.endAt,
+        missedPolicy: this.missedPolicy,
+        priority: this.priority,
+        status: this.status,
+        runCount: this.runCount,
+        lastRunAt: this.lastRunAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+ScheduledMessage.prototype.isRecurring = function () {
+    return !!this.cron;
+};
+
+module.exports = ScheduledMessage;
@@ -27,7 +27,7 @@ const Session = sequelize.define('Session', {
     },
 
     status: {
-        type: DataTypes.ENUM('CONNECTING', 'CONNECTED', 'DISCONNECTED', 'BANNED', 'QR_GENERATED', 'PAIRING'),
+        type: DataTypes.ENUM('CONNECTING', 'CONNECTED', 'DISCONNECTED', 'BANNED', 'QR_GENERATED', 'PAIRING', 'RESTART_REQUIRED', 'QR_EXPIRED', 'STALLED', 'RECONNECT_EXHAUSTED', 'LOGGED_OUT'),
         defaultValue: 'DISCONNECTED',
         allowNull: false
     },
@@ -121,6 +121,13 @@ const Session = sequelize.define('Session', {
         defaultValue: true
     },
 
+    // Pemilik session, null jika dibuat dengan master key
+    ownerKeyId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'API key that created this session'
+    },
+
     notes: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -151,6 +158,9 @@ const Session = sequelize.define('Session', {
         {
             fields: ['isActive']
         },
+        {
+            fields: ['ownerKeyId']
+        },
         {
             fields: ['lastConnectedAt']
         }
@@ -170,7 +180,7 @@ Session.prototype.updateStatus = async function (status, additionalData = {}) {
             this.phone = additionalData.userInfo.id?.split('@')[0];
             this.jid = additionalData.userInfo.id;
         }
-    } else if (status === 'DISCONNECTED' || status === 'BANNED') {
+    } else if (status === 'DISCONNECTED' || status === 'BANNED' || status === 'RECONNECT_EXHAUSTED' || status === 'LOGGED_OUT') {
         this.lastDisconnectedAt = new Date();
 
         if (additionalData.error) {
@@ -278,7 +288,7 @@ Session.cleanupInactiveSessions = async function (olderThanDays = 7) {
         { isActive: false },
         {
             where: {
-                status: ['DISCONNECTED', 'BANNED'],
+                status: ['DISCONNECTED', 'BANNED', 'RECONNECT_EXHAUSTED', 'LOGGED_OUT'],
                 updatedAt: {
                     [sequelize.Op.lt]: cutoffDate
                 },
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Chat dari event Baileys, composite primary key (sessionId, id) agar bisa di-upsert
+const StoreChat = sequelize.define('StoreChat', {
+    sessionId: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    id: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Chat JID'
+    },
+
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+
+    conversationTimestamp: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Unix timestamp (seconds) of the last message'
+    },
+
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Serialized chat object (JSON with BufferJSON encoding)'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'store_chats',
+    indexes: [
+        {
+            fields: ['sessionId', 'conversationTimestamp']
+        }
+    ]
+});
+
+// Association with Session
+StoreChat.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+module.exports = StoreChat;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Kontak dari event Baileys, composite primary key (sessionId, id) agar bisa di-upsert
+const StoreContact = sequelize.define('StoreContact', {
+    sessionId: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    id: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Contact JID'
+    },
+
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Serialized contact object (JSON)'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'store_contacts',
+    indexes: [
+        {
+            fields: ['sessionId']
+        }
+    ]
+});
+
+// Association with Session
+StoreContact.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+module.exports = StoreContact;
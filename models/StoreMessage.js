@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Pesan mentah (WAMessage) dari event Baileys, composite primary key (sessionId, jid, id)
+const StoreMessage = sequelize.define('StoreMessage', {
+    sessionId: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        references: {
+            model: 'sessions',
+            key: 'id'
+        }
+    },
+
+    jid: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Remote JID (chat)'
+    },
+
+    id: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'WhatsApp message ID'
+    },
+
+    fromMe: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+
+    timestamp: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Unix timestamp (seconds)'
+    },
+
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Serialized WAMessage (JSON with BufferJSON encoding)'
+    },
+
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'store_messages',
+    indexes: [
+        {
+            fields: ['sessionId', 'jid', 'timestamp']
+        }
+    ]
+});
+
+// Association with Session
+StoreMessage.belongsTo(require('./Session'), {
+    foreignKey: 'sessionId',
+    as: 'session'
+});
+
+module.exports = StoreMessage;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const adminController = require('../controllers/adminController');
+
+// Import middleware
+const {
+    validateApiKey,
+    requireMasterKey
+} = require('../middleware/auth');
+
+const {
+    validate,
+    schemas
+} = require('../middleware/validation');
+
+// Catatan: sanitizeInput tidak dipakai di sini karena akan mengubah password dan array scopes
+
+/**
+ * POST /api/admin/login
+ * Login admin user, tanpa API key
+ * Body: { username, password }
+ */
+router.post('/login',
+    validate(schemas.adminLogin),
+    adminController.login
+);
+
+/**
+ * POST /api/admin/refresh
+ * Tukar refresh token dengan access token baru
+ * Body: { refreshToken }
+ */
+router.post('/refresh',
+    validate(schemas.adminRefresh),
+    adminController.refresh
+);
+
+/**
+ * Endpoint di bawah ini butuh master key atau user dengan role admin
+ */
+router.use(validateApiKey);
+router.use(requireMasterKey);
+
+/**
+ * POST /api/admin/keys
+ * Create API key baru
+ * Body: { name, scopes }
+ */
+router.post('/keys',
+    validate(schemas.createApiKey),
+    adminController.createApiKey
+);
+
+/**
+ * GET /api/admin/keys
+ * List semua API key
+ */
+router.get('/keys', adminController.listApiKeys);
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke API key
+ */
+router.delete('/keys/:keyId', adminController.revokeApiKey);
+
+/**
+ * POST /api/admin/users
+ * Create admin user
+ * Body: { username, password, role }
+ */
+router.post('/users',
+    validate(schemas.createAdminUser),
+    adminController.createUser
+);
+
+/**
+ * GET /api/admin/users
+ * List admin user
+ */
+router.get('/users', adminController.listUsers);
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Nonaktifkan admin user
+ */
+router.delete('/users/:userId', adminController.deactivateUser);
+
+module.exports = router;
@@ -9,19 +9,22 @@ const {
     sanitizeInput,
     sessionRateLimit,
     validateRequired,
-    requestTimeout
+    requestTimeout,
+    requireScope
 } = require('../middleware/auth');
 
 const {
     validate,
     schemas,
     validateSessionExists,
-    validateWebhookUrl
+    validateWebhookUrl,
+    bundleUpload
 } = require('../middleware/validation');
 
 /**
  * Apply middleware untuk semua auth routes
  */
+router.use(requireScope('sessions:admin'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 router.use(requestTimeout(30000)); // 30 detik timeout
@@ -52,6 +55,7 @@ router.post('/connect',
  * Query params: format=base64|image (default: base64)
  */
 router.get('/qr/:sessionId',
+    validateSessionExists,
     (req, res, next) => {
         // Validate sessionId parameter
         if (!req.params.sessionId) {
@@ -65,11 +69,21 @@ router.get('/qr/:sessionId',
     authController.getQRCode
 );
 
+/**
+ * GET /api/auth/qr/:sessionId/stream
+ * Server-Sent Events: qr, pairing_code, paired, state, lalu connected atau expired sebelum stream ditutup
+ */
+router.get('/qr/:sessionId/stream',
+    validateSessionExists,
+    authController.streamQRCode
+);
+
 /**
  * GET /api/auth/status/:sessionId
  * Get session status and information
  */
 router.get('/status/:sessionId',
+    validateSessionExists,
     (req, res, next) => {
         if (!req.params.sessionId) {
             return res.status(400).json({
@@ -105,8 +119,12 @@ router.post('/logout',
 /**
  * GET /api/auth/sessions
  * Get all sessions with their status
+ * Query: label (dipisah koma), state, owner, search, sortBy, sortOrder, limit, offset
  */
-router.get('/sessions', authController.getAllSessions);
+router.get('/sessions',
+    validate(schemas.listSessions, 'query'),
+    authController.getAllSessions
+);
 
 /**
  * PUT /api/auth/config
@@ -155,6 +173,7 @@ router.post('/restart',
  * Get detailed session information
  */
 router.get('/session-info/:sessionId',
+    validateSessionExists,
     (req, res, next) => {
         if (!req.params.sessionId) {
             return res.status(400).json({
@@ -164,7 +183,7 @@ router.get('/session-info/:sessionId',
         }
         next();
     },
-    (req, res) => {
+    async (req, res) => {
         try {
             const { sessionId } = req.params;
             const sessionManager = require('../services/sessionManager');
@@ -179,11 +198,14 @@ router.get('/session-info/:sessionId',
             }
 
             const state = sessionManager.getSessionState(sessionId);
-            const config = sessionManager.getSessionConfig(sessionId);
+            const config = sessionManager.getPublicSessionConfig(sessionId);
             const sock = sessionManager.getSession(sessionId);
             const store = whatsappService.getStore(sessionId);
+            const storeStats = store ? await store.getStats() : { chats: 0, contacts: 0, messages: 0 };
             const webhookStats = webhookService.getWebhookStats(sessionId);
             const pendingWebhooks = webhookService.getPendingWebhooksCount(sessionId);
+            const record = await sessionManager.getSessionRecord(sessionId);
+            const reconnectHistory = await whatsappService.getReconnectHistory(sessionId);
 
             const sessionInfo = {
                 sessionId: sessionId,
@@ -191,17 +213,24 @@ router.get('/session-info/:sessionId',
                 connected: sessionManager.isSessionConnected(sessionId),
                 config: config,
                 user: sock?.user || null,
-                chats: store ? Object.keys(store.chats).length : 0,
-                contacts: store ? Object.keys(store.contacts).length : 0,
-                messages: store ? Object.keys(store.messages).reduce((total, jid) => total + store.messages[jid].length, 0) : 0,
+                chats: storeStats.chats,
+                contacts: storeStats.contacts,
+                messages: storeStats.messages,
                 webhooks: {
                     ...webhookStats,
                     pending: pendingWebhooks
                 },
+                connectionCount: record?.connectionCount || 0,
+                errorCount: record?.errorCount || 0,
+                lastError: record?.lastError || null,
+                reconnect: {
+                    attempts: whatsappService.reconnectAttempts.get(sessionId) || 0,
+                    history: reconnectHistory
+                },
                 timestamps: {
-                    created: config.createdAt || null,
-                    lastConnected: null, // TODO: track this
-                    lastDisconnected: null // TODO: track this
+                    created: record?.createdAt || null,
+                    lastConnected: record?.lastConnectedAt || null,
+                    lastDisconnected: record?.lastDisconnectedAt || null
                 }
             };
 
@@ -220,11 +249,33 @@ router.get('/session-info/:sessionId',
     }
 );
 
+/**
+ * GET /api/auth/session/:sessionId/export
+ * Export session (auth state, store, stats, config) menjadi bundle terenkripsi
+ * Header: X-Bundle-Passphrase
+ */
+router.get('/session/:sessionId/export',
+    validateSessionExists,
+    authController.exportSession
+);
+
+/**
+ * POST /api/auth/session/import
+ * Import session dari bundle hasil export
+ * Multipart: bundle (file), passphrase, sessionId (opsional), connect (opsional)
+ */
+router.post('/session/import',
+    bundleUpload.single('bundle'),
+    validate(schemas.importSession),
+    authController.importSession
+);
+
 /**
  * DELETE /api/auth/session/:sessionId
  * Delete session completely
  */
 router.delete('/session/:sessionId',
+    validateSessionExists,
     (req, res, next) => {
         if (!req.params.sessionId) {
             return res.status(400).json({
@@ -267,6 +318,32 @@ router.delete('/session/:sessionId',
     }
 );
 
+/**
+ * POST /api/auth/bulk-connect
+ * Connect banyak session dengan concurrency terbatas (urut bootPriority)
+ * Body: { sessionIds: [], all: false, concurrency }
+ */
+router.post('/bulk-connect',
+    validate(schemas.bulkSessions),
+    authController.bulkConnect
+);
+
+/**
+ * POST /api/auth/bulk-disconnect
+ * Disconnect banyak session tanpa reconnect otomatis
+ * Body: { sessionIds: [], all: false, concurrency }
+ */
+router.post('/bulk-disconnect',
+    validate(schemas.bulkSessions),
+    authController.bulkDisconnect
+);
+
+/**
+ * GET /api/auth/bulk/:jobId
+ * Get progress bulk connect/disconnect
+ */
+router.get('/bulk/:jobId', authController.getBulkJob);
+
 /**
  * POST /api/auth/bulk-create
  * Create multiple sessions at once
@@ -300,12 +377,12 @@ router.post('/bulk-create',
             for (const sessionData of sessions) {
                 try {
                     const { sessionId, config = {} } = sessionData;
-                    const newSessionId = sessionManager.createSession(sessionId, config);
+                    const newSessionId = await sessionManager.createSession(sessionId, config, req.apiKey?.id);
 
                     results.push({
                         sessionId: newSessionId,
                         success: true,
-                        config: sessionManager.getSessionConfig(newSessionId)
+                        config: sessionManager.getPublicSessionConfig(newSessionId)
                     });
                 } catch (error) {
                     results.push({
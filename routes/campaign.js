@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const campaignController = require('../controllers/campaignController');
+
+// Import middleware
+const {
+    sanitizeInput,
+    sessionRateLimit,
+    requestTimeout,
+    requireScope
+} = require('../middleware/auth');
+
+const {
+    validate,
+    schemas,
+    campaignUpload,
+    parseJsonFields,
+    uploadRateLimit,
+    validateSessionExists
+} = require('../middleware/validation');
+
+const { idempotency } = require('../middleware/idempotency');
+
+/**
+ * Apply middleware untuk semua campaign routes
+ */
+// Membuat dan mengatur campaign butuh messages:send, melihat progress butuh messages:read
+router.use(requireScope('messages:send', 'messages:read'));
+router.use(sanitizeInput);
+router.use(sessionRateLimit);
+router.use(requestTimeout(60000)); // 60 detik timeout untuk upload media dan CSV
+
+/**
+ * POST /api/campaign
+ * Buat campaign broadcast
+ * JSON, atau multipart dengan field media (file pesan) dan recipients (CSV penerima)
+ */
+router.post('/',
+    uploadRateLimit,
+    campaignUpload.fields([
+        { name: 'media', maxCount: 1 },
+        { name: 'recipients', maxCount: 1 }
+    ]),
+    parseJsonFields('payload', 'numbers', 'tags'),
+    idempotency,
+    validate(schemas.createCampaign),
+    validateSessionExists,
+    campaignController.createCampaign
+);
+
+/**
+ * GET /api/campaign/:sessionId
+ * Get daftar campaign session
+ * Query: status, limit, offset
+ */
+router.get('/:sessionId',
+    validate(schemas.listCampaigns, 'query'),
+    validateSessionExists,
+    campaignController.listCampaigns
+);
+
+/**
+ * GET /api/campaign/:sessionId/:campaignId
+ * Get campaign beserta progress
+ */
+router.get('/:sessionId/:campaignId',
+    validateSessionExists,
+    campaignController.getCampaign
+);
+
+/**
+ * GET /api/campaign/:sessionId/:campaignId/recipients
+ * Get status per penerima
+ * Query: status, limit, offset
+ */
+router.get('/:sessionId/:campaignId/recipients',
+    validate(schemas.listCampaignRecipients, 'query'),
+    validateSessionExists,
+    campaignController.getRecipients
+);
+
+/**
+ * POST /api/campaign/:sessionId/:campaignId/pause
+ * Pause campaign
+ */
+router.post('/:sessionId/:campaignId/pause',
+    validateSessionExists,
+    campaignController.pauseCampaign
+);
+
+/**
+ * POST /api/campaign/:sessionId/:campaignId/resume
+ * Lanjutkan campaign yang di-pause
+ */
+router.post('/:sessionId/:campaignId/resume',
+    validateSessionExists,
+    campaignController.resumeCampaign
+);
+
+/**
+ * POST /api/campaign/:sessionId/:campaignId/cancel
+ * Batalkan campaign
+ */
+router.post('/:sessionId/:campaignId/cancel',
+    validateSessionExists,
+    campaignController.cancelCampaign
+);
+
+module.exports = router;
@@ -5,7 +5,8 @@ const router = express.Router();
 const {
     sanitizeInput,
     sessionRateLimit,
-    validateRequired
+    validateRequired,
+    requireScope
 } = require('../middleware/auth');
 
 const {
@@ -19,6 +20,8 @@ const { logWithSession } = require('../utils/logger');
 /**
  * Apply middleware untuk semua contact routes
  */
+// Aksi chat butuh messages:send, baca kontak dan chat (GET) butuh messages:read
+router.use(requireScope('messages:send', 'messages:read'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 
@@ -27,6 +30,7 @@ router.use(sessionRateLimit);
  * Get contact list
  */
 router.get('/list/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -58,22 +62,20 @@ router.get('/list/:sessionId',
             }
 
             // Get contacts from store
-            const contacts = Object.values(store.contacts || {});
-
-            // Apply pagination
-            const startIndex = parseInt(offset);
-            const endIndex = startIndex + parseInt(limit);
-            const paginatedContacts = contacts.slice(startIndex, endIndex);
+            const { contacts, total } = await store.getContacts({
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
 
             res.json({
                 success: true,
                 message: 'Contact list retrieved',
                 data: {
-                    contacts: paginatedContacts,
-                    total: contacts.length,
+                    contacts,
+                    total,
                     limit: parseInt(limit),
                     offset: parseInt(offset),
-                    hasMore: endIndex < contacts.length
+                    hasMore: parseInt(offset) + contacts.length < total
                 }
             });
 
@@ -91,6 +93,7 @@ router.get('/list/:sessionId',
  * Get contact profile information
  */
 router.get('/profile/:sessionId/:jid',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId, jid } = req.params;
@@ -256,6 +259,7 @@ router.post('/unblock',
  * Get blocked contacts list
  */
 router.get('/blocked/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -323,7 +327,7 @@ router.post('/presence',
             // Get current presence from store
             const whatsappService = require('../services/whatsappService');
             const store = whatsappService.getStore(sessionId);
-            const presence = store?.presences?.[targetJid] || null;
+            const presence = store?.getPresence(targetJid) || null;
 
             res.json({
                 success: true,
@@ -380,11 +384,54 @@ router.post('/check-exists',
     }
 );
 
+/**
+ * GET /api/contact/calls/:sessionId
+ * Get call log (panggilan masuk dan aksi call policy)
+ * Query: limit, offset, from (nomor atau JID penelepon)
+ */
+router.get('/calls/:sessionId',
+    validateSessionExists,
+    async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { limit = 50, offset = 0, from } = req.query;
+            const sessionManager = require('../services/sessionManager');
+            const callService = require('../services/callService');
+            const config = sessionManager.getSessionConfig(sessionId);
+
+            const { calls, total } = await callService.getCallLog(sessionId, {
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                from: from ? (from.includes('@') ? from : formatToWhatsAppId(from, config.countryCode)) : null
+            });
+
+            res.json({
+                success: true,
+                message: 'Call log retrieved',
+                data: {
+                    calls,
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + calls.length < total
+                }
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+);
+
 /**
  * GET /api/contact/chats/:sessionId
  * Get chat list
  */
 router.get('/chats/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -415,26 +462,21 @@ router.get('/chats/:sessionId',
                 });
             }
 
-            // Get chats from store
-            const chats = Object.values(store.chats || {});
-
-            // Sort by last message timestamp
-            chats.sort((a, b) => (b.conversationTimestamp || 0) - (a.conversationTimestamp || 0));
-
-            // Apply pagination
-            const startIndex = parseInt(offset);
-            const endIndex = startIndex + parseInt(limit);
-            const paginatedChats = chats.slice(startIndex, endIndex);
+            // Get chats from store, sorted by last message timestamp
+            const { chats, total } = await store.getChats({
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
 
             res.json({
                 success: true,
                 message: 'Chat list retrieved',
                 data: {
-                    chats: paginatedChats,
-                    total: chats.length,
+                    chats,
+                    total,
                     limit: parseInt(limit),
                     offset: parseInt(offset),
-                    hasMore: endIndex < chats.length
+                    hasMore: parseInt(offset) + chats.length < total
                 }
             });
 
@@ -5,7 +5,8 @@ const router = express.Router();
 const {
     sanitizeInput,
     sessionRateLimit,
-    validateRequired
+    validateRequired,
+    requireScope
 } = require('../middleware/auth');
 
 const {
@@ -19,6 +20,7 @@ const { logWithSession } = require('../utils/logger');
 /**
  * Apply middleware untuk semua group routes
  */
+router.use(requireScope('groups:manage'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 
@@ -374,6 +376,7 @@ router.post('/leave',
  * Get group information
  */
 router.get('/info/:sessionId/:groupId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId, groupId } = req.params;
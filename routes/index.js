@@ -4,10 +4,13 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth');
 const messageRoutes = require('./message');
+const campaignRoutes = require('./campaign');
+const templateRoutes = require('./template');
 const groupRoutes = require('./group');
 const contactRoutes = require('./contact');
 const statusRoutes = require('./status');
 const webhookRoutes = require('./webhook');
+const adminRoutes = require('./admin');
 
 // Import middleware
 const { validateApiKey, logRequest } = require('../middleware/auth');
@@ -66,15 +69,21 @@ router.get('/info', (req, res) => {
                 'Auto Read Messages',
                 'Typing Indicators',
                 'Custom Delays',
-                'Rate Limiting'
+                'Rate Limiting',
+                'Scheduled Messages',
+                'Broadcast Campaigns',
+                'Message Templates'
             ],
             endpoints: {
                 auth: '/api/auth/*',
                 message: '/api/message/*',
+                campaign: '/api/campaign/*',
+                template: '/api/template/*',
                 group: '/api/group/*',
                 contact: '/api/contact/*',
                 status: '/api/status/*',
-                webhook: '/api/webhook/*'
+                webhook: '/api/webhook/*',
+                admin: '/api/admin/*'
             }
         }
     });
@@ -92,33 +101,78 @@ router.get('/docs', (req, res) => {
             authentication: {
                 type: 'API Key',
                 header: 'x-api-key',
-                alternative: 'Authorization: Bearer <api-key>'
+                alternative: 'Authorization: Bearer <api-key>',
+                adminUsers: 'Authorization: Bearer <access-token> from POST /admin/login'
             },
             endpoints: {
+                admin: {
+                    'POST /admin/login': 'Login admin user, returns access and refresh tokens',
+                    'POST /admin/refresh': 'Exchange refresh token for new tokens',
+                    'POST /admin/users': 'Create admin user with role admin, operator or viewer (admin only)',
+                    'GET /admin/users': 'List admin users (admin only)',
+                    'DELETE /admin/users/:userId': 'Deactivate admin user (admin only)',
+                    'POST /admin/keys': 'Create API key with optional scopes (master key only)',
+                    'GET /admin/keys': 'List API keys (master key only)',
+                    'DELETE /admin/keys/:keyId': 'Revoke API key (master key only)'
+                },
                 authentication: {
                     'POST /auth/create-session': 'Create new WhatsApp session',
                     'POST /auth/connect': 'Connect session to WhatsApp',
                     'GET /auth/qr/:sessionId': 'Get QR code for scanning',
+                    'GET /auth/qr/:sessionId/stream': 'Stream QR codes and login result (Server-Sent Events)',
                     'GET /auth/status/:sessionId': 'Get session status',
                     'POST /auth/disconnect': 'Disconnect session',
                     'POST /auth/logout': 'Logout and delete session',
-                    'GET /auth/sessions': 'Get all sessions',
+                    'GET /auth/sessions': 'Get sessions (filter: label, state, owner, search; sortBy, sortOrder, limit, offset)',
                     'PUT /auth/config': 'Update session configuration',
                     'POST /auth/pairing-code': 'Get pairing code',
                     'POST /auth/check-number': 'Check if number exists on WhatsApp',
-                    'POST /auth/restart': 'Restart session'
+                    'POST /auth/restart': 'Restart session',
+                    'GET /auth/session/:sessionId/export': 'Export session as encrypted bundle (header X-Bundle-Passphrase)',
+                    'POST /auth/session/import': 'Import session from encrypted bundle',
+                    'POST /auth/bulk-connect': 'Connect many sessions with limited concurrency',
+                    'POST /auth/bulk-disconnect': 'Disconnect many sessions',
+                    'GET /auth/bulk/:jobId': 'Get bulk connect/disconnect progress'
                 },
                 messaging: {
-                    'POST /message/send-text': 'Send text message',
-                    'POST /message/send-media': 'Send media message (image, video, audio, document)',
-                    'POST /message/send-location': 'Send location message',
-                    'POST /message/send-contact': 'Send contact message',
+                    'POST /message/send-text': 'Queue text message',
+                    'POST /message/send-media': 'Queue media message (image, video, audio, document)',
+                    'POST /message/send-location': 'Queue location message',
+                    'POST /message/send-contact': 'Queue contact message',
+                    'GET /message/queue/:sessionId': 'Get outbound message queue',
+                    'DELETE /message/queue/:sessionId/:messageId': 'Cancel queued message',
+                    'POST /message/retry': 'Retry failed messages by ID or all failed messages of a session',
+                    'POST /message/schedule': 'Schedule one-off (sendAt) or recurring (cron) message',
+                    'GET /message/schedule/:sessionId': 'List message schedules',
+                    'GET /message/schedule/:sessionId/:scheduleId': 'Get schedule with run history',
+                    'PUT /message/schedule/:sessionId/:scheduleId': 'Update, pause or resume schedule',
+                    'DELETE /message/schedule/:sessionId/:scheduleId': 'Cancel schedule',
                     'POST /message/send-reaction': 'Send reaction to message',
                     'POST /message/forward': 'Forward message',
                     'POST /message/delete': 'Delete message',
                     'POST /message/edit': 'Edit message',
                     'POST /message/download-media': 'Download media from message',
-                    'GET /message/history/:sessionId/:jid': 'Get message history'
+                    'GET /message/history/:sessionId/:jid': 'Get message history',
+                    'GET /message/status/:sessionId/:messageId': 'Get message status timeline with per-participant receipts',
+                    'GET /message/search/:sessionId': 'Search stored messages (full-text, filters, cursor pagination)',
+                    'GET /message/export/:sessionId/:jid': 'Export conversation as JSON, CSV, HTML or TXT, optionally zipped with media'
+                },
+                campaigns: {
+                    'POST /campaign': 'Create broadcast campaign (numbers, contact tags or CSV upload)',
+                    'GET /campaign/:sessionId': 'List campaigns with progress',
+                    'GET /campaign/:sessionId/:campaignId': 'Get campaign progress',
+                    'GET /campaign/:sessionId/:campaignId/recipients': 'Get per-recipient status',
+                    'POST /campaign/:sessionId/:campaignId/pause': 'Pause campaign',
+                    'POST /campaign/:sessionId/:campaignId/resume': 'Resume campaign',
+                    'POST /campaign/:sessionId/:campaignId/cancel': 'Cancel campaign'
+                },
+                templates: {
+                    'POST /template': 'Create message template with {{placeholders}}',
+                    'GET /template/:sessionId': 'List templates',
+                    'GET /template/:sessionId/:template': 'Get template by ID or name',
+                    'PUT /template/:sessionId/:template': 'Update template',
+                    'DELETE /template/:sessionId/:template': 'Delete template',
+                    'POST /template/:sessionId/:template/preview': 'Render template for recipients without sending'
                 },
                 groups: {
                     'POST /group/create': 'Create group',
@@ -139,7 +193,8 @@ router.get('/docs', (req, res) => {
                     'GET /contact/profile/:sessionId/:jid': 'Get contact profile',
                     'POST /contact/block': 'Block contact',
                     'POST /contact/unblock': 'Unblock contact',
-                    'GET /contact/blocked/:sessionId': 'Get blocked contacts'
+                    'GET /contact/blocked/:sessionId': 'Get blocked contacts',
+                    'GET /contact/calls/:sessionId': 'Get call log'
                 },
                 status: {
                     'POST /status/update-presence': 'Update presence (online/offline)',
@@ -197,12 +252,18 @@ router.get('/docs', (req, res) => {
                 readMessageDelay: 'Delay before marking message as read (ms)',
                 showTyping: 'Show typing indicator (boolean)',
                 autoRead: 'Auto read incoming messages (boolean)',
-                checkNumber: 'Check if number exists before sending (boolean)'
+                checkNumber: 'Check if number exists before sending (boolean)',
+                authStore: 'Where credentials are stored: file or database'
             }
         }
     });
 });
 
+/**
+ * Admin routes punya endpoint login tanpa API key, validasi dilakukan di dalam router
+ */
+router.use('/admin', adminRoutes);
+
 /**
  * Apply global middleware untuk semua API routes
  */
@@ -214,6 +275,8 @@ router.use(logRequest);
  */
 router.use('/auth', authRoutes);
 router.use('/message', messageRoutes);
+router.use('/campaign', campaignRoutes);
+router.use('/template', templateRoutes);
 router.use('/group', groupRoutes);
 router.use('/contact', contactRoutes);
 router.use('/status', statusRoutes);
@@ -234,10 +297,13 @@ router.all('*', (req, res) => {
             'GET /api/docs',
             'POST /api/auth/*',
             'POST /api/message/*',
+            'POST /api/campaign/*',
+            'POST /api/template/*',
             'POST /api/group/*',
             'GET /api/contact/*',
             'POST /api/status/*',
-            'POST /api/webhook/*'
+            'POST /api/webhook/*',
+            'POST /api/admin/*'
         ]
     });
 });
@@ -3,13 +3,15 @@ const router = express.Router();
 
 // Import controllers
 const messageController = require('../controllers/messageController');
+const scheduleController = require('../controllers/scheduleController');
 
 // Import middleware
 const {
     sanitizeInput,
     sessionRateLimit,
     validateRequired,
-    requestTimeout
+    requestTimeout,
+    requireScope
 } = require('../middleware/auth');
 
 const {
@@ -22,12 +24,18 @@ const {
     validateSessionConnected,
     uploadRateLimit,
     validateTextLength,
-    validateRecipientsLimit
+    validateRecipientsLimit,
+    parseJsonFields,
+    validateTemplateVariables
 } = require('../middleware/validation');
 
+const { idempotency } = require('../middleware/idempotency');
+
 /**
  * Apply middleware untuk semua message routes
  */
+// Kirim pesan butuh messages:send, baca riwayat (GET) butuh messages:read
+router.use(requireScope('messages:send', 'messages:read'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 router.use(requestTimeout(60000)); // 60 detik timeout untuk upload media
@@ -37,9 +45,9 @@ router.use(requestTimeout(60000)); // 60 detik timeout untuk upload media
  * Send text message to single or multiple recipients
  */
 router.post('/send-text',
+    idempotency,
     validate(schemas.sendText),
     validateSessionExists,
-    validateSessionConnected,
     validatePhoneNumbers,
     validateTextLength,
     validateRecipientsLimit(100),
@@ -49,21 +57,38 @@ router.post('/send-text',
 /**
  * POST /api/message/send-media
  * Send media message (image, video, audio, document)
+ * Multipart dengan field media, atau JSON dengan mediaUrl (diunduh server)
  */
 router.post('/send-media',
     uploadRateLimit,
     upload.single('media'),
+    parseJsonFields('variables'),
+    idempotency,
     (req, res, next) => {
-        if (!req.file) {
+        if (!req.file && !req.body.mediaUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'Media file or mediaUrl is required'
+            });
+        }
+
+        if (req.file && req.body.mediaUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide either a media file or mediaUrl, not both'
+            });
+        }
+
+        if (req.body.mediaUrl !== undefined && (typeof req.body.mediaUrl !== 'string' || req.body.mediaUrl.length > 2048)) {
             return res.status(400).json({
                 success: false,
-                error: 'Media file is required'
+                error: 'mediaUrl must be a URL string of at most 2048 characters'
             });
         }
         next();
     },
+    validateTemplateVariables,
     validateSessionExists,
-    validateSessionConnected,
     validatePhoneNumbers,
     validateMediaType,
     validateRecipientsLimit(50), // Lebih sedikit untuk media karena ukuran file
@@ -75,9 +100,9 @@ router.post('/send-media',
  * Send location message
  */
 router.post('/send-location',
+    idempotency,
     validate(schemas.sendLocation),
     validateSessionExists,
-    validateSessionConnected,
     validatePhoneNumbers,
     validateRecipientsLimit(100),
     messageController.sendLocation
@@ -88,19 +113,139 @@ router.post('/send-location',
  * Send contact message
  */
 router.post('/send-contact',
+    idempotency,
     validate(schemas.sendContact),
     validateSessionExists,
-    validateSessionConnected,
     validatePhoneNumbers,
     validateRecipientsLimit(100),
     messageController.sendContact
 );
 
+/**
+ * GET /api/message/search/:sessionId
+ * Cari pesan tersimpan (full-text), terbaru lebih dulu
+ * Query: q, direction, type, jid, groupJid, from, to, hasMedia, cursor, limit
+ */
+router.get('/search/:sessionId',
+    validate(schemas.searchMessages, 'query'),
+    validateSessionExists,
+    messageController.searchMessages
+);
+
+/**
+ * GET /api/message/export/:sessionId/:jid
+ * Export seluruh percakapan satu chat (stream)
+ * Query: format (json, csv, html, txt), from, to, media (zip bersama file media)
+ */
+router.get('/export/:sessionId/:jid',
+    validate(schemas.exportConversation, 'query'),
+    validateSessionExists,
+    messageController.exportConversation
+);
+
+/**
+ * GET /api/message/status/:sessionId/:messageId
+ * Get timeline status pesan berdasarkan ID WhatsApp, termasuk receipt per participant untuk group
+ */
+router.get('/status/:sessionId/:messageId',
+    validateSessionExists,
+    messageController.getMessageStatus
+);
+
+/**
+ * GET /api/message/queue/:sessionId
+ * Get antrian pesan keluar session
+ * Query: status, limit, offset
+ */
+router.get('/queue/:sessionId',
+    validate(schemas.listQueue, 'query'),
+    validateSessionExists,
+    messageController.getQueue
+);
+
+/**
+ * DELETE /api/message/queue/:sessionId/:messageId
+ * Batalkan pesan yang masih QUEUED
+ */
+router.delete('/queue/:sessionId/:messageId',
+    validateSessionExists,
+    messageController.cancelQueuedMessage
+);
+
+/**
+ * POST /api/message/retry
+ * Kirim ulang pesan gagal berdasarkan ID, atau semua pesan gagal session jika ids kosong
+ */
+router.post('/retry',
+    validate(schemas.retryMessages),
+    validateSessionExists,
+    messageController.retryMessages
+);
+
+/**
+ * POST /api/message/schedule
+ * Jadwalkan pesan sekali kirim (sendAt) atau berulang (cron)
+ * JSON, atau multipart dengan field media dan payload berupa string JSON untuk tipe media
+ */
+router.post('/schedule',
+    upload.single('media'),
+    parseJsonFields('payload', 'to'),
+    idempotency,
+    validate(schemas.createSchedule),
+    validateSessionExists,
+    validatePhoneNumbers,
+    validateRecipientsLimit(100),
+    scheduleController.createSchedule
+);
+
+/**
+ * GET /api/message/schedule/:sessionId
+ * Get daftar jadwal pesan session
+ * Query: status, limit, offset
+ */
+router.get('/schedule/:sessionId',
+    validate(schemas.listSchedules, 'query'),
+    validateSessionExists,
+    scheduleController.listSchedules
+);
+
+/**
+ * GET /api/message/schedule/:sessionId/:scheduleId
+ * Get detail jadwal beserta riwayat run
+ * Query: runs (jumlah run terbaru, default 20)
+ */
+router.get('/schedule/:sessionId/:scheduleId',
+    validateSessionExists,
+    scheduleController.getSchedule
+);
+
+/**
+ * PUT /api/message/schedule/:sessionId/:scheduleId
+ * Update jadwal, status ACTIVE/PAUSED untuk resume/pause
+ */
+router.put('/schedule/:sessionId/:scheduleId',
+    validate(schemas.updateSchedule),
+    validateSessionExists,
+    validatePhoneNumbers,
+    validateRecipientsLimit(100),
+    scheduleController.updateSchedule
+);
+
+/**
+ * DELETE /api/message/schedule/:sessionId/:scheduleId
+ * Batalkan jadwal
+ */
+router.delete('/schedule/:sessionId/:scheduleId',
+    validateSessionExists,
+    scheduleController.cancelSchedule
+);
+
 /**
  * POST /api/message/send-reaction
  * Send reaction to a message
  */
 router.post('/send-reaction',
+    idempotency,
     validate(schemas.sendReaction),
     validateSessionExists,
     validateSessionConnected,
@@ -112,6 +257,7 @@ router.post('/send-reaction',
  * Forward message to recipients
  */
 router.post('/forward',
+    idempotency,
     validateRequired(['sessionId', 'to', 'message']),
     validateSessionExists,
     validateSessionConnected,
@@ -170,6 +316,7 @@ router.post('/download-media',
  * Get message history for a chat
  */
 router.get('/history/:sessionId/:jid',
+    validateSessionExists,
     (req, res, next) => {
         const { sessionId, jid } = req.params;
 
@@ -207,13 +354,14 @@ router.get('/history/:sessionId/:jid',
  * Send poll message
  */
 router.post('/send-poll',
+    idempotency,
     (req, res, next) => {
-        const { sessionId, to, question, options } = req.body;
+        const { sessionId, to, question, template, options } = req.body;
 
-        if (!sessionId || !to || !question || !options) {
+        if (!sessionId || !to || (!question && !template) || !options) {
             return res.status(400).json({
                 success: false,
-                error: 'sessionId, to, question, and options are required'
+                error: 'sessionId, to, question or template, and options are required'
             });
         }
 
@@ -226,14 +374,17 @@ router.post('/send-poll',
 
         next();
     },
+    validateTemplateVariables,
     validateSessionExists,
     validateSessionConnected,
     validatePhoneNumbers,
     validateRecipientsLimit(50),
     async (req, res) => {
         try {
-            const { sessionId, to, question, options, allowMultipleAnswers = false } = req.body;
+            const { sessionId, to, question, template, variables = {}, options, allowMultipleAnswers = false } = req.body;
             const sessionManager = require('../services/sessionManager');
+            const templateService = require('../services/templateService');
+            const messageLogService = require('../services/messageLogService');
             const { formatMultipleToWhatsAppId } = require('../utils/phoneFormatter');
             const { logWithSession } = require('../utils/logger');
 
@@ -242,13 +393,18 @@ router.post('/send-poll',
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Pertanyaan dari template dirender dulu untuk semua penerima
+            const questions = template
+                ? await templateService.renderTemplateFor(sessionId, template, recipients, variables)
+                : null;
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatMultipleToWhatsAppId(recipient, config.countryCode)[0];
 
                     const pollMessage = {
                         poll: {
-                            name: question,
+                            name: questions ? questions.get(recipient) : question,
                             values: options.map(option => ({ name: option })),
                             selectableCount: allowMultipleAnswers ? options.length : 1
                         }
@@ -263,9 +419,11 @@ router.post('/send-poll',
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient });
+
                     logWithSession('info', 'Poll message sent', sessionId, {
                         to: jid,
-                        question: question,
+                        question: pollMessage.poll.name,
                         optionsCount: options.length
                     });
 
@@ -275,6 +433,13 @@ router.post('/send-poll',
                         success: false,
                         error: error.message
                     });
+
+                    await messageLogService.recordFailed(sessionId, {
+                        recipient,
+                        messageType: 'POLL',
+                        content: questions ? questions.get(recipient) : question,
+                        error: error.message
+                    });
                 }
             }
 
@@ -285,9 +450,10 @@ router.post('/send-poll',
             });
 
         } catch (error) {
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                error: error.message
+                error: error.message,
+                details: error.details || undefined
             });
         }
     }
@@ -298,6 +464,7 @@ router.post('/send-poll',
  * Send list message (interactive)
  */
 router.post('/send-list',
+    idempotency,
     (req, res, next) => {
         const { sessionId, to, title, buttonText, sections } = req.body;
 
@@ -343,14 +510,17 @@ router.post('/send-list',
 
         next();
     },
+    validateTemplateVariables,
     validateSessionExists,
     validateSessionConnected,
     validatePhoneNumbers,
     validateRecipientsLimit(20), // Lebih sedikit untuk interactive messages
     async (req, res) => {
         try {
-            const { sessionId, to, title, buttonText, sections, footer = '' } = req.body;
+            const { sessionId, to, title, template, variables = {}, buttonText, sections, footer = '' } = req.body;
             const sessionManager = require('../services/sessionManager');
+            const templateService = require('../services/templateService');
+            const messageLogService = require('../services/messageLogService');
             const { formatMultipleToWhatsAppId } = require('../utils/phoneFormatter');
             const { logWithSession } = require('../utils/logger');
 
@@ -359,12 +529,17 @@ router.post('/send-list',
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Isi pesan list dari template, title tetap dipakai sebagai judul
+            const texts = template
+                ? await templateService.renderTemplateFor(sessionId, template, recipients, variables)
+                : null;
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatMultipleToWhatsAppId(recipient, config.countryCode)[0];
 
                     const listMessage = {
-                        text: title,
+                        text: texts ? texts.get(recipient) : title,
                         footer: footer,
                         title: title,
                         buttonText: buttonText,
@@ -380,6 +555,8 @@ router.post('/send-list',
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient });
+
                     logWithSession('info', 'List message sent', sessionId, {
                         to: jid,
                         title: title,
@@ -392,6 +569,13 @@ router.post('/send-list',
                         success: false,
                         error: error.message
                     });
+
+                    await messageLogService.recordFailed(sessionId, {
+                        recipient,
+                        messageType: 'LIST',
+                        content: texts ? texts.get(recipient) : title,
+                        error: error.message
+                    });
                 }
             }
 
@@ -402,9 +586,10 @@ router.post('/send-list',
             });
 
         } catch (error) {
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                error: error.message
+                error: error.message,
+                details: error.details || undefined
             });
         }
     }
@@ -415,6 +600,7 @@ router.post('/send-list',
  * Send button message
  */
 router.post('/send-button',
+    idempotency,
     (req, res, next) => {
         const { sessionId, to, text, buttons } = req.body;
 
@@ -452,6 +638,7 @@ router.post('/send-button',
         try {
             const { sessionId, to, text, buttons, footer = '', header = '' } = req.body;
             const sessionManager = require('../services/sessionManager');
+            const messageLogService = require('../services/messageLogService');
             const { formatMultipleToWhatsAppId } = require('../utils/phoneFormatter');
             const { logWithSession } = require('../utils/logger');
 
@@ -484,6 +671,8 @@ router.post('/send-button',
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient });
+
                     logWithSession('info', 'Button message sent', sessionId, {
                         to: jid,
                         text: text,
@@ -496,6 +685,13 @@ router.post('/send-button',
                         success: false,
                         error: error.message
                     });
+
+                    await messageLogService.recordFailed(sessionId, {
+                        recipient,
+                        messageType: 'BUTTON',
+                        content: text,
+                        error: error.message
+                    });
                 }
             }
 
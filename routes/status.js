@@ -5,7 +5,8 @@ const router = express.Router();
 const {
     sanitizeInput,
     sessionRateLimit,
-    validateRequired
+    validateRequired,
+    requireScope
 } = require('../middleware/auth');
 
 const {
@@ -15,11 +16,15 @@ const {
     uploadRateLimit
 } = require('../middleware/validation');
 
+const { idempotency } = require('../middleware/idempotency');
+
 const { logWithSession } = require('../utils/logger');
 
 /**
  * Apply middleware untuk semua status routes
  */
+// Ubah profil dan kirim status butuh messages:send, baca profil (GET) butuh messages:read
+router.use(requireScope('messages:send', 'messages:read'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 
@@ -278,6 +283,7 @@ router.post('/remove-profile-picture',
  * Get current profile information
  */
 router.get('/profile/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -351,6 +357,7 @@ router.get('/profile/:sessionId',
  * Get privacy settings
  */
 router.get('/privacy/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -457,6 +464,7 @@ router.post('/update-privacy',
 router.post('/send-status',
     uploadRateLimit,
     upload.single('media'),
+    idempotency,
     validateRequired(['sessionId']),
     validateSessionExists,
     validateSessionConnected,
@@ -522,9 +530,11 @@ router.post('/send-status',
  * Get status/stories from contacts
  */
 router.get('/stories/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
+            const { limit = 50 } = req.query;
             const sessionManager = require('../services/sessionManager');
 
             if (!sessionManager.hasSession(sessionId)) {
@@ -551,8 +561,8 @@ router.get('/stories/:sessionId',
                 });
             }
 
-            // Get status messages from store
-            const statusMessages = store.messages['status@broadcast'] || [];
+            // Get status messages from store (newest first)
+            const statusMessages = await store.loadMessages('status@broadcast', { limit: parseInt(limit) });
 
             res.json({
                 success: true,
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const templateController = require('../controllers/templateController');
+
+// Import middleware
+const {
+    sanitizeInput,
+    sessionRateLimit,
+    requireScope
+} = require('../middleware/auth');
+
+const {
+    validate,
+    schemas,
+    validatePhoneNumbers,
+    validateRecipientsLimit,
+    validateSessionExists
+} = require('../middleware/validation');
+
+/**
+ * Apply middleware untuk semua template routes
+ */
+// Mengelola template butuh messages:send, membaca butuh messages:read
+router.use(requireScope('messages:send', 'messages:read'));
+router.use(sanitizeInput);
+router.use(sessionRateLimit);
+
+/**
+ * POST /api/template
+ * Buat template pesan
+ */
+router.post('/',
+    validate(schemas.createTemplate),
+    validateSessionExists,
+    templateController.createTemplate
+);
+
+/**
+ * GET /api/template/:sessionId
+ * Get daftar template session
+ * Query: limit, offset
+ */
+router.get('/:sessionId',
+    validate(schemas.listTemplates, 'query'),
+    validateSessionExists,
+    templateController.listTemplates
+);
+
+/**
+ * GET /api/template/:sessionId/:template
+ * Get template berdasarkan ID atau nama
+ */
+router.get('/:sessionId/:template',
+    validateSessionExists,
+    templateController.getTemplate
+);
+
+/**
+ * PUT /api/template/:sessionId/:template
+ * Update template
+ */
+router.put('/:sessionId/:template',
+    validate(schemas.updateTemplate),
+    validateSessionExists,
+    templateController.updateTemplate
+);
+
+/**
+ * DELETE /api/template/:sessionId/:template
+ * Hapus template
+ */
+router.delete('/:sessionId/:template',
+    validateSessionExists,
+    templateController.deleteTemplate
+);
+
+/**
+ * POST /api/template/:sessionId/:template/preview
+ * Render template untuk penerima tanpa mengirim
+ */
+router.post('/:sessionId/:template/preview',
+    validate(schemas.previewTemplate),
+    validateSessionExists,
+    validatePhoneNumbers,
+    validateRecipientsLimit(100),
+    templateController.previewTemplate
+);
+
+module.exports = router;
@@ -5,7 +5,8 @@ const router = express.Router();
 const {
     sanitizeInput,
     sessionRateLimit,
-    validateRequired
+    validateRequired,
+    requireScope
 } = require('../middleware/auth');
 
 const {
@@ -19,6 +20,7 @@ const { logWithSession } = require('../utils/logger');
 /**
  * Apply middleware untuk semua webhook routes
  */
+router.use(requireScope('webhooks:manage'));
 router.use(sanitizeInput);
 router.use(sessionRateLimit);
 
@@ -61,6 +63,7 @@ router.post('/test',
  * Get webhook statistics for a session
  */
 router.get('/stats/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -107,9 +110,14 @@ router.get('/stats/:sessionId',
 router.get('/stats',
     async (req, res) => {
         try {
-            const allStats = webhookService.getAllWebhookStats();
             const sessionManager = require('../services/sessionManager');
 
+            // Hanya statistik session milik API key ini
+            const allStats = Object.fromEntries(
+                Object.entries(webhookService.getAllWebhookStats())
+                    .filter(([sessionId]) => sessionManager.canAccessSession(sessionId, req.apiKey))
+            );
+
             // Enrich with session info
             const enrichedStats = {};
             for (const [sessionId, stats] of Object.entries(allStats)) {
@@ -430,6 +438,7 @@ router.get('/events',
  * Get webhook logs for debugging (if implemented)
  */
 router.get('/logs/:sessionId',
+    validateSessionExists,
     async (req, res) => {
         try {
             const { sessionId } = req.params;
@@ -19,6 +19,8 @@ const { initializeDatabase, testConnection } = require('./config/database');
 const { logger } = require('./utils/logger');
 const sessionManager = require('./services/sessionManager');
 const whatsappService = require('./services/whatsappService');
+const sessionWatchdogService = require('./services/sessionWatchdogService');
+const sessionBootService = require('./services/sessionBootService');
 
 // Import middleware
 const {
@@ -70,6 +72,22 @@ class WhatsAppAPIServer {
 
             await initializeDatabase();
             logger.info('Database initialized successfully');
+
+            // Buat akun admin pertama jika dikonfigurasi
+            const adminUserService = require('./services/adminUserService');
+            await adminUserService.ensureBootstrapAdmin();
+
+            // Pesan antrian yang terpotong saat shutdown dikirim ulang
+            const messageService = require('./services/messageService');
+            await messageService.recoverQueue();
+
+            // Arm ulang jadwal pesan yang masih aktif
+            const scheduleService = require('./services/scheduleService');
+            await scheduleService.loadSchedules();
+
+            // Campaign yang masih RUNNING dilanjutkan setelah session terhubung
+            const campaignService = require('./services/campaignService');
+            await campaignService.loadCampaigns();
         } catch (error) {
             logger.error('Database initialization failed:', error);
             throw error;
@@ -174,25 +192,15 @@ class WhatsAppAPIServer {
         try {
             logger.info('Loading existing sessions...');
 
-            // Load sessions dari disk
-            sessionManager.loadExistingSessions();
+            // Load sessions dari database
+            await sessionManager.loadExistingSessions();
 
             const sessionIds = sessionManager.getAllSessionIds();
             logger.info(`Found ${sessionIds.length} existing sessions`);
 
-            // Auto-reconnect sessions yang sebelumnya connected (optional)
+            // Auto-reconnect paralel sesuai BOOT_CONCURRENCY dan bootPriority, progress di /health
             if (process.env.AUTO_RECONNECT === 'true') {
-                for (const sessionId of sessionIds) {
-                    try {
-                        await whatsappService.createConnection(sessionId);
-                        logger.info(`Auto-reconnecting session: ${sessionId}`);
-
-                        // Delay antar koneksi untuk menghindari rate limit
-                        await new Promise(resolve => setTimeout(resolve, 5000));
-                    } catch (error) {
-                        logger.warn(`Failed to auto-reconnect session ${sessionId}:`, error.message);
-                    }
-                }
+                sessionBootService.bootSessions();
             }
 
         } catch (error) {
@@ -207,9 +215,9 @@ class WhatsAppAPIServer {
         const cron = require('node-cron');
 
         // Cleanup sessions tidak aktif setiap hari jam 2 pagi
-        cron.schedule('0 2 * * *', () => {
+        cron.schedule('0 2 * * *', async () => {
             logger.info('Running daily cleanup tasks...');
-            sessionManager.cleanupInactiveSessions();
+            await sessionManager.cleanupInactiveSessions();
         });
 
         // Cleanup old media files setiap minggu
@@ -223,6 +231,26 @@ class WhatsAppAPIServer {
             }
         });
 
+        // Hapus media pesan antrian FAILED yang lewat masa simpan setiap hari jam 4 pagi
+        cron.schedule('0 4 * * *', async () => {
+            try {
+                const messageService = require('./services/messageService');
+                await messageService.purgeFailedMedia();
+            } catch (error) {
+                logger.error('Error during failed queue media cleanup:', error);
+            }
+        });
+
+        // Hapus Idempotency-Key kedaluwarsa setiap jam
+        cron.schedule('0 * * * *', async () => {
+            try {
+                const idempotencyService = require('./services/idempotencyService');
+                await idempotencyService.purgeExpired();
+            } catch (error) {
+                logger.error('Error during idempotency key cleanup:', error);
+            }
+        });
+
         // Backup database setiap hari jam 1 pagi (jika enabled)
         if (process.env.BACKUP_ENABLED === 'true') {
             cron.schedule('0 1 * * *', async () => {
@@ -263,6 +291,9 @@ class WhatsAppAPIServer {
             // Setup cleanup tasks
             this.setupCleanupTasks();
 
+            // Watchdog untuk session yang macet di QR_GENERATED / CONNECTING
+            sessionWatchdogService.start();
+
             // Start HTTP server
             const port = defaultConfig.server.port;
             this.server = this.app.listen(port, () => {
@@ -318,6 +349,8 @@ class WhatsAppAPIServer {
                 });
             }
 
+            sessionWatchdogService.stop();
+
             // Close all active WhatsApp sessions
             const sessionIds = sessionManager.getAllSessionIds();
             logger.info(`Closing ${sessionIds.length} active sessions...`);
@@ -0,0 +1,257 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const AdminUser = require('../models/AdminUser');
+const { logger } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+const { createError } = require('../middleware/error');
+
+const BCRYPT_ROUNDS = 10;
+const TOKEN_ISSUER = 'whatsapp-api';
+const TOKEN_ALGORITHMS = ['HS256'];
+
+// Secret JWT minimal 32 karakter dan bukan contoh dari dokumentasi
+const MIN_SECRET_LENGTH = 32;
+const PLACEHOLDER_SECRETS = ['default_jwt_secret', 'your_jwt_secret_here', 'changeme', 'secret'];
+
+// Scope per role, admin juga bisa mengelola API key dan user
+const ROLE_SCOPES = {
+    admin: defaultConfig.security.apiKeyScopes,
+    operator: defaultConfig.security.apiKeyScopes,
+    viewer: ['messages:read']
+};
+
+class AdminUserService {
+
+    /**
+     * Cek apakah autentikasi admin user (JWT) aktif
+     * @returns {boolean} True jika JWT_SECRET diset dan cukup kuat
+     */
+    isEnabled() {
+        const secret = defaultConfig.admin.jwtSecret;
+        return Boolean(secret) && secret.length >= MIN_SECRET_LENGTH && !PLACEHOLDER_SECRETS.includes(secret.toLowerCase());
+    }
+
+    /**
+     * @throws {APIError} 503 jika JWT_SECRET tidak diset atau lemah
+     */
+    assertEnabled() {
+        if (!this.isEnabled()) {
+            throw createError.api(
+                `Admin user authentication is disabled: set JWT_SECRET (at least ${MIN_SECRET_LENGTH} characters)`,
+                503,
+                'ADMIN_AUTH_DISABLED'
+            );
+        }
+    }
+
+    /**
+     * Get scope untuk role
+     * @param {string} role - admin, operator, viewer
+     * @returns {Array} Array scope
+     */
+    getRoleScopes(role) {
+        return [...(ROLE_SCOPES[role] || [])];
+    }
+
+    /**
+     * Buat admin user baru
+     * @param {Object} data - { username, password, role }
+     * @returns {Promise<Object>} Record AdminUser
+     */
+    async createUser({ username, password, role = 'viewer' }) {
+        const existing = await AdminUser.findOne({ where: { username } });
+        if (existing) {
+            throw new Error(`User ${username} sudah ada`);
+        }
+
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        const user = await AdminUser.create({ username, passwordHash, role });
+
+        logger.info('Admin user created', { userId: user.id, username, role });
+
+        return user;
+    }
+
+    /**
+     * Buat akun admin pertama dari ADMIN_USERNAME dan ADMIN_PASSWORD
+     */
+    async ensureBootstrapAdmin() {
+        if (!this.isEnabled()) {
+            logger.warn(`JWT_SECRET is not set or shorter than ${MIN_SECRET_LENGTH} characters, admin user login and JWT authentication are disabled`);
+        }
+
+        const { username, password } = defaultConfig.admin;
+        if (!username || !password) {
+            return;
+        }
+
+        const count = await AdminUser.count();
+        if (count > 0) {
+            return;
+        }
+
+        await this.createUser({ username, password, role: 'admin' });
+        logger.info(`Bootstrap admin user ${username} created`);
+    }
+
+    /**
+     * Get semua admin user
+     * @returns {Promise<Array>} Array summary user
+     */
+    async listUsers() {
+        const users = await AdminUser.findAll({ order: [['createdAt', 'ASC']] });
+        return users.map(user => user.getSummary());
+    }
+
+    /**
+     * Nonaktifkan admin user, refresh token yang sudah terbit ikut tidak berlaku
+     * @param {string} userId - ID user
+     * @returns {Promise<Object|null>} Summary user
+     */
+    async deactivateUser(userId) {
+        const user = await AdminUser.findByPk(userId);
+        if (!user) {
+            return null;
+        }
+
+        await user.deactivate();
+        logger.info('Admin user deactivated', { userId, username: user.username });
+
+        return user.getSummary();
+    }
+
+    /**
+     * Login dengan username dan password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object|null>} Token dan info user, null jika gagal
+     */
+    async login(username, password) {
+        this.assertEnabled();
+
+        const user = await AdminUser.findActiveByUsername(username);
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            return null;
+        }
+
+        await user.update({ lastLoginAt: new Date() });
+
+        logger.info('Admin user logged in', { userId: user.id, username });
+
+        return {
+            ...this.issueTokens(user),
+            user: user.getSummary()
+        };
+    }
+
+    /**
+     * Terbitkan access dan refresh token
+     * @param {Object} user - Record AdminUser
+     * @returns {Object} { accessToken, refreshToken, tokenType, expiresIn }
+     */
+    issueTokens(user) {
+        const { jwtSecret, accessTokenTtl, refreshTokenTtl } = defaultConfig.admin;
+
+        const accessToken = jwt.sign(
+            { type: 'access', username: user.username, role: user.role, version: user.tokenVersion },
+            jwtSecret,
+            { subject: user.id, expiresIn: accessTokenTtl, issuer: TOKEN_ISSUER }
+        );
+
+        const refreshToken = jwt.sign(
+            { type: 'refresh', version: user.tokenVersion },
+            jwtSecret,
+            { subject: user.id, expiresIn: refreshTokenTtl, issuer: TOKEN_ISSUER }
+        );
+
+        return {
+            accessToken,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: accessTokenTtl
+        };
+    }
+
+    /**
+     * Tukar refresh token dengan token baru
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object|null>} Token baru, null jika refresh token tidak berlaku
+     */
+    async refresh(refreshToken) {
+        this.assertEnabled();
+
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, defaultConfig.admin.jwtSecret, {
+                issuer: TOKEN_ISSUER,
+                algorithms: TOKEN_ALGORITHMS
+            });
+        } catch (error) {
+            return null;
+        }
+
+        if (payload.type !== 'refresh') {
+            return null;
+        }
+
+        const user = await AdminUser.findByPk(payload.sub);
+        if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+            return null;
+        }
+
+        return this.issueTokens(user);
+    }
+
+    /**
+     * Verifikasi access token. User dibaca ulang dari database sehingga user yang
+     * dinonaktifkan atau diturunkan role-nya langsung kehilangan akses.
+     * @param {string} token - Access token
+     * @returns {Promise<Object|null>} { id, username, role } jika valid
+     */
+    async verifyAccessToken(token) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, defaultConfig.admin.jwtSecret, {
+                issuer: TOKEN_ISSUER,
+                algorithms: TOKEN_ALGORITHMS
+            });
+        } catch (error) {
+            return null;
+        }
+
+        if (payload.type !== 'access') {
+            return null;
+        }
+
+        const user = await AdminUser.findByPk(payload.sub);
+        if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+            return null;
+        }
+
+        // Role terkini dari database, bukan dari token
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role
+        };
+    }
+
+    /**
+     * Cek apakah string berbentuk JWT
+     * @param {string} token - Token
+     * @returns {boolean} True jika berbentuk JWT
+     */
+    isJwt(token) {
+        return token.split('.').length === 3;
+    }
+}
+
+// Singleton instance
+const adminUserService = new AdminUserService();
+
+module.exports = adminUserService;
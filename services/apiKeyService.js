@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const ApiKey = require('../models/ApiKey');
+const { logger } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+const KEY_PREFIX = 'wa';
+const BCRYPT_ROUNDS = 10;
+const VERIFY_CACHE_TTL = 60 * 1000; // 1 menit
+
+class ApiKeyService {
+    constructor() {
+        // Cache hasil verifikasi agar bcrypt tidak dijalankan di setiap request
+        this.verifyCache = new Map(); // sha256(key) -> { key, expiresAt }
+    }
+
+    /**
+     * Generate key baru, format: wa_<prefix>_<secret>
+     * @returns {Object} { key, prefix }
+     */
+    generateKey() {
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+
+        return {
+            key: `${KEY_PREFIX}_${prefix}_${secret}`,
+            prefix
+        };
+    }
+
+    /**
+     * Ambil prefix dari key
+     * @param {string} key - API key lengkap
+     * @returns {string|null} Prefix
+     */
+    parsePrefix(key) {
+        const parts = key.split('_');
+        if (parts.length !== 3 || parts[0] !== KEY_PREFIX) {
+            return null;
+        }
+        return parts[1];
+    }
+
+    /**
+     * Buat API key baru, key plain hanya dikembalikan sekali
+     * @param {string} name - Label pemilik key
+     * @param {Array} scopes - Scope yang diberikan (default semua scope)
+     * @returns {Promise<Object>} { key, apiKey }
+     */
+    async createKey(name, scopes = defaultConfig.security.apiKeyScopes) {
+        const { key, prefix } = this.generateKey();
+        const keyHash = await bcrypt.hash(key, BCRYPT_ROUNDS);
+
+        const apiKey = await ApiKey.create({ name, prefix, keyHash, scopes });
+
+        logger.info('API key created', { keyId: apiKey.id, name, prefix, scopes });
+
+        return { key, apiKey };
+    }
+
+    /**
+     * Verifikasi API key
+     * @param {string} key - API key dari request
+     * @returns {Promise<Object|null>} Record ApiKey jika valid
+     */
+    async verifyKey(key) {
+        const cacheKey = crypto.createHash('sha256').update(key).digest('hex');
+        const cached = this.verifyCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.key;
+        }
+
+        const prefix = this.parsePrefix(key);
+        if (!prefix) {
+            return null;
+        }
+
+        const apiKey = await ApiKey.findActiveByPrefix(prefix);
+        if (!apiKey || !(await bcrypt.compare(key, apiKey.keyHash))) {
+            return null;
+        }
+
+        const summary = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+        this.verifyCache.set(cacheKey, { key: summary, expiresAt: Date.now() + VERIFY_CACHE_TTL });
+
+        // lastUsedAt tidak perlu ditunggu
+        apiKey.update({ lastUsedAt: new Date() }).catch(error => {
+            logger.error('Failed to update API key usage:', error);
+        });
+
+        return summary;
+    }
+
+    /**
+     * Get semua API key (tanpa hash)
+     * @returns {Promise<Array>} Array summary key
+     */
+    async listKeys() {
+        const keys = await ApiKey.findAll({ order: [['createdAt', 'DESC']] });
+        return keys.map(key => key.getSummary());
+    }
+
+    /**
+     * Cabut API key
+     * @param {string} keyId - ID key
+     * @returns {Promise<Object|null>} Summary key yang dicabut
+     */
+    async revokeKey(keyId) {
+        const apiKey = await ApiKey.findByPk(keyId);
+        if (!apiKey) {
+            return null;
+        }
+
+        await apiKey.revoke();
+
+        // Buang dari cache supaya langsung tidak berlaku
+        for (const [cacheKey, entry] of this.verifyCache.entries()) {
+            if (entry.key.id === keyId) {
+                this.verifyCache.delete(cacheKey);
+            }
+        }
+
+        logger.info('API key revoked', { keyId, name: apiKey.name });
+
+        return apiKey.getSummary();
+    }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
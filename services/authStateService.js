@@ -0,0 +1,296 @@
+const {
+    useMultiFileAuthState,
+    initAuthCreds,
+    BufferJSON,
+    proto
+} = require('@whiskeysockets/baileys');
+
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../config/database');
+const AuthState = require('../models/AuthState');
+const { logWithSession } = require('../utils/logger');
+
+class AuthStateService {
+    constructor() {
+        // Provider auth state yang tersedia, bisa ditambah lewat registerProvider
+        this.providers = new Map();
+        this.authFilePattern = /^(creds|(pre-key|session|sender-key|app-state-sync)-.*)\.json$/;
+
+        this.registerProvider('file', {
+            load: (sessionId, sessionPath) => this.useFileAuthState(sessionPath),
+            clear: (sessionId, sessionPath) => this.clearFileAuthState(sessionPath),
+            export: (sessionId, sessionPath) => this.exportFileAuthState(sessionPath),
+            import: (sessionId, sessionPath, data) => this.importFileAuthState(sessionPath, data)
+        });
+
+        this.registerProvider('database', {
+            load: (sessionId) => this.useDatabaseAuthState(sessionId),
+            clear: (sessionId) => AuthState.clearSession(sessionId),
+            export: (sessionId) => this.exportDatabaseAuthState(sessionId),
+            import: (sessionId, sessionPath, data) => this.importDatabaseAuthState(sessionId, data)
+        });
+    }
+
+    /**
+     * Daftarkan provider auth state
+     * @param {string} name - Nama provider
+     * @param {Object} provider - Object dengan fungsi load(sessionId, sessionPath) dan clear(sessionId, sessionPath),
+     *                            opsional export(sessionId, sessionPath) dan import(sessionId, sessionPath, data)
+     */
+    registerProvider(name, provider) {
+        if (typeof provider.load !== 'function' || typeof provider.clear !== 'function') {
+            throw new Error(`Auth state provider ${name} harus memiliki fungsi load dan clear`);
+        }
+
+        this.providers.set(name, provider);
+    }
+
+    /**
+     * Get nama provider yang tersedia
+     * @returns {Array} Array nama provider
+     */
+    getProviderNames() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * Get provider berdasarkan nama
+     * @param {string} name - Nama provider
+     * @returns {Object} Provider
+     */
+    getProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown auth state provider: ${name}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Load auth state untuk session
+     * @param {string} sessionId - ID session
+     * @param {string} sessionPath - Path direktori session
+     * @param {string} providerName - Nama provider (file, database)
+     * @returns {Object} { state, saveCreds }
+     */
+    async loadAuthState(sessionId, sessionPath, providerName = 'file') {
+        const provider = this.getProvider(providerName);
+
+        logWithSession('info', `Loading auth state using ${providerName} provider`, sessionId);
+
+        return provider.load(sessionId, sessionPath);
+    }
+
+    /**
+     * Hapus auth state session dari semua provider
+     * @param {string} sessionId - ID session
+     * @param {string} sessionPath - Path direktori session
+     */
+    async clearAuthState(sessionId, sessionPath) {
+        for (const [name, provider] of this.providers.entries()) {
+            try {
+                await provider.clear(sessionId, sessionPath);
+            } catch (error) {
+                logWithSession('error', `Error clearing auth state (${name})`, sessionId, { error: error.message });
+            }
+        }
+
+        logWithSession('info', 'Auth state cleared', sessionId);
+    }
+
+    /**
+     * Export auth state session dalam format asli provider
+     * @param {string} sessionId - ID session
+     * @param {string} sessionPath - Path direktori session
+     * @param {string} providerName - Nama provider
+     * @returns {Object} Data auth state
+     */
+    async exportAuthState(sessionId, sessionPath, providerName = 'file') {
+        const provider = this.getProvider(providerName);
+        if (typeof provider.export !== 'function') {
+            throw new Error(`Auth state provider ${providerName} tidak mendukung export`);
+        }
+
+        return provider.export(sessionId, sessionPath);
+    }
+
+    /**
+     * Import auth state session hasil exportAuthState
+     * @param {string} sessionId - ID session
+     * @param {string} sessionPath - Path direktori session
+     * @param {string} providerName - Nama provider
+     * @param {Object} data - Data auth state
+     */
+    async importAuthState(sessionId, sessionPath, providerName, data) {
+        const provider = this.getProvider(providerName);
+        if (typeof provider.import !== 'function') {
+            throw new Error(`Auth state provider ${providerName} tidak mendukung import`);
+        }
+
+        await provider.import(sessionId, sessionPath, data);
+        logWithSession('info', `Auth state imported using ${providerName} provider`, sessionId);
+    }
+
+    /**
+     * Auth state berbasis file (default Baileys)
+     * @param {string} sessionPath - Path direktori session
+     */
+    useFileAuthState(sessionPath) {
+        return useMultiFileAuthState(sessionPath);
+    }
+
+    /**
+     * Hapus file auth state, file lain di direktori session (store.json, stats.json) tidak disentuh
+     * @param {string} sessionPath - Path direktori session
+     */
+    clearFileAuthState(sessionPath) {
+        for (const file of this.listAuthFiles(sessionPath)) {
+            fs.rmSync(path.join(sessionPath, file), { force: true });
+        }
+    }
+
+    /**
+     * Get daftar file auth state di direktori session
+     * @param {string} sessionPath - Path direktori session
+     * @returns {Array} Array nama file
+     */
+    listAuthFiles(sessionPath) {
+        if (!fs.existsSync(sessionPath)) {
+            return [];
+        }
+
+        return fs.readdirSync(sessionPath).filter(file => this.authFilePattern.test(file));
+    }
+
+    /**
+     * Export file auth state
+     * @param {string} sessionPath - Path direktori session
+     * @returns {Object} { files: { namaFile: isi } }
+     */
+    exportFileAuthState(sessionPath) {
+        const files = {};
+
+        for (const file of this.listAuthFiles(sessionPath)) {
+            files[file] = fs.readFileSync(path.join(sessionPath, file), 'utf8');
+        }
+
+        return { files };
+    }
+
+    /**
+     * Import file auth state
+     * @param {string} sessionPath - Path direktori session
+     * @param {Object} data - { files: { namaFile: isi } }
+     */
+    importFileAuthState(sessionPath, data) {
+        if (!fs.existsSync(sessionPath)) {
+            fs.mkdirSync(sessionPath, { recursive: true });
+        }
+
+        for (const [file, content] of Object.entries(data.files || {})) {
+            // Hanya terima nama file auth state, cegah path traversal
+            if (path.basename(file) !== file || !this.authFilePattern.test(file)) {
+                throw new Error(`Invalid auth state file name: ${file}`);
+            }
+            fs.writeFileSync(path.join(sessionPath, file), content);
+        }
+    }
+
+    /**
+     * Export auth state dari database
+     * @param {string} sessionId - ID session
+     * @returns {Object} { rows: [{ category, keyId, data }] }
+     */
+    async exportDatabaseAuthState(sessionId) {
+        const records = await AuthState.findAll({ where: { sessionId } });
+
+        return {
+            rows: records.map(record => ({
+                category: record.category,
+                keyId: record.keyId,
+                data: record.data
+            }))
+        };
+    }
+
+    /**
+     * Import auth state ke database
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { rows: [{ category, keyId, data }] }
+     */
+    async importDatabaseAuthState(sessionId, data) {
+        await sequelize.transaction(async (transaction) => {
+            await AuthState.destroy({ where: { sessionId }, transaction });
+
+            for (const row of data.rows || []) {
+                await AuthState.writeKey(sessionId, row.category, row.keyId, row.data, { transaction });
+            }
+        });
+    }
+
+    /**
+     * Auth state berbasis database, creds dan signal keys disimpan di tabel auth_states
+     * @param {string} sessionId - ID session
+     * @returns {Object} { state, saveCreds }
+     */
+    async useDatabaseAuthState(sessionId) {
+        const readData = async (category, keyId) => {
+            const record = await AuthState.readKey(sessionId, category, keyId);
+            return record ? JSON.parse(record.data, BufferJSON.reviver) : null;
+        };
+
+        const writeData = (category, keyId, value, options = {}) => {
+            const data = JSON.stringify(value, BufferJSON.replacer);
+            return AuthState.writeKey(sessionId, category, keyId, data, options);
+        };
+
+        const creds = (await readData('creds', 'creds')) || initAuthCreds();
+
+        const state = {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    const records = await AuthState.readKeys(sessionId, type, ids);
+
+                    for (const record of records) {
+                        let value = JSON.parse(record.data, BufferJSON.reviver);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[record.keyId] = value;
+                    }
+
+                    return data;
+                },
+
+                set: async (data) => {
+                    await sequelize.transaction(async (transaction) => {
+                        for (const category of Object.keys(data)) {
+                            for (const keyId of Object.keys(data[category])) {
+                                const value = data[category][keyId];
+
+                                if (value) {
+                                    await writeData(category, keyId, value, { transaction });
+                                } else {
+                                    await AuthState.removeKey(sessionId, category, keyId, { transaction });
+                                }
+                            }
+                        }
+                    });
+                }
+            }
+        };
+
+        return {
+            state,
+            saveCreds: () => writeData('creds', 'creds', creds)
+        };
+    }
+}
+
+// Singleton instance
+const authStateService = new AuthStateService();
+
+module.exports = authStateService;
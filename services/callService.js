@@ -0,0 +1,143 @@
+const CallLog = require('../models/CallLog');
+const sessionManager = require('./sessionManager');
+const { logWithSession, logWhatsappEvent } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+class CallService {
+
+    /**
+     * Get call policy session, digabung dengan default
+     * @param {string} sessionId - ID session
+     * @returns {Object} Call policy
+     */
+    getCallPolicy(sessionId) {
+        const config = sessionManager.getSessionConfig(sessionId);
+        return {
+            ...defaultConfig.whatsapp.callPolicy,
+            ...(config.callPolicy || {})
+        };
+    }
+
+    /**
+     * Proses event call dari Baileys sesuai call policy session
+     * @param {Object} sock - Socket Baileys
+     * @param {string} sessionId - ID session
+     * @param {Object} call - Event call
+     * @returns {Promise<string|null>} Aksi yang diambil (hanya untuk status offer)
+     */
+    async handleCall(sock, sessionId, call) {
+        if (call.status !== 'offer') {
+            await this.updateStatus(sessionId, call);
+            return null;
+        }
+
+        const policy = this.getCallPolicy(sessionId);
+        const log = await this.record(sessionId, call);
+
+        let action;
+        try {
+            action = await this.applyPolicy(sock, sessionId, call, policy);
+        } catch (error) {
+            action = 'failed';
+            logWithSession('error', 'Error applying call policy', sessionId, {
+                callId: call.id,
+                error: error.message
+            });
+        }
+
+        await log.update({ action });
+        logWhatsappEvent(`call_${action}`, sessionId, { callId: call.id, from: call.from });
+
+        return action;
+    }
+
+    /**
+     * Jalankan aksi call policy untuk panggilan baru
+     * @returns {Promise<string>} ignored | rejected | replied | blocked
+     */
+    async applyPolicy(sock, sessionId, call, policy) {
+        if (policy.blockRepeatCallers && !call.isGroup) {
+            const since = new Date(Date.now() - policy.blockWindow);
+            const count = await CallLog.countRecentFrom(sessionId, call.from, since);
+
+            if (count >= policy.blockThreshold) {
+                await sock.rejectCall(call.id, call.from);
+                await sock.updateBlockStatus(call.from, 'block');
+
+                logWithSession('warn', `Caller blocked after ${count} calls`, sessionId, { from: call.from });
+                return 'blocked';
+            }
+        }
+
+        if (policy.action === 'ignore') {
+            return 'ignored';
+        }
+
+        await sock.rejectCall(call.id, call.from);
+
+        if (policy.action === 'reject_reply' && policy.replyMessage) {
+            await sock.sendMessage(call.from, { text: policy.replyMessage });
+            return 'replied';
+        }
+
+        return 'rejected';
+    }
+
+    /**
+     * Simpan panggilan baru ke call log
+     * @returns {Promise<Object>} Record CallLog
+     */
+    async record(sessionId, call) {
+        const [log] = await CallLog.findOrCreate({
+            where: { sessionId, callId: call.id },
+            defaults: {
+                from: call.from,
+                isVideo: !!call.isVideo,
+                isGroup: !!call.isGroup,
+                status: call.status
+            }
+        });
+
+        return log;
+    }
+
+    /**
+     * Update status panggilan (timeout, reject, accept, terminate)
+     */
+    async updateStatus(sessionId, call) {
+        await CallLog.update(
+            { status: call.status, updatedAt: new Date() },
+            { where: { sessionId, callId: call.id } }
+        );
+    }
+
+    /**
+     * Get call log session
+     * @param {string} sessionId - ID session
+     * @param {Object} options - { limit, offset, from }
+     * @returns {Promise<Object>} { calls, total }
+     */
+    async getCallLog(sessionId, { limit = 50, offset = 0, from = null } = {}) {
+        const where = { sessionId };
+        if (from) {
+            where.from = from;
+        }
+
+        const { rows, count } = await CallLog.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset
+        });
+
+        return {
+            calls: rows.map(row => row.getSummary()),
+            total: count
+        };
+    }
+}
+
+// Singleton instance
+const callService = new CallService();
+
+module.exports = callService;
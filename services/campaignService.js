@@ -0,0 +1,570 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+
+const sessionManager = require('./sessionManager');
+const whatsappService = require('./whatsappService');
+const messageService = require('./messageService');
+const webhookService = require('./webhookService');
+const templateService = require('./templateService');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Contact = require('../models/Contact');
+const { sequelize } = require('../config/database');
+const { createError } = require('../middleware/error');
+const { isValidPhoneNumber } = require('../utils/phoneFormatter');
+const { logger, logWithSession } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+// Nama kolom CSV yang dianggap berisi nomor telepon
+const PHONE_COLUMNS = ['phone', 'number', 'nomor', 'to', 'whatsapp'];
+
+// Status pesan Baileys (proto.WebMessageInfo.Status) ke status penerima
+const RECEIPT_STATUS = {
+    3: 'delivered', // DELIVERY_ACK
+    4: 'read', // READ
+    5: 'read' // PLAYED
+};
+
+/**
+ * Pecah satu baris CSV, mendukung nilai dalam tanda kutip
+ */
+const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    cells.push(current.trim());
+    return cells;
+};
+
+class CampaignService {
+    constructor() {
+        this.runners = new Map(); // campaignId -> promise runner yang sedang berjalan
+        this.campaignDir = path.join(defaultConfig.queue.spoolPath, 'campaigns');
+
+        // Campaign yang tertahan karena session terputus dilanjutkan saat terhubung
+        sessionManager.on('state', (sessionId, state) => {
+            if (state === 'CONNECTED') {
+                this.resumeSessionCampaigns(sessionId);
+            }
+        });
+
+        // Campaign session yang dihapus ikut dibatalkan
+        sessionManager.on('deleted', (sessionId) => {
+            this.cancelSessionCampaigns(sessionId).catch(error => {
+                logWithSession('error', 'Error cancelling campaigns of deleted session', sessionId, { error: error.message });
+            });
+        });
+
+        whatsappService.on('message_update', (sessionId, update) => {
+            this.handleReceipt(update).catch(error => {
+                logWithSession('error', 'Error applying campaign receipt', sessionId, { error: error.message });
+            });
+        });
+    }
+
+    /**
+     * Parse CSV penerima. Baris pertama dianggap header jika ada kolom phone/number/nomor,
+     * kolom lain disimpan sebagai variabel penerima. Tanpa header, kolom pertama adalah nomor.
+     * @param {Buffer} buffer - Isi file CSV
+     * @returns {Array} [{ phone, variables }]
+     */
+    parseCsv(buffer) {
+        const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) {
+            return [];
+        }
+
+        const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+        const firstRow = splitCsvLine(lines[0], delimiter).map(cell => cell.toLowerCase());
+        const phoneIndex = firstRow.findIndex(cell => PHONE_COLUMNS.includes(cell));
+
+        if (phoneIndex === -1) {
+            return lines.map(line => ({ phone: splitCsvLine(line, delimiter)[0], variables: {} }));
+        }
+
+        return lines.slice(1).map(line => {
+            const cells = splitCsvLine(line, delimiter);
+            const variables = {};
+
+            firstRow.forEach((column, index) => {
+                if (index !== phoneIndex && column) {
+                    variables[column] = cells[index] || '';
+                }
+            });
+
+            return { phone: cells[phoneIndex], variables };
+        });
+    }
+
+    /**
+     * Kumpulkan penerima dari nomor, tag kontak dan CSV, tanpa duplikat
+     * @param {string} sessionId - ID session
+     * @param {Object} sources - { numbers, tags, csv (Buffer) }
+     * @returns {Promise<Object>} { recipients: [{ phone, variables }], invalid: [] }
+     */
+    async resolveRecipients(sessionId, { numbers = [], tags = [], csv = null }) {
+        const candidates = numbers.map(phone => ({ phone, variables: {} }));
+
+        if (tags.length > 0) {
+            const contacts = await Contact.findAll({
+                where: {
+                    sessionId,
+                    isBlocked: false,
+                    [Op.or]: tags.map(tag => ({ tags: { [Op.like]: `%${JSON.stringify(tag)}%` } }))
+                }
+            });
+
+            for (const contact of contacts) {
+                candidates.push({ phone: contact.phone, variables: { name: contact.getDisplayName() } });
+            }
+        }
+
+        if (csv) {
+            candidates.push(...this.parseCsv(csv));
+        }
+
+        const seen = new Set();
+        const recipients = [];
+        const invalid = [];
+
+        for (const candidate of candidates) {
+            const phone = String(candidate.phone || '').trim();
+            const key = phone.replace(/\D/g, '');
+
+            if (!isValidPhoneNumber(phone)) {
+                invalid.push(phone);
+                continue;
+            }
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                recipients.push({ ...candidate, phone });
+            }
+        }
+
+        return { recipients, invalid };
+    }
+
+    /**
+     * Buat campaign dan langsung jalankan di background
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { name, type, payload, delayMs, numbers, tags }
+     * @param {Object} files - { media, csv } file multer
+     * @returns {Promise<Object>} Summary campaign + progress + nomor tidak valid
+     */
+    async createCampaign(sessionId, data, files = {}) {
+        if (data.type === 'media' && !files.media) {
+            throw createError.validation('Media file is required for media campaigns');
+        }
+
+        const { recipients, invalid } = await this.resolveRecipients(sessionId, {
+            numbers: data.numbers,
+            tags: data.tags,
+            csv: files.csv ? files.csv.buffer : null
+        });
+
+        if (recipients.length === 0) {
+            throw createError.validation('Campaign has no valid recipients', { invalid });
+        }
+
+        if (recipients.length > defaultConfig.campaign.maxRecipients) {
+            throw createError.validation(`Too many recipients. Maximum ${defaultConfig.campaign.maxRecipients} allowed.`);
+        }
+
+        const payload = data.type === 'media'
+            ? { ...data.payload, fileName: data.payload.fileName || files.media.originalname, mimeType: files.media.mimetype }
+            : data.payload;
+
+        // Template dirender sekali saat campaign dibuat, kolom CSV menimpa data kontak
+        const bodies = payload.template
+            ? await templateService.renderTemplateFor(
+                sessionId,
+                payload.template,
+                recipients.map(recipient => recipient.phone),
+                payload.variables,
+                new Map(recipients.map(recipient => [recipient.phone, recipient.variables]))
+            )
+            : null;
+
+        const campaign = Campaign.build({
+            sessionId,
+            name: data.name,
+            type: data.type,
+            payload,
+            delayMs: data.delayMs || defaultConfig.campaign.defaultDelay
+        });
+
+        if (data.type === 'media') {
+            fs.mkdirSync(this.campaignDir, { recursive: true });
+            campaign.mediaPath = path.join(this.campaignDir, campaign.id);
+            fs.writeFileSync(campaign.mediaPath, files.media.buffer);
+        }
+
+        try {
+            await sequelize.transaction(async (transaction) => {
+                await campaign.save({ transaction });
+                await CampaignRecipient.bulkCreate(recipients.map((recipient, index) => ({
+                    campaignId: campaign.id,
+                    position: index,
+                    recipient: recipient.phone,
+                    variables: recipient.variables,
+                    body: bodies ? bodies.get(recipient.phone) : null
+                })), { transaction });
+            });
+        } catch (error) {
+            this.removeMedia(campaign);
+            throw error;
+        }
+
+        logWithSession('info', `Campaign "${campaign.name}" created with ${recipients.length} recipients`, sessionId, {
+            campaignId: campaign.id,
+            invalid: invalid.length
+        });
+
+        this.startRunner(campaign.id, sessionId);
+
+        return {
+            ...(await this.getSummary(campaign)),
+            invalid
+        };
+    }
+
+    /**
+     * Summary campaign beserta progress per status
+     */
+    async getSummary(campaign) {
+        return {
+            ...campaign.getSummary(),
+            progress: await CampaignRecipient.getCounts(campaign.id),
+            running: this.runners.has(campaign.id)
+        };
+    }
+
+    /**
+     * Cari campaign milik session
+     * @throws {NotFoundError}
+     */
+    async findCampaign(sessionId, campaignId) {
+        const campaign = await Campaign.findOne({ where: { id: campaignId, sessionId } });
+        if (!campaign) {
+            throw createError.notFound('Campaign');
+        }
+
+        return campaign;
+    }
+
+    /**
+     * Get campaign beserta progress
+     */
+    async getCampaign(sessionId, campaignId) {
+        return this.getSummary(await this.findCampaign(sessionId, campaignId));
+    }
+
+    /**
+     * Get daftar campaign session
+     * @param {string} sessionId - ID session
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<Object>} { campaigns, total }
+     */
+    async listCampaigns(sessionId, { status = null, limit = 50, offset = 0 } = {}) {
+        const where = { sessionId };
+        if (status) {
+            where.status = status;
+        }
+
+        const { rows, count } = await Campaign.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset
+        });
+
+        return {
+            campaigns: await Promise.all(rows.map(row => this.getSummary(row))),
+            total: count
+        };
+    }
+
+    /**
+     * Get status per penerima
+     * @param {string} sessionId - ID session
+     * @param {string} campaignId - ID campaign
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<Object>} { recipients, total }
+     */
+    async getRecipients(sessionId, campaignId, { status = null, limit = 100, offset = 0 } = {}) {
+        await this.findCampaign(sessionId, campaignId);
+
+        const where = { campaignId };
+        if (status) {
+            where.status = status;
+        }
+
+        const { rows, count } = await CampaignRecipient.findAndCountAll({
+            where,
+            order: [['position', 'ASC']],
+            limit,
+            offset
+        });
+
+        return {
+            recipients: rows.map(row => row.getSummary()),
+            total: count
+        };
+    }
+
+    /**
+     * Pause campaign, penerima yang sedang dikirim tetap selesai
+     */
+    async pauseCampaign(sessionId, campaignId) {
+        const campaign = await this.findCampaign(sessionId, campaignId);
+
+        if (campaign.status !== 'RUNNING') {
+            throw createError.conflict(`Campaign is ${campaign.status}, only RUNNING campaigns can be paused`);
+        }
+
+        await campaign.update({ status: 'PAUSED' });
+        logWithSession('info', `Campaign "${campaign.name}" paused`, sessionId, { campaignId });
+
+        return this.getSummary(campaign);
+    }
+
+    /**
+     * Lanjutkan campaign yang di-pause
+     */
+    async resumeCampaign(sessionId, campaignId) {
+        const campaign = await this.findCampaign(sessionId, campaignId);
+
+        if (campaign.status !== 'PAUSED') {
+            throw createError.conflict(`Campaign is ${campaign.status}, only PAUSED campaigns can be resumed`);
+        }
+
+        await campaign.update({ status: 'RUNNING' });
+        logWithSession('info', `Campaign "${campaign.name}" resumed`, sessionId, { campaignId });
+
+        this.startRunner(campaign.id, sessionId);
+
+        return this.getSummary(campaign);
+    }
+
+    /**
+     * Batalkan campaign, penerima yang belum dikirim ditandai cancelled
+     */
+    async cancelCampaign(sessionId, campaignId) {
+        const campaign = await this.findCampaign(sessionId, campaignId);
+
+        if (!['RUNNING', 'PAUSED'].includes(campaign.status)) {
+            throw createError.conflict(`Campaign is already ${campaign.status}`);
+        }
+
+        await this.finish(campaign, 'CANCELLED');
+        logWithSession('info', `Campaign "${campaign.name}" cancelled`, sessionId, { campaignId });
+
+        return this.getSummary(campaign);
+    }
+
+    /**
+     * Batalkan semua campaign aktif milik session
+     */
+    async cancelSessionCampaigns(sessionId) {
+        const campaigns = await Campaign.findAll({
+            where: { sessionId, status: ['RUNNING', 'PAUSED'] }
+        });
+
+        for (const campaign of campaigns) {
+            await this.finish(campaign, 'CANCELLED');
+        }
+    }
+
+    /**
+     * Jalankan ulang campaign RUNNING setelah server start
+     */
+    async loadCampaigns() {
+        const campaigns = await Campaign.findAll({ where: { status: 'RUNNING' } });
+
+        for (const campaign of campaigns) {
+            this.startRunner(campaign.id, campaign.sessionId);
+        }
+
+        logger.info(`Loaded ${campaigns.length} running campaign(s)`);
+    }
+
+    /**
+     * Lanjutkan campaign RUNNING milik session yang baru terhubung
+     */
+    async resumeSessionCampaigns(sessionId) {
+        try {
+            const campaigns = await Campaign.findAll({ where: { sessionId, status: 'RUNNING' } });
+
+            for (const campaign of campaigns) {
+                this.startRunner(campaign.id, sessionId);
+            }
+        } catch (error) {
+            logWithSession('error', 'Error resuming campaigns', sessionId, { error: error.message });
+        }
+    }
+
+    /**
+     * Jalankan runner campaign jika belum berjalan dan session terhubung
+     */
+    startRunner(campaignId, sessionId) {
+        if (this.runners.has(campaignId) || !sessionManager.isSessionConnected(sessionId)) {
+            return;
+        }
+
+        const runner = this.runCampaign(campaignId)
+            .catch(error => {
+                logWithSession('error', 'Campaign runner failed', sessionId, { campaignId, error: error.message });
+            })
+            .finally(() => {
+                this.runners.delete(campaignId);
+            });
+
+        this.runners.set(campaignId, runner);
+    }
+
+    /**
+     * Kirim ke penerima satu per satu sesuai delayMs sampai habis, di-pause atau session terputus
+     * @param {string} campaignId - ID campaign
+     */
+    async runCampaign(campaignId) {
+        for (;;) {
+            const campaign = await Campaign.findByPk(campaignId);
+            if (!campaign || campaign.status !== 'RUNNING') {
+                // Dibatalkan saat runner masih mengirim, media baru aman dihapus sekarang
+                if (campaign && campaign.status === 'CANCELLED') {
+                    this.removeMedia(campaign);
+                }
+                return;
+            }
+
+            const { sessionId } = campaign;
+            if (!sessionManager.isSessionConnected(sessionId)) {
+                logWithSession('info', `Campaign "${campaign.name}" waiting for session to reconnect`, sessionId, { campaignId });
+                return;
+            }
+
+            const recipient = await CampaignRecipient.findNext(campaignId);
+            if (!recipient) {
+                await this.finish(campaign, 'COMPLETED');
+                this.removeMedia(campaign);
+                return;
+            }
+
+            let result;
+            try {
+                const payload = recipient.body === null
+                    ? campaign.payload
+                    : { ...campaign.payload, [campaign.type === 'media' ? 'caption' : 'text']: recipient.body };
+
+                result = await messageService.sendPayload(
+                    sessionId,
+                    recipient.recipient,
+                    campaign.type,
+                    messageService.toQueuePayload(campaign.type, payload),
+                    campaign.mediaPath
+                );
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            // Session terputus di tengah pengiriman, penerima tetap queued
+            if (!result.success && !sessionManager.isSessionConnected(sessionId)) {
+                logWithSession('info', `Campaign "${campaign.name}" waiting for session to reconnect`, sessionId, { campaignId });
+                return;
+            }
+
+            if (result.success) {
+                await recipient.update({ status: 'sent', waMessageId: result.messageId, sentAt: new Date(), error: null });
+            } else {
+                await recipient.update({ status: 'failed', error: result.error });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, campaign.delayMs));
+        }
+    }
+
+    /**
+     * Update status penerima dari receipt WhatsApp
+     * @param {Object} update - Item event messages.update
+     */
+    async handleReceipt(update) {
+        const status = RECEIPT_STATUS[update.update?.status];
+        if (!status || !update.key?.fromMe) {
+            return;
+        }
+
+        const recipient = await CampaignRecipient.findOne({ where: { waMessageId: update.key.id } });
+        if (recipient) {
+            await recipient.applyReceipt(status);
+        }
+    }
+
+    /**
+     * Hapus file media campaign
+     */
+    removeMedia(campaign) {
+        if (campaign.mediaPath && fs.existsSync(campaign.mediaPath)) {
+            fs.unlinkSync(campaign.mediaPath);
+        }
+    }
+
+    /**
+     * Tutup campaign (COMPLETED atau CANCELLED), hapus media dan kirim webhook.
+     * Media campaign yang runner-nya masih berjalan dihapus oleh runner saat berhenti.
+     */
+    async finish(campaign, status) {
+        await campaign.update({ status, finishedAt: new Date() });
+
+        if (status === 'CANCELLED') {
+            await CampaignRecipient.update(
+                { status: 'cancelled' },
+                { where: { campaignId: campaign.id, status: 'queued' } }
+            );
+        }
+
+        if (!this.runners.has(campaign.id)) {
+            this.removeMedia(campaign);
+        }
+
+        const progress = await CampaignRecipient.getCounts(campaign.id);
+
+        logWithSession('info', `Campaign "${campaign.name}" ${status.toLowerCase()}`, campaign.sessionId, {
+            campaignId: campaign.id,
+            progress
+        });
+
+        await webhookService.sendWebhook(campaign.sessionId, {
+            event: status === 'COMPLETED' ? 'campaign_completed' : 'campaign_cancelled',
+            campaignId: campaign.id,
+            name: campaign.name,
+            progress,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Singleton instance
+const campaignService = new CampaignService();
+
+module.exports = campaignService;
@@ -0,0 +1,451 @@
+const mime = require('mime-types');
+const { Op } = require('sequelize');
+const {
+    BufferJSON,
+    getContentType,
+    normalizeMessageContent,
+    downloadMediaMessage
+} = require('@whiskeysockets/baileys');
+
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const StoreChat = require('../models/StoreChat');
+const { sequelize } = require('../config/database');
+const sessionManager = require('./sessionManager');
+const { ZipWriter } = require('../utils/zip');
+const { createError } = require('../middleware/error');
+const { logWithSession } = require('../utils/logger');
+const { formatToWhatsAppId, extractPhoneFromJid, isGroupJid } = require('../utils/phoneFormatter');
+
+// Pesan dibaca per batch agar export chat besar tidak dimuat sekaligus
+const BATCH_SIZE = 200;
+
+const MEDIA_TYPES = ['IMAGE', 'VIDEO', 'AUDIO', 'DOCUMENT'];
+
+// Waktu pesan (detik) untuk filter dan urutan, sama dengan messageTime(): waTimestamp,
+// atau createdAt untuk pesan gagal kirim yang tidak punya waTimestamp
+const MESSAGE_TIME = "COALESCE(`Message`.`waTimestamp`, CAST(strftime('%s', `Message`.`createdAt`) AS INTEGER))";
+
+// Pesan protokol edit/hapus sudah diterapkan ke pesan tujuannya
+const PROTOCOL_TYPES = ['EDIT', 'DELETE'];
+
+// Awalan nama file media seperti export chat WhatsApp
+const MEDIA_PREFIXES = { IMAGE: 'IMG', VIDEO: 'VID', AUDIO: 'AUD', DOCUMENT: 'DOC' };
+
+const CSV_COLUMNS = [
+    'id', 'waMessageId', 'timestamp', 'direction', 'sender', 'senderJid', 'messageType', 'status',
+    'content', 'mediaType', 'mediaFileName', 'attachment', 'latitude', 'longitude', 'quotedMessageId'
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Nama file aman untuk arsip dan header Content-Disposition
+ */
+const safeFileName = (name) => name.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim().slice(0, 150) || 'file';
+
+/**
+ * Waktu pesan: timestamp WhatsApp, atau waktu dicatat untuk pesan yang gagal dikirim
+ */
+const messageTime = (message) => message.waTimestamp ? new Date(message.waTimestamp * 1000) : new Date(message.createdAt);
+
+/**
+ * Detik Unix (dibulatkan ke bawah, sama dengan strftime('%s') SQLite)
+ */
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Format waktu transcript seperti export chat WhatsApp (waktu lokal server)
+ */
+const formatTime = (date) =>
+    `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}, ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * WAMessage dari rawData (Buffer dikembalikan dari format BufferJSON)
+ */
+const reviveRawMessage = (message) => {
+    if (!message.rawData) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(message.rawData), BufferJSON.reviver);
+};
+
+/**
+ * Thumbnail JPEG bawaan pesan media WhatsApp sebagai data URI
+ */
+const thumbnailDataUri = (raw) => {
+    const content = normalizeMessageContent(raw?.message);
+    const inner = content ? content[getContentType(content)] : null;
+    const thumbnail = inner?.jpegThumbnail;
+
+    if (!thumbnail || !thumbnail.length) {
+        return null;
+    }
+    return `data:image/jpeg;base64,${Buffer.from(thumbnail).toString('base64')}`;
+};
+
+/**
+ * Isi pesan untuk transcript TXT dan HTML
+ */
+const displayText = (message, attachment) => {
+    if (message.status === 'DELETED') {
+        return message.direction === 'OUTGOING' ? 'You deleted this message' : 'This message was deleted';
+    }
+
+    let text;
+    if (MEDIA_TYPES.includes(message.messageType)) {
+        const media = attachment ? `${attachment} (file attached)` : '<Media omitted>';
+        text = message.content ? `${media}\n${message.content}` : media;
+    } else if (message.messageType === 'LOCATION') {
+        const name = [message.locationName, message.locationAddress].filter(Boolean).join(', ');
+        text = `${name ? `${name}: ` : ''}location: https://maps.google.com/?q=${message.latitude},${message.longitude}`;
+    } else if (message.messageType === 'CONTACT') {
+        text = `Contact: ${[message.contactName, message.contactPhone].filter(Boolean).join(' ')}`;
+    } else if (message.messageType === 'POLL') {
+        text = `POLL:\n${message.content || ''}`;
+    } else {
+        text = message.content || `<${message.messageType}>`;
+    }
+
+    if (message.metadata?.editedAt) {
+        text += ' <This message was edited>';
+    }
+    return text;
+};
+
+/**
+ * Penulis tiap format: begin (header), row per pesan, end (footer)
+ */
+const FORMATS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        begin: (chat) => `{"chat":${JSON.stringify(chat)},"messages":[\n`,
+        row: (entry, index) => {
+            const fields = entry.message.toJSON();
+            delete fields.rawData;
+
+            return `${index > 0 ? ',\n' : ''}${JSON.stringify({
+                ...fields,
+                timestamp: entry.time.toISOString(),
+                sender: entry.sender,
+                senderJid: entry.senderJid,
+                attachment: entry.attachment
+            })}`;
+        },
+        end: () => '\n]}\n'
+    },
+
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // BOM agar Excel membaca UTF-8
+        begin: () => `\ufeff${CSV_COLUMNS.join(',')}\r\n`,
+        row: ({ message, time, sender, senderJid, attachment }) => `${[
+            message.id, message.waMessageId, time.toISOString(), message.direction, sender, senderJid,
+            message.messageType, message.status, message.content, message.mediaType, message.mediaFileName,
+            attachment, message.latitude, message.longitude, message.quotedMessageId
+        ].map(escapeCsv).join(',')}\r\n`,
+        end: () => ''
+    },
+
+    txt: {
+        contentType: 'text/plain; charset=utf-8',
+        extension: 'txt',
+        skipReactions: true,
+        begin: () => '',
+        row: ({ message, time, sender, attachment }) =>
+            `${formatTime(time)} - ${sender}: ${displayText(message, attachment)}\n`,
+        end: () => ''
+    },
+
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+        skipReactions: true,
+        begin: (chat) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`WhatsApp Chat with ${chat.name}`)}</title>
+<style>
+body { margin: 0; background: #efeae2; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111b21; }
+header { position: sticky; top: 0; background: #075e54; color: #fff; padding: 12px 20px; }
+header h1 { margin: 0; font-size: 18px; }
+header p { margin: 2px 0 0; font-size: 12px; opacity: .8; }
+main { max-width: 900px; margin: 0 auto; padding: 16px; display: flex; flex-direction: column; gap: 6px; }
+.message { max-width: 70%; padding: 6px 9px 4px; border-radius: 8px; background: #fff; box-shadow: 0 1px .5px rgba(0,0,0,.13); white-space: pre-wrap; word-wrap: break-word; }
+.message.outgoing { align-self: flex-end; background: #d9fdd3; }
+.message.deleted { font-style: italic; color: #667781; }
+.sender { font-size: 12px; font-weight: 600; color: #027eb5; }
+.meta { font-size: 11px; color: #667781; text-align: right; }
+.media img { display: block; max-width: 240px; border-radius: 6px; margin: 2px 0 4px; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(chat.name)}</h1>
+<p>${escapeHtml(chat.jid)} &middot; exported ${escapeHtml(chat.exportedAt)}${chat.from || chat.to
+        ? ` &middot; ${escapeHtml(chat.from || '…')} &ndash; ${escapeHtml(chat.to || '…')}`
+        : ''}</p>
+</header>
+<main>
+`,
+        row: ({ message, time, sender, attachment, thumbnail }) => {
+            const classes = ['message', message.direction.toLowerCase()];
+            if (message.status === 'DELETED') {
+                classes.push('deleted');
+            }
+
+            let media = '';
+            if (thumbnail && message.status !== 'DELETED') {
+                const image = `<img src="${thumbnail}" alt="${escapeHtml(attachment || message.mediaFileName || message.messageType)}">`;
+                media = `<div class="media">${attachment ? `<a href="${escapeHtml(encodeURIComponent(attachment))}">${image}</a>` : image}</div>`;
+            }
+
+            return `<div class="${classes.join(' ')}"><div class="sender">${escapeHtml(sender)}</div>${media}` +
+                `<div class="text">${escapeHtml(displayText(message, attachment))}</div>` +
+                `<div class="meta">${escapeHtml(formatTime(time))} &middot; ${escapeHtml(message.status)}</div></div>\n`;
+        },
+        end: () => '</main>\n</body>\n</html>\n'
+    }
+};
+
+/**
+ * Tulis ke response dengan menghormati backpressure
+ */
+const writeOutput = async (output, chunk) => {
+    if (!chunk || output.write(chunk)) {
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new Error('Client disconnected')); };
+        const cleanup = () => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+        };
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+    });
+};
+
+class ExportService {
+
+    /**
+     * Daftar format export
+     */
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Stream seluruh percakapan dengan satu chat ke response.
+     * Media opsional dibundel bersama transcript dalam zip (dua tahap: media dulu, lalu transcript),
+     * sehingga transcript maupun media tidak perlu ditampung di memory.
+     * @param {string} sessionId - ID session
+     * @param {string} jid - JID chat atau nomor telepon
+     * @param {Object} options - { format, from, to, media }
+     * @param {Object} res - Express response
+     * @throws {ValidationError|NotFoundError} Sebelum response mulai dikirim
+     */
+    async exportConversation(sessionId, jid, { format = 'json', from = null, to = null, media = false } = {}, res) {
+        const formatter = FORMATS[format];
+        if (!formatter) {
+            throw createError.validation(`Unsupported export format: ${format}`);
+        }
+
+        const chatJid = jid.includes('@')
+            ? jid
+            : formatToWhatsAppId(jid, sessionManager.getSessionConfig(sessionId).countryCode);
+        if (!chatJid) {
+            throw createError.validation('Invalid chat JID or phone number');
+        }
+
+        const where = {
+            sessionId,
+            messageType: { [Op.notIn]: PROTOCOL_TYPES },
+            [Op.or]: [{ fromJid: chatJid }, { toJid: chatJid }, { groupJid: chatJid }]
+        };
+        where[Op.and] = [
+            ...(from ? [sequelize.where(sequelize.literal(MESSAGE_TIME), Op.gte, toSeconds(from))] : []),
+            ...(to ? [sequelize.where(sequelize.literal(MESSAGE_TIME), Op.lte, toSeconds(to))] : [])
+        ];
+
+        const total = await Message.count({ where });
+        if (total === 0) {
+            throw createError.notFound('Conversation');
+        }
+
+        const [session, storedChat] = await Promise.all([
+            Session.findByPk(sessionId),
+            StoreChat.findOne({ where: { sessionId, id: chatJid }, attributes: ['name'] })
+        ]);
+
+        const chat = {
+            sessionId,
+            jid: chatJid,
+            name: storedChat?.name || (isGroupJid(chatJid) ? chatJid : `+${extractPhoneFromJid(chatJid)}`),
+            from: from ? new Date(from).toISOString() : null,
+            to: to ? new Date(to).toISOString() : null,
+            exportedAt: new Date().toISOString(),
+            messageCount: total
+        };
+        const ownName = session?.userInfo?.name || (session?.phone ? `+${session.phone}` : 'You');
+        const baseName = safeFileName(`WhatsApp Chat with ${chat.name}`);
+        const fileName = `${baseName}.${media ? 'zip' : formatter.extension}`;
+
+        res.status(200);
+        res.set({
+            'Content-Type': media ? 'application/zip' : formatter.contentType,
+            'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+            'Cache-Control': 'no-store'
+        });
+        res.flushHeaders();
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+
+        const zip = media ? new ZipWriter(res) : null;
+        const attachments = new Map(); // ID Message -> nama file media di zip
+
+        if (zip) {
+            const counters = {};
+            for await (const message of this.iterateMessages(where, { messageType: MEDIA_TYPES, status: { [Op.ne]: 'DELETED' } })) {
+                if (closed) {
+                    return;
+                }
+
+                const raw = reviveRawMessage(message);
+                if (!raw?.message) {
+                    continue;
+                }
+
+                try {
+                    const buffer = await downloadMediaMessage(raw, 'buffer', {});
+                    const time = messageTime(message);
+                    const prefix = MEDIA_PREFIXES[message.messageType];
+                    counters[prefix] = (counters[prefix] || 0) + 1;
+
+                    const name = message.messageType === 'DOCUMENT' && message.mediaFileName
+                        ? safeFileName(message.mediaFileName)
+                        : `${prefix}-${time.getFullYear()}${pad(time.getMonth() + 1)}${pad(time.getDate())}-WA${pad(counters[prefix], 4)}` +
+                        `.${mime.extension(message.mediaType || '') || 'bin'}`;
+
+                    attachments.set(message.id, await zip.addBuffer(name, buffer, time));
+                } catch (error) {
+                    // Media kedaluwarsa di server WhatsApp: transcript menulis <Media omitted>
+                    logWithSession('warn', 'Export media download failed', sessionId, {
+                        messageId: message.waMessageId,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        const transcript = zip ? await zip.addStream(`${baseName}.${formatter.extension}`) : null;
+        const write = (chunk) => transcript ? transcript.write(chunk) : writeOutput(res, chunk);
+
+        await write(formatter.begin(chat));
+
+        let index = 0;
+        for await (const message of this.iterateMessages(where)) {
+            if (closed) {
+                return;
+            }
+
+            // Reaksi tidak muncul di export chat WhatsApp
+            if (formatter.skipReactions && message.messageType === 'REACTION') {
+                continue;
+            }
+
+            const raw = formatter.extension === 'html' ? reviveRawMessage(message) : null;
+            const senderJid = message.direction === 'OUTGOING' ? session?.jid || null : message.fromJid;
+            const sender = message.direction === 'OUTGOING'
+                ? ownName
+                : message.rawData?.pushName || (senderJid ? `+${extractPhoneFromJid(senderJid)}` : 'Unknown');
+
+            await write(formatter.row({
+                message,
+                time: messageTime(message),
+                sender,
+                senderJid,
+                attachment: attachments.get(message.id) || null,
+                thumbnail: raw ? thumbnailDataUri(raw) : null
+            }, index++));
+        }
+
+        await write(formatter.end(chat));
+
+        if (zip) {
+            await transcript.end();
+            await zip.finish();
+        }
+
+        res.end();
+        logWithSession('info', 'Conversation exported', sessionId, {
+            jid: chatJid,
+            format,
+            messages: index,
+            media: attachments.size
+        });
+    }
+
+    /**
+     * Baca pesan chat per batch, terlama lebih dulu (keyset pagination waktu pesan, id)
+     * @param {Object} where - Filter chat
+     * @param {Object} extra - Filter tambahan
+     */
+    async *iterateMessages(where, extra = {}) {
+        let after = null;
+
+        while (true) {
+            const conditions = { ...where, ...extra };
+            if (after) {
+                conditions[Op.and] = [...(where[Op.and] || []), {
+                    [Op.or]: [
+                        sequelize.where(sequelize.literal(MESSAGE_TIME), Op.gt, after.time),
+                        {
+                            [Op.and]: [
+                                sequelize.where(sequelize.literal(MESSAGE_TIME), after.time),
+                                { id: { [Op.gt]: after.id } }
+                            ]
+                        }
+                    ]
+                }];
+            }
+
+            const batch = await Message.findAll({
+                where: conditions,
+                order: [[sequelize.literal(MESSAGE_TIME), 'ASC'], ['id', 'ASC']],
+                limit: BATCH_SIZE
+            });
+
+            yield* batch;
+
+            if (batch.length < BATCH_SIZE) {
+                return;
+            }
+
+            const last = batch[batch.length - 1];
+            after = { time: toSeconds(messageTime(last)), id: last.id };
+        }
+    }
+}
+
+// Singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
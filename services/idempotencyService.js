@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { createError } = require('../middleware/error');
+const { logger } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+/**
+ * JSON dengan key object terurut, urutan field body tidak mempengaruhi hash
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value) ?? 'null';
+};
+
+class IdempotencyService {
+
+    /**
+     * Hash request: method, path, body dan file upload
+     * @param {Object} req - Express request
+     * @returns {string} SHA-256 hex
+     */
+    hashRequest(req) {
+        const hash = crypto.createHash('sha256')
+            .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+            .update(canonicalJson(req.body || {}));
+
+        const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+        for (const file of files) {
+            hash.update(`\n${file.fieldname}:`).update(file.buffer);
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Klaim key untuk request baru, atau kembalikan respons tersimpan untuk request ulang
+     * @param {string} owner - Pemilik key (API key)
+     * @param {string} key - Nilai header Idempotency-Key
+     * @param {Object} request - { method, path, requestHash }
+     * @returns {Promise<Object>} { record } untuk request baru, { replay } untuk request ulang
+     * @throws {ConflictError} Jika key dipakai untuk request lain atau masih diproses
+     */
+    async begin(owner, key, { method, path, requestHash }) {
+        const existing = await IdempotencyKey.findOne({ where: { owner, key } });
+
+        if (existing && !existing.isExpired()) {
+            if (existing.requestHash !== requestHash) {
+                throw createError.conflict('Idempotency-Key was already used for a different request');
+            }
+
+            if (existing.status === 'PROCESSING') {
+                throw createError.conflict('A request with this Idempotency-Key is still being processed');
+            }
+
+            return { replay: existing };
+        }
+
+        if (existing) {
+            await existing.destroy();
+        }
+
+        try {
+            const record = await IdempotencyKey.create({
+                owner,
+                key,
+                method,
+                path,
+                requestHash,
+                expiresAt: new Date(Date.now() + defaultConfig.idempotency.lockTimeout)
+            });
+
+            return { record };
+        } catch (error) {
+            // Request paralel dengan key yang sama menang lebih dulu
+            if (error instanceof UniqueConstraintError) {
+                throw createError.conflict('A request with this Idempotency-Key is still being processed');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Simpan respons pertama selama TTL
+     */
+    async complete(record, statusCode, body) {
+        await record.update({
+            status: 'COMPLETED',
+            statusCode,
+            responseBody: body,
+            expiresAt: new Date(Date.now() + defaultConfig.idempotency.ttl)
+        });
+    }
+
+    /**
+     * Lepas key tanpa menyimpan respons, request berikutnya diproses ulang
+     */
+    async release(record) {
+        await record.destroy();
+    }
+
+    /**
+     * Hapus key yang sudah kedaluwarsa
+     * @returns {Promise<number>} Jumlah key yang dihapus
+     */
+    async purgeExpired() {
+        const deleted = await IdempotencyKey.destroy({
+            where: { expiresAt: { [Op.lte]: new Date() } }
+        });
+
+        if (deleted > 0) {
+            logger.info(`Purged ${deleted} expired idempotency keys`);
+        }
+
+        return deleted;
+    }
+}
+
+// Singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
@@ -1,12 +1,179 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
 const mime = require('mime-types');
 const sharp = require('sharp');
 const { downloadMediaMessage } = require('@whiskeysockets/baileys');
 
 const { logger } = require('../utils/logger');
 const { defaultConfig } = require('../config/default');
+const { createError } = require('../middleware/error');
+
+const MAX_REDIRECTS = 3;
+
+// Alamat yang tidak boleh diakses lewat mediaUrl (loopback, jaringan privat, link-local, dll)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// MIME hasil sniffing ke tipe media WhatsApp
+const SNIFFED_TYPES = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'image/bmp': 'image',
+    'video/mp4': 'video',
+    'video/quicktime': 'video',
+    'video/3gpp': 'video',
+    'video/webm': 'video',
+    'video/x-matroska': 'video',
+    'video/x-msvideo': 'video',
+    'audio/mpeg': 'audio',
+    'audio/mp4': 'audio',
+    'audio/aac': 'audio',
+    'audio/ogg': 'audio',
+    'audio/wav': 'audio',
+    'audio/flac': 'audio',
+    'application/pdf': 'document',
+    'application/msword': 'document',
+    'application/vnd.ms-excel': 'document',
+    'application/vnd.ms-powerpoint': 'document',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+    'application/zip': 'document',
+    'application/x-rar-compressed': 'document',
+    'application/x-7z-compressed': 'document',
+    'text/csv': 'document',
+    'text/plain': 'document'
+};
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * dns.lookup yang menolak alamat privat. Dipakai saat koneksi dibuat sehingga
+ * redirect dan DNS rebinding juga diperiksa.
+ */
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(createError.validation('mediaUrl resolves to a private or loopback address'));
+        }
+
+        return options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Validasi URL media: hanya http/https, IP literal privat ditolak (tidak melewati lookup)
+ */
+const parseMediaUrl = (value, base) => {
+    let url;
+    try {
+        url = new URL(value, base);
+    } catch (error) {
+        throw createError.validation('mediaUrl must be a valid URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw createError.validation('mediaUrl must use http or https');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw createError.validation('mediaUrl points to a private or loopback address');
+    }
+
+    return url;
+};
+
+/**
+ * Deteksi MIME dari isi file (magic bytes), bukan dari ekstensi
+ * @param {Buffer} buffer - Isi file
+ * @param {string} declaredType - Content-Type dari server, hanya untuk membedakan CSV dari teks biasa
+ * @returns {string|null} MIME, null jika tidak dikenali
+ */
+const sniffMimeType = (buffer, declaredType = '') => {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+    const startsWith = (...bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+    if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+    if (startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) return 'image/png';
+    if (['GIF87a', 'GIF89a'].includes(ascii(0, 6))) return 'image/gif';
+    if (ascii(0, 4) === 'RIFF') {
+        const format = ascii(8, 12);
+        if (format === 'WEBP') return 'image/webp';
+        if (format === 'WAVE') return 'audio/wav';
+        if (format === 'AVI ') return 'video/x-msvideo';
+    }
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (brand === 'qt  ') return 'video/quicktime';
+        if (['M4A ', 'M4B '].includes(brand)) return 'audio/mp4';
+        if (brand.startsWith('3g')) return 'video/3gpp';
+        if (['heic', 'heix', 'mif1', 'msf1', 'avif'].includes(brand)) return null;
+        return 'video/mp4';
+    }
+    if (startsWith(0x1a, 0x45, 0xdf, 0xa3)) {
+        return ascii(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+    if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+    if (startsWith(0x50, 0x4b, 0x03, 0x04)) {
+        // Dokumen Office (OOXML) adalah zip dengan struktur folder tertentu
+        if (buffer.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        if (buffer.includes('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        if (buffer.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+        return 'application/zip';
+    }
+    if (startsWith(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)) {
+        // Dokumen Office lama (OLE2), dibedakan dari nama stream utamanya
+        if (buffer.includes(Buffer.from('Workbook', 'utf16le')) || buffer.includes(Buffer.from('Book', 'utf16le'))) {
+            return 'application/vnd.ms-excel';
+        }
+        if (buffer.includes(Buffer.from('PowerPoint Document', 'utf16le'))) return 'application/vnd.ms-powerpoint';
+        return 'application/msword';
+    }
+    if (ascii(0, 6) === 'Rar!\x1a\x07') return 'application/x-rar-compressed';
+    if (startsWith(0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c)) return 'application/x-7z-compressed';
+    if (ascii(0, 2) === 'BM' && buffer.length > 18 && [12, 40, 52, 56, 108, 124].includes(buffer.readUInt32LE(14))) {
+        return 'image/bmp';
+    }
+
+    // Teks: UTF-8 valid tanpa byte NUL
+    const sample = buffer.subarray(0, 8192);
+    if (buffer.length > 0 && !sample.includes(0)) {
+        try {
+            // stream: karakter multibyte yang terpotong di akhir sampel tidak dianggap error
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return /csv/i.test(declaredType) ? 'text/csv' : 'text/plain';
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return null;
+};
 
 class MediaService {
     constructor() {
@@ -254,6 +421,140 @@ class MediaService {
         }
     }
 
+    /**
+     * Unduh media dari URL (stream) sebagai object file seperti hasil upload multer.
+     * Ukuran dibatasi maxFileSize, MIME dideteksi dari isi file, alamat privat/loopback ditolak.
+     * @param {string} mediaUrl - URL http/https
+     * @param {string} mediaType - image, video, audio, document
+     * @returns {Promise<Object>} { buffer, mimetype, originalname, size }
+     * @throws {ValidationError} URL tidak valid, alamat privat atau tipe file tidak sesuai
+     * @throws {APIError} 413 jika terlalu besar, 502 jika unduhan gagal
+     */
+    async fetchMediaFromUrl(mediaUrl, mediaType) {
+        const { buffer, url, contentType } = await this.downloadUrl(parseMediaUrl(mediaUrl));
+
+        const mimetype = sniffMimeType(buffer, contentType);
+        if (!mimetype) {
+            throw createError.validation('Unsupported media file, type could not be detected from its content');
+        }
+
+        // Gambar, video dan audio juga boleh dikirim sebagai dokumen
+        if (mediaType !== 'document' && SNIFFED_TYPES[mimetype] !== mediaType) {
+            throw createError.validation(`File type ${mimetype} not allowed for media type ${mediaType}`);
+        }
+
+        let originalname = path.basename(url.pathname);
+        try {
+            originalname = decodeURIComponent(originalname);
+        } catch (error) {
+            // Nama dengan escape tidak valid dipakai apa adanya
+        }
+        if (!originalname || !path.extname(originalname)) {
+            originalname = `media.${mime.extension(mimetype) || 'bin'}`;
+        }
+
+        logger.info('Media downloaded from URL', {
+            host: url.host,
+            size: buffer.length,
+            mimeType: mimetype
+        });
+
+        return {
+            buffer,
+            mimetype,
+            originalname,
+            size: buffer.length
+        };
+    }
+
+    /**
+     * GET URL dengan batas ukuran, batas waktu dan redirect yang diperiksa ulang
+     * @returns {Promise<Object>} { buffer, url (setelah redirect), contentType }
+     */
+    downloadUrl(url, redirects = 0) {
+        const maxSize = this.maxFileSize;
+        const client = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const fail = (error) => {
+                request.destroy();
+                reject(error.statusCode ? error : createError.api(`Failed to download mediaUrl: ${error.message}`, 502, 'MEDIA_DOWNLOAD_ERROR'));
+            };
+
+            const timer = setTimeout(
+                () => fail(new Error(`timed out after ${defaultConfig.media.urlTimeout}ms`)),
+                defaultConfig.media.urlTimeout
+            );
+
+            const request = client.get(url, {
+                lookup: safeLookup,
+                headers: { 'User-Agent': 'WhatsApp-API-Backend', Accept: '*/*' }
+            }, (response) => {
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    clearTimeout(timer);
+
+                    if (redirects >= MAX_REDIRECTS) {
+                        return fail(new Error('too many redirects'));
+                    }
+
+                    try {
+                        return resolve(this.downloadUrl(parseMediaUrl(headers.location, url), redirects + 1));
+                    } catch (error) {
+                        return fail(error);
+                    }
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    clearTimeout(timer);
+                    return fail(new Error(`server responded with ${statusCode}`));
+                }
+
+                const tooLarge = () => createError.api(
+                    `Media file exceeds maximum size (${this.formatSize(maxSize)})`, 413, 'PAYLOAD_TOO_LARGE'
+                );
+
+                if (parseInt(headers['content-length']) > maxSize) {
+                    clearTimeout(timer);
+                    return fail(tooLarge());
+                }
+
+                const chunks = [];
+                let size = 0;
+
+                response.on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > maxSize) {
+                        clearTimeout(timer);
+                        return fail(tooLarge());
+                    }
+                    chunks.push(chunk);
+                });
+
+                response.on('end', () => {
+                    clearTimeout(timer);
+                    if (!response.complete) {
+                        return fail(new Error('connection closed before download finished'));
+                    }
+                    resolve({ buffer: Buffer.concat(chunks), url, contentType: headers['content-type'] || '' });
+                });
+
+                response.on('error', (error) => {
+                    clearTimeout(timer);
+                    fail(error);
+                });
+            });
+
+            request.on('error', (error) => {
+                clearTimeout(timer);
+                fail(error);
+            });
+        });
+    }
+
     /**
      * Download media from WhatsApp message
      */
@@ -346,7 +647,7 @@ class MediaService {
                 // Could add video compression here using ffmpeg
                 // For now, just validate size
                 if (file.size > 64 * 1024 * 1024) { // 64MB limit for WhatsApp
-                    throw new Error('Video file too large for WhatsApp. Maximum 64MB allowed');
+                    throw createError.validation('Video file too large for WhatsApp. Maximum 64MB allowed');
                 }
             }
 
@@ -354,7 +655,7 @@ class MediaService {
             if (mediaType === 'audio') {
                 // Could add audio compression/conversion here
                 if (file.size > 16 * 1024 * 1024) { // 16MB limit for WhatsApp
-                    throw new Error('Audio file too large for WhatsApp. Maximum 16MB allowed');
+                    throw createError.validation('Audio file too large for WhatsApp. Maximum 16MB allowed');
                 }
             }
 
@@ -363,7 +664,8 @@ class MediaService {
                 thumbnail,
                 originalSize: file.buffer.length,
                 processedSize: processedBuffer.length,
-                mimeType: file.mimetype,
+                // Gambar yang di-resize dikonversi ke JPEG
+                mimeType: processedBuffer !== file.buffer ? 'image/jpeg' : file.mimetype,
                 fileName: file.originalname
             };
 
@@ -0,0 +1,584 @@
+const {
+    proto,
+    toNumber,
+    BufferJSON,
+    getContentType,
+    normalizeMessageContent
+} = require('@whiskeysockets/baileys');
+const { UniqueConstraintError } = require('sequelize');
+
+const Message = require('../models/Message');
+const MessageReceipt = require('../models/MessageReceipt');
+const { createError } = require('../middleware/error');
+const { logWithSession } = require('../utils/logger');
+const { isValidUUID } = require('../utils/helper');
+const { extractPhoneFromJid } = require('../utils/phoneFormatter');
+
+// Urutan status pesan, receipt hanya boleh memajukan status
+const STATUS_RANK = { PENDING: 0, SENT: 1, DELIVERED: 2, READ: 3 };
+
+// Status receipt Baileys (proto.WebMessageInfo.Status) ke status Message
+const RECEIPT_STATUS = {
+    2: 'SENT', // SERVER_ACK
+    3: 'DELIVERED', // DELIVERY_ACK
+    4: 'READ', // READ
+    5: 'READ' // PLAYED
+};
+
+// Status receipt Baileys ke tahap timeline
+const RECEIPT_STAGES = {
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
+
+// Field timestamp message-receipt.update (receipt group per participant) ke tahap timeline
+const PARTICIPANT_STAGES = {
+    receiptTimestamp: 'delivered',
+    readTimestamp: 'read',
+    playedTimestamp: 'played'
+};
+
+// Tipe konten WhatsApp ke messageType
+const CONTENT_TYPES = {
+    conversation: 'TEXT',
+    extendedTextMessage: 'TEXT',
+    imageMessage: 'IMAGE',
+    stickerMessage: 'IMAGE',
+    videoMessage: 'VIDEO',
+    audioMessage: 'AUDIO',
+    documentMessage: 'DOCUMENT',
+    locationMessage: 'LOCATION',
+    liveLocationMessage: 'LOCATION',
+    contactMessage: 'CONTACT',
+    contactsArrayMessage: 'CONTACT',
+    pollCreationMessage: 'POLL',
+    pollCreationMessageV2: 'POLL',
+    pollCreationMessageV3: 'POLL',
+    listMessage: 'LIST',
+    buttonsMessage: 'BUTTON',
+    templateMessage: 'BUTTON',
+    reactionMessage: 'REACTION'
+};
+
+/**
+ * Teks dari konten pesan (text, caption, pertanyaan poll, dll)
+ */
+const extractText = (content) => {
+    if (!content) {
+        return null;
+    }
+
+    const type = getContentType(content);
+    const inner = content[type];
+
+    if (typeof inner === 'string') {
+        return inner;
+    }
+
+    return inner?.text || inner?.caption || inner?.name || inner?.description || inner?.contentText || null;
+};
+
+/**
+ * Ambil field Message dari WAMessage (pesan masuk maupun hasil sock.sendMessage)
+ * @param {Object} message - WAMessage
+ * @returns {Object|null} Field Message, null untuk pesan tanpa konten yang dicatat (mis. sender key)
+ */
+const extractFields = (message) => {
+    const content = normalizeMessageContent(message.message);
+    const type = content && getContentType(content);
+    if (!type) {
+        return null;
+    }
+
+    const inner = content[type];
+    const fields = {};
+
+    if (type === 'protocolMessage') {
+        if (inner.type === proto.Message.ProtocolMessage.Type.REVOKE) {
+            fields.messageType = 'DELETE';
+        } else if (inner.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+            fields.messageType = 'EDIT';
+            fields.content = extractText(inner.editedMessage);
+        } else {
+            return null;
+        }
+
+        fields.metadata = { targetMessageId: inner.key?.id };
+        return fields;
+    }
+
+    fields.messageType = CONTENT_TYPES[type];
+    if (!fields.messageType) {
+        return null;
+    }
+
+    switch (fields.messageType) {
+        case 'IMAGE':
+        case 'VIDEO':
+        case 'AUDIO':
+        case 'DOCUMENT':
+            fields.content = inner.caption || null;
+            fields.mediaType = inner.mimetype || null;
+            fields.mediaFileName = inner.fileName || null;
+            fields.mediaSize = inner.fileLength ? toNumber(inner.fileLength) : null;
+            break;
+
+        case 'LOCATION':
+            fields.latitude = inner.degreesLatitude;
+            fields.longitude = inner.degreesLongitude;
+            fields.locationName = inner.name || null;
+            fields.locationAddress = inner.address || null;
+            break;
+
+        case 'CONTACT': {
+            const contact = type === 'contactsArrayMessage' ? inner.contacts?.[0] : inner;
+            fields.contactName = inner.displayName || contact?.displayName || null;
+            fields.contactVcard = contact?.vcard || null;
+            fields.contactPhone = contact?.vcard?.match(/waid=(\d+)/)?.[1] || null;
+            break;
+        }
+
+        case 'REACTION':
+            fields.reactionEmoji = inner.text || null;
+            fields.reactedToMessageId = inner.key?.id || null;
+            break;
+
+        default:
+            fields.content = extractText(content);
+    }
+
+    const contextInfo = inner.contextInfo;
+    if (contextInfo?.stanzaId) {
+        fields.quotedMessageId = contextInfo.stanzaId;
+        fields.quotedContent = extractText(normalizeMessageContent(contextInfo.quotedMessage));
+    }
+
+    return fields;
+};
+
+/**
+ * Field alamat (penerima, pengirim, group) dari key pesan
+ */
+const addressFields = (message) => {
+    const { remoteJid, fromMe } = message.key;
+    const isGroup = remoteJid.endsWith('@g.us');
+    const participant = message.key.participant || message.participant;
+
+    const fields = {
+        direction: fromMe ? 'OUTGOING' : 'INCOMING',
+        recipientType: isGroup ? 'GROUP' : (remoteJid.endsWith('@broadcast') ? 'BROADCAST' : 'INDIVIDUAL'),
+        groupJid: isGroup ? remoteJid : null
+    };
+
+    if (fromMe) {
+        fields.toJid = remoteJid;
+        fields.phoneNumbers = JSON.stringify([isGroup ? remoteJid : extractPhoneFromJid(remoteJid)]);
+    } else {
+        fields.fromJid = isGroup ? participant : remoteJid;
+        fields.toJid = isGroup ? remoteJid : null;
+    }
+
+    return fields;
+};
+
+class MessageLogService {
+
+    /**
+     * Simpan WAMessage sebagai row Message, atau lengkapi row yang sudah ada dengan waMessageId sama.
+     * Pesan kirim API tercatat dua kali (hasil sendMessage dan event upsert), row pertama yang dipakai.
+     * @param {string} sessionId - ID session
+     * @param {Object} message - WAMessage
+     * @param {Object} extra - Field tambahan atau pengganti (mis. status, messageType)
+     * @returns {Promise<Object|null>} Record Message
+     */
+    async saveMessage(sessionId, message, extra = {}) {
+        const fields = extractFields(message);
+        if (!fields) {
+            return null;
+        }
+
+        const timestamp = message.messageTimestamp ? toNumber(message.messageTimestamp) : null;
+        const values = {
+            sessionId,
+            waMessageId: message.key.id,
+            waTimestamp: timestamp,
+            rawData: JSON.parse(JSON.stringify(message, BufferJSON.replacer)),
+            ...addressFields(message),
+            ...fields,
+            ...extra,
+            metadata: { ...(fields.metadata || {}), ...(extra.metadata || {}) }
+        };
+
+        if (values.direction === 'OUTGOING') {
+            values.status = values.status || 'SENT';
+            values.sentAt = timestamp ? new Date(timestamp * 1000) : new Date();
+        } else {
+            values.status = 'DELIVERED';
+            values.deliveredAt = timestamp ? new Date(timestamp * 1000) : new Date();
+        }
+
+        let record = await Message.findOne({ where: { sessionId, waMessageId: values.waMessageId } });
+        if (!record) {
+            try {
+                record = await Message.create(values);
+                await this.applyToTarget(sessionId, record);
+                return record;
+            } catch (error) {
+                if (!(error instanceof UniqueConstraintError)) {
+                    throw error;
+                }
+                record = await Message.findOne({ where: { sessionId, waMessageId: values.waMessageId } });
+            }
+        }
+
+        // Row sudah ada: lengkapi field kosong tanpa memundurkan status dari receipt
+        const updates = {};
+        for (const [field, value] of Object.entries(values)) {
+            if (field !== 'status' && field !== 'metadata' && value !== null && value !== undefined && record[field] == null) {
+                updates[field] = value;
+            }
+        }
+        updates.metadata = { ...record.metadata, ...values.metadata };
+        if (extra.messageType) {
+            updates.messageType = extra.messageType;
+        }
+
+        await record.update(updates);
+        return record;
+    }
+
+    /**
+     * Pesan hapus/edit: update row pesan yang dituju
+     */
+    async applyToTarget(sessionId, record) {
+        const targetMessageId = record.metadata.targetMessageId;
+        if (!targetMessageId || !['DELETE', 'EDIT'].includes(record.messageType)) {
+            return;
+        }
+
+        const target = await Message.findOne({ where: { sessionId, waMessageId: targetMessageId } });
+        if (!target) {
+            return;
+        }
+
+        if (record.messageType === 'DELETE') {
+            await target.update({ status: 'DELETED' });
+        } else {
+            await target.update({
+                content: record.content,
+                metadata: { ...target.metadata, editedAt: new Date().toISOString() }
+            });
+        }
+    }
+
+    /**
+     * Catat pesan yang berhasil dikirim lewat API.
+     * Kiriman ulang dari antrian menggantikan row FAILED sebelumnya (ID row tetap sama).
+     * @param {string} sessionId - ID session
+     * @param {Object} sentMessage - Hasil sock.sendMessage
+     * @param {Object} extra - { recipient, queuedMessageId, messageType }
+     */
+    async recordSent(sessionId, sentMessage, { recipient = null, ...extra } = {}) {
+        try {
+            if (recipient) {
+                extra.phoneNumbers = JSON.stringify([recipient]);
+            }
+
+            let failed = null;
+            if (extra.queuedMessageId) {
+                failed = await Message.findOne({
+                    where: { sessionId, queuedMessageId: extra.queuedMessageId, status: 'FAILED' }
+                });
+            } else {
+                delete extra.queuedMessageId;
+            }
+
+            if (failed) {
+                // Event upsert bisa lebih dulu membuat row untuk waMessageId ini
+                const upserted = await Message.findOne({ where: { sessionId, waMessageId: sentMessage.key.id } });
+                if (!upserted) {
+                    extra.id = failed.id;
+                }
+                await failed.destroy();
+            }
+
+            const record = await this.saveMessage(sessionId, sentMessage, extra);
+            if (failed && record) {
+                await record.update({
+                    queuedMessageId: extra.queuedMessageId,
+                    retryCount: failed.retryCount + 1
+                });
+            }
+        } catch (error) {
+            logWithSession('error', 'Error recording sent message', sessionId, { error: error.message });
+        }
+    }
+
+    /**
+     * Catat pengiriman yang gagal (belum ada WAMessage).
+     * Percobaan ulang dari antrian memperbarui row FAILED yang sama.
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { messageType, recipient, jid, content, error, queuedMessageId, ... }
+     */
+    async recordFailed(sessionId, { recipient, jid = null, error, queuedMessageId = null, ...fields }) {
+        try {
+            if (queuedMessageId) {
+                const existing = await Message.findOne({ where: { sessionId, queuedMessageId, status: 'FAILED' } });
+                if (existing) {
+                    await existing.updateStatus('FAILED', { error });
+                    return;
+                }
+            }
+
+            await Message.create({
+                sessionId,
+                direction: 'OUTGOING',
+                recipientType: jid?.endsWith('@g.us') ? 'GROUP' : 'INDIVIDUAL',
+                phoneNumbers: JSON.stringify([recipient]),
+                toJid: jid,
+                groupJid: jid?.endsWith('@g.us') ? jid : null,
+                status: 'FAILED',
+                errorMessage: error,
+                queuedMessageId,
+                ...fields
+            });
+        } catch (recordError) {
+            logWithSession('error', 'Error recording failed message', sessionId, { error: recordError.message });
+        }
+    }
+
+    /**
+     * Tandai pesan dihapus (hapus untuk diri sendiri tidak mengirim pesan protokol)
+     */
+    async markDeleted(sessionId, waMessageId) {
+        try {
+            await Message.update({ status: 'DELETED' }, { where: { sessionId, waMessageId } });
+        } catch (error) {
+            logWithSession('error', 'Error marking message deleted', sessionId, { messageId: waMessageId, error: error.message });
+        }
+    }
+
+    /**
+     * Catat pesan dari event messages.upsert (masuk, atau dikirim dari perangkat lain)
+     */
+    async recordUpsert(sessionId, message) {
+        try {
+            await this.saveMessage(sessionId, message);
+        } catch (error) {
+            logWithSession('error', 'Error recording message', sessionId, {
+                messageId: message.key?.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Majukan status dari event messages.update dan isi deliveredAt/readAt
+     * @param {string} sessionId - ID session
+     * @param {Object} update - Item messages.update
+     */
+    async applyUpdate(sessionId, update) {
+        try {
+            const stage = RECEIPT_STAGES[update.update?.status];
+            if (stage) {
+                await this.recordReceipts([{ sessionId, waMessageId: update.key.id, status: stage, timestamp: new Date() }]);
+            }
+
+            const revoked = update.update?.messageStubType === proto.WebMessageInfo.StubType.REVOKE;
+            const status = revoked ? 'DELETED' : RECEIPT_STATUS[update.update?.status];
+            if (!status) {
+                return;
+            }
+
+            const record = await Message.findOne({ where: { sessionId, waMessageId: update.key.id } });
+            if (!record) {
+                return;
+            }
+
+            if (status === 'DELETED') {
+                await record.update({ status });
+                return;
+            }
+
+            if (!(record.status in STATUS_RANK) || STATUS_RANK[status] <= STATUS_RANK[record.status]) {
+                return;
+            }
+
+            const now = new Date();
+            const updates = { status };
+            if (STATUS_RANK[status] >= STATUS_RANK.DELIVERED && !record.deliveredAt) {
+                updates.deliveredAt = now;
+            }
+            if (status === 'READ' && !record.readAt) {
+                updates.readAt = now;
+            }
+
+            await record.update(updates);
+        } catch (error) {
+            logWithSession('error', 'Error applying message update', sessionId, {
+                messageId: update.key?.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Simpan receipt per participant group dari event message-receipt.update
+     * @param {string} sessionId - ID session
+     * @param {Array} updates - Item { key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }
+     */
+    async applyParticipantReceipts(sessionId, updates) {
+        const rows = [];
+
+        for (const { key, receipt } of updates) {
+            for (const [field, status] of Object.entries(PARTICIPANT_STAGES)) {
+                if (receipt[field]) {
+                    rows.push({
+                        sessionId,
+                        waMessageId: key.id,
+                        participant: receipt.userJid,
+                        status,
+                        timestamp: new Date(toNumber(receipt[field]) * 1000)
+                    });
+                }
+            }
+        }
+
+        try {
+            await this.recordReceipts(rows);
+        } catch (error) {
+            logWithSession('error', 'Error recording message receipts', sessionId, { error: error.message });
+        }
+    }
+
+    /**
+     * Simpan receipt, tahap yang sudah tercatat diabaikan (waktu pertama yang dipakai)
+     */
+    async recordReceipts(rows) {
+        if (rows.length > 0) {
+            await MessageReceipt.bulkCreate(rows, { ignoreDuplicates: true });
+        }
+    }
+
+    /**
+     * Cari pesan tersimpan dengan cursor pagination (terbaru lebih dulu).
+     * Cursor adalah posisi pesan terakhir halaman sebelumnya, stabil walau pesan baru masuk.
+     * @param {string} sessionId - ID session
+     * @param {Object} params - { q, direction, type, jid, groupJid, from, to, hasMedia, cursor, limit }
+     * @returns {Promise<Object>} { messages, count, hasMore, nextCursor }
+     * @throws {ValidationError} Jika cursor tidak valid
+     */
+    async searchMessages(sessionId, { q, type, cursor, limit = 50, ...filters } = {}) {
+        let before = null;
+        if (cursor) {
+            try {
+                const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+                before = { createdAt: new Date(createdAt), id };
+            } catch (error) {
+                before = null;
+            }
+
+            if (!before || isNaN(before.createdAt) || !isValidUUID(before.id)) {
+                throw createError.validation('Invalid cursor');
+            }
+        }
+
+        // Ambil satu pesan lebih untuk menentukan hasMore
+        const rows = await Message.searchMessages(sessionId, {
+            ...filters,
+            query: q,
+            messageType: type,
+            before,
+            limit: limit + 1
+        });
+
+        const messages = rows.slice(0, limit);
+        const last = messages[messages.length - 1];
+        const hasMore = rows.length > limit;
+
+        return {
+            messages,
+            count: messages.length,
+            hasMore,
+            nextCursor: hasMore
+                ? Buffer.from(JSON.stringify([new Date(last.createdAt).toISOString(), last.id])).toString('base64url')
+                : null
+        };
+    }
+
+    /**
+     * Timeline status pesan: pending, server_ack, delivered, read, played beserta waktunya.
+     * Pesan group juga berisi receipt per participant.
+     * @param {string} sessionId - ID session
+     * @param {string} messageId - ID WhatsApp atau ID row Message
+     * @returns {Promise<Object>} { message, status, timeline, participants }
+     * @throws {NotFoundError}
+     */
+    async getStatusTimeline(sessionId, messageId) {
+        const where = isValidUUID(messageId) ? { sessionId, id: messageId } : { sessionId, waMessageId: messageId };
+        const message = await Message.findOne({ where });
+
+        if (!message) {
+            throw createError.notFound('Message');
+        }
+
+        const receipts = message.waMessageId
+            ? await MessageReceipt.findAll({
+                where: { sessionId, waMessageId: message.waMessageId },
+                order: [['timestamp', 'ASC']]
+            })
+            : [];
+
+        // Fallback ke kolom Message untuk pesan yang tercatat sebelum receipt disimpan
+        const fallback = {
+            pending: message.createdAt,
+            server_ack: null,
+            delivered: message.deliveredAt,
+            read: message.readAt,
+            played: null
+        };
+
+        const own = receipts.filter(receipt => receipt.participant === '');
+        const timeline = MessageReceipt.STAGES.map(status => ({
+            status,
+            timestamp: own.find(receipt => receipt.status === status)?.timestamp || fallback[status] || null
+        }));
+
+        const reached = timeline.filter(stage => stage.timestamp);
+        const result = {
+            message: message.getSummary(),
+            status: message.status,
+            stage: reached.length > 0 ? reached[reached.length - 1].status : null,
+            timeline
+        };
+
+        if (message.recipientType === 'GROUP') {
+            const participants = new Map();
+
+            for (const receipt of receipts.filter(item => item.participant !== '')) {
+                if (!participants.has(receipt.participant)) {
+                    participants.set(receipt.participant, {
+                        participant: receipt.participant,
+                        phone: extractPhoneFromJid(receipt.participant),
+                        delivered: null,
+                        read: null,
+                        played: null
+                    });
+                }
+                participants.get(receipt.participant)[receipt.status] = receipt.timestamp;
+            }
+
+            result.participants = [...participants.values()];
+        }
+
+        return result;
+    }
+}
+
+// Singleton instance
+const messageLogService = new MessageLogService();
+
+module.exports = messageLogService;
@@ -9,10 +9,17 @@ const {
 const fs = require('fs');
 const path = require('path');
 const mime = require('mime-types');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
 
 const sessionManager = require('./sessionManager');
 const whatsappService = require('./whatsappService');
-const { logWithSession, logWhatsappEvent } = require('../utils/logger');
+const webhookService = require('./webhookService');
+const messageLogService = require('./messageLogService');
+const QueuedMessage = require('../models/QueuedMessage');
+const Message = require('../models/Message');
+const { logger, logWithSession, logWhatsappEvent } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
 const {
     formatToWhatsAppId,
     formatMultipleToWhatsAppId,
@@ -20,9 +27,26 @@ const {
     extractPhoneFromJid
 } = require('../utils/phoneFormatter');
 
+// Error yang tidak akan berhasil jika diulang, pesan langsung FAILED tanpa retry
+const PERMANENT_ERRORS = [
+    'Invalid phone number',
+    'Number not registered on WhatsApp',
+    'Unsupported media type',
+    'Unsupported message type',
+    'Media file not found'
+];
+
+/**
+ * Cek apakah error pengiriman layak dicoba ulang
+ * @param {string} error - Pesan error
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => !PERMANENT_ERRORS.some(permanent => error?.startsWith(permanent));
+
 class MessageService {
     constructor() {
-        this.messageQueue = new Map(); // Queue untuk delay pengiriman
+        this.workers = new Map(); // sessionId -> promise worker antrian yang sedang berjalan
+        this.queueDir = path.join(defaultConfig.queue.spoolPath, 'queue');
         this.setupMessageQueue();
     }
 
@@ -32,7 +56,428 @@ class MessageService {
     setupMessageQueue() {
         setInterval(() => {
             this.processMessageQueue();
-        }, 1000);
+        }, defaultConfig.queue.pollInterval);
+
+        // Antrian session dilanjutkan begitu session terhubung kembali
+        sessionManager.on('state', (sessionId, state) => {
+            if (state === 'CONNECTED') {
+                this.startWorker(sessionId);
+            }
+        });
+    }
+
+    /**
+     * Masukkan pesan ke antrian, satu row per penerima
+     * @param {string} sessionId - ID session
+     * @param {string} type - text, media, location, contact
+     * @param {Array} recipients - Array nomor tujuan
+     * @param {Object|Function} payload - Isi pesan dan opsi, atau (recipient) => payload untuk isi per penerima
+     * @param {Object} options - { priority, availableAt, media (Buffer) }
+     * @returns {Promise<Object>} { batchId, messages }
+     */
+    async enqueueMessages(sessionId, type, recipients, payload, options = {}) {
+        const batchId = uuidv4();
+        let mediaPath = null;
+
+        // Media disimpan ke disk supaya antrian tetap utuh setelah restart
+        if (options.media) {
+            fs.mkdirSync(this.queueDir, { recursive: true });
+            mediaPath = path.join(this.queueDir, batchId);
+            fs.writeFileSync(mediaPath, options.media);
+        }
+
+        const rows = await QueuedMessage.bulkCreate(recipients.map(recipient => ({
+            sessionId,
+            batchId,
+            recipient,
+            type,
+            payload: typeof payload === 'function' ? payload(recipient) : payload,
+            mediaPath,
+            priority: options.priority || 0,
+            availableAt: options.availableAt || new Date()
+        })));
+
+        logWithSession('info', `Queued ${rows.length} ${type} message(s)`, sessionId, { batchId });
+
+        this.startWorker(sessionId);
+
+        return {
+            batchId,
+            messages: rows.map(row => row.getSummary())
+        };
+    }
+
+    /**
+     * Jalankan worker antrian session jika belum berjalan dan session terhubung
+     * @param {string} sessionId - ID session
+     */
+    startWorker(sessionId) {
+        if (this.workers.has(sessionId) || !sessionManager.isSessionConnected(sessionId)) {
+            return;
+        }
+
+        const worker = this.drainQueue(sessionId)
+            .catch(error => {
+                logWithSession('error', 'Message queue worker failed', sessionId, { error: error.message });
+            })
+            .finally(() => {
+                this.workers.delete(sessionId);
+            });
+
+        this.workers.set(sessionId, worker);
+    }
+
+    /**
+     * Kirim pesan antrian satu per satu sampai habis atau session terputus
+     * @param {string} sessionId - ID session
+     */
+    async drainQueue(sessionId) {
+        while (sessionManager.isSessionConnected(sessionId)) {
+            const item = await QueuedMessage.findNext(sessionId);
+            if (!item) {
+                return;
+            }
+
+            await item.update({ status: 'PROCESSING', attempts: item.attempts + 1 });
+
+            let result;
+            try {
+                result = await this.deliverQueuedMessage(item);
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            // Session terputus di tengah pengiriman, kembalikan ke antrian
+            if (!result.success && !sessionManager.isSessionConnected(sessionId)) {
+                await item.update({ status: 'QUEUED' });
+                logWithSession('info', 'Session disconnected, message queue paused', sessionId);
+                return;
+            }
+
+            if (result.success) {
+                await item.update({
+                    status: 'SENT',
+                    waMessageId: result.messageId,
+                    sentAt: new Date(),
+                    error: null
+                });
+                await this.releaseMedia(item);
+            } else if (this.shouldRetry(item, result.error)) {
+                const delay = this.getRetryDelay(item.attempts);
+                await item.update({
+                    status: 'QUEUED',
+                    error: result.error,
+                    availableAt: new Date(Date.now() + delay)
+                });
+
+                logWithSession('warn', `Message send failed, retrying in ${Math.round(delay / 1000)}s`, sessionId, {
+                    queuedMessageId: item.id,
+                    attempts: item.attempts,
+                    error: result.error
+                });
+            } else {
+                await item.update({ status: 'FAILED', error: result.error });
+
+                // Error permanen tidak bisa dikirim ulang manual, media tidak perlu disimpan
+                if (!isRetryableError(result.error)) {
+                    await this.detachMedia(item);
+                }
+
+                await webhookService.sendWebhook(sessionId, {
+                    event: 'message_failed',
+                    message: item.getSummary(),
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const config = sessionManager.getSessionConfig(sessionId);
+            await this.delay(config.messageDelay);
+        }
+    }
+
+    /**
+     * Kirim satu pesan antrian lewat method send yang sesuai
+     * @param {Object} item - Record QueuedMessage
+     * @returns {Promise<Object>} Hasil per penerima { success, messageId, error }
+     */
+    async deliverQueuedMessage(item) {
+        return this.sendPayload(item.sessionId, item.recipient, item.type, item.payload, item.mediaPath, item.id);
+    }
+
+    /**
+     * Cek apakah pesan antrian yang gagal dijadwalkan ulang otomatis
+     * @param {Object} item - Record QueuedMessage
+     * @param {string} error - Pesan error
+     * @returns {boolean}
+     */
+    shouldRetry(item, error) {
+        return isRetryableError(error) && item.attempts <= defaultConfig.queue.maxRetries;
+    }
+
+    /**
+     * Jeda sebelum percobaan berikutnya (exponential backoff)
+     * @param {number} attempts - Jumlah percobaan yang sudah dilakukan
+     * @returns {number} Milliseconds
+     */
+    getRetryDelay(attempts) {
+        const { retryDelay, retryMaxDelay } = defaultConfig.queue;
+        return Math.min(retryDelay * 2 ** Math.max(attempts - 1, 0), retryMaxDelay);
+    }
+
+    /**
+     * Kirim ulang pesan antrian yang FAILED, per ID atau semua pesan gagal session.
+     * Pesan dengan error permanen (mis. nomor tidak valid) tidak dikirim ulang.
+     * @param {string} sessionId - ID session
+     * @param {Array|null} ids - ID pesan antrian atau ID Message, null untuk semua
+     * @returns {Promise<Object>} { retried, skipped }
+     */
+    async retryFailedMessages(sessionId, ids = null) {
+        const where = { sessionId };
+        let queueIds = new Map(); // ID Message -> ID pesan antrian asalnya
+
+        if (ids) {
+            const logged = await Message.findAll({
+                attributes: ['id', 'queuedMessageId'],
+                where: { sessionId, id: ids },
+                raw: true
+            });
+            queueIds = new Map(logged.map(row => [row.id, row.queuedMessageId]));
+            where.id = ids.map(id => queueIds.get(id) || id);
+        } else {
+            where.status = 'FAILED';
+        }
+
+        const items = await QueuedMessage.findAll({ where, order: [['createdAt', 'ASC']] });
+        const retried = [];
+        const skipped = [];
+
+        for (const item of items) {
+            if (item.status !== 'FAILED') {
+                skipped.push({ id: item.id, reason: `Message is ${item.status}` });
+            } else if (!isRetryableError(item.error)) {
+                skipped.push({ id: item.id, reason: `Permanent failure: ${item.error}` });
+            } else if (item.type === 'media' && !item.mediaPath) {
+                skipped.push({ id: item.id, reason: 'Media file was purged after the retention period' });
+            } else {
+                // Percobaan direset supaya kebijakan retry otomatis berlaku lagi
+                await item.update({ status: 'QUEUED', attempts: 0, availableAt: new Date() });
+                retried.push(item.getSummary());
+            }
+        }
+
+        if (ids) {
+            const found = new Set(items.map(item => item.id));
+            for (const id of ids) {
+                if (queueIds.has(id) && !queueIds.get(id)) {
+                    skipped.push({ id, reason: 'Message was not sent through the queue, no stored payload' });
+                } else if (!found.has(queueIds.get(id) || id)) {
+                    skipped.push({ id, reason: 'Not found' });
+                }
+            }
+        }
+
+        if (retried.length > 0) {
+            logWithSession('info', `Retrying ${retried.length} failed message(s)`, sessionId);
+            this.startWorker(sessionId);
+        }
+
+        return { retried, skipped };
+    }
+
+    /**
+     * Kirim pesan format antrian ke satu penerima (typing, checkNumber tetap berlaku)
+     * @param {string} sessionId - ID session
+     * @param {string} recipient - Nomor tujuan
+     * @param {string} type - text, media, location, contact
+     * @param {Object} payload - Payload format antrian
+     * @param {string} mediaPath - File media untuk tipe media
+     * @param {string} queuedMessageId - ID pesan antrian, percobaan ulang memperbarui row Message yang sama
+     * @returns {Promise<Object>} Hasil { success, messageId, error }
+     */
+    async sendPayload(sessionId, recipient, type, payload, mediaPath = null, queuedMessageId = null) {
+        let result;
+        payload = { ...payload, options: { ...(payload.options || {}), queuedMessageId } };
+
+        switch (type) {
+            case 'text':
+                result = await this.sendTextMessage(sessionId, recipient, payload.text, payload.options);
+                break;
+
+            case 'media':
+                result = await this.sendMediaMessage(sessionId, recipient, mediaPath, payload.mediaType, payload.options);
+                break;
+
+            case 'location':
+                result = await this.sendLocationMessage(sessionId, recipient, payload.latitude, payload.longitude, payload.options);
+                break;
+
+            case 'contact':
+                result = await this.sendContactMessage(sessionId, recipient, payload.contact, payload.options);
+                break;
+
+            default:
+                throw new Error(`Unsupported message type: ${type}`);
+        }
+
+        return result.results[0];
+    }
+
+    /**
+     * Ubah payload format API (jadwal, campaign) ke format antrian pesan
+     * @param {string} type - text, media, location, contact
+     * @param {Object} payload - { text } | { mediaType, caption, fileName, mimeType } | { latitude, longitude, name, address } | { contact }
+     * @returns {Object} Payload antrian
+     */
+    toQueuePayload(type, payload) {
+        switch (type) {
+            case 'text':
+                return { text: payload.text, options: payload.options || {} };
+
+            case 'media':
+                return {
+                    mediaType: payload.mediaType,
+                    options: {
+                        caption: payload.caption || '',
+                        fileName: payload.fileName,
+                        mimeType: payload.mimeType,
+                        ...(payload.options || {})
+                    }
+                };
+
+            case 'location':
+                return {
+                    latitude: payload.latitude,
+                    longitude: payload.longitude,
+                    options: {
+                        name: payload.name || '',
+                        address: payload.address || '',
+                        ...(payload.options || {})
+                    }
+                };
+
+            case 'contact':
+                return { contact: payload.contact, options: payload.options || {} };
+
+            default:
+                throw new Error(`Unsupported message type: ${type}`);
+        }
+    }
+
+    /**
+     * Hapus file media antrian jika tidak ada row lain yang masih memakainya
+     */
+    async releaseMedia(item) {
+        if (!item.mediaPath) {
+            return;
+        }
+
+        const remaining = await QueuedMessage.count({
+            where: { mediaPath: item.mediaPath, status: ['QUEUED', 'PROCESSING', 'FAILED'] }
+        });
+
+        if (remaining === 0 && fs.existsSync(item.mediaPath)) {
+            fs.unlinkSync(item.mediaPath);
+        }
+    }
+
+    /**
+     * Lepas media dari pesan antrian yang tidak akan dikirim lagi, file dihapus jika tidak dipakai row lain
+     */
+    async detachMedia(item) {
+        const { mediaPath } = item;
+        if (!mediaPath) {
+            return;
+        }
+
+        await item.update({ mediaPath: null });
+        await this.releaseMedia({ mediaPath });
+    }
+
+    /**
+     * Hapus media pesan FAILED yang sudah melewati masa simpan untuk retry manual
+     * @returns {Promise<number>} Jumlah pesan yang medianya dilepas
+     */
+    async purgeFailedMedia() {
+        const items = await QueuedMessage.findAll({
+            where: {
+                status: 'FAILED',
+                mediaPath: { [Op.ne]: null },
+                updatedAt: { [Op.lte]: new Date(Date.now() - defaultConfig.queue.failedMediaRetention) }
+            }
+        });
+
+        for (const item of items) {
+            await this.detachMedia(item);
+        }
+
+        if (items.length > 0) {
+            logger.info(`Purged media of ${items.length} failed queued message(s)`);
+        }
+
+        return items.length;
+    }
+
+    /**
+     * Pulihkan antrian setelah restart, pesan yang terpotong di PROCESSING dikirim ulang
+     */
+    async recoverQueue() {
+        const [recovered] = await QueuedMessage.update(
+            { status: 'QUEUED' },
+            { where: { status: 'PROCESSING' } }
+        );
+
+        if (recovered > 0) {
+            logger.info(`Recovered ${recovered} interrupted queued message(s)`);
+        }
+    }
+
+    /**
+     * Get status antrian session
+     * @param {string} sessionId - ID session
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<Object>} { counts, messages, total, running }
+     */
+    async getQueue(sessionId, { status = null, limit = 50, offset = 0 } = {}) {
+        const where = { sessionId };
+        if (status) {
+            where.status = status;
+        }
+
+        const { rows, count } = await QueuedMessage.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset
+        });
+
+        return {
+            counts: await QueuedMessage.getSessionCounts(sessionId),
+            running: this.workers.has(sessionId),
+            messages: rows.map(row => row.getSummary()),
+            total: count
+        };
+    }
+
+    /**
+     * Batalkan pesan yang masih di antrian
+     * @param {string} sessionId - ID session
+     * @param {string} messageId - ID pesan antrian
+     * @returns {Promise<Object|null>} Summary pesan, null jika tidak ditemukan
+     */
+    async cancelQueuedMessage(sessionId, messageId) {
+        const item = await QueuedMessage.findOne({ where: { id: messageId, sessionId } });
+        if (!item) {
+            return null;
+        }
+
+        if (item.status !== 'QUEUED') {
+            throw new Error(`Message is ${item.status}, only QUEUED messages can be cancelled`);
+        }
+
+        await item.update({ status: 'CANCELLED' });
+        await this.releaseMedia(item);
+
+        return item.getSummary();
     }
 
     /**
@@ -53,6 +498,9 @@ class MessageService {
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Field Message untuk pengiriman yang gagal, retry antrian memperbarui row yang sama
+            const logFields = { messageType: 'TEXT', content: text, queuedMessageId: options.queuedMessageId };
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatToWhatsAppId(recipient, config.countryCode);
@@ -63,6 +511,7 @@ class MessageService {
                             success: false,
                             error: 'Invalid phone number'
                         });
+                        await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Invalid phone number' });
                         continue;
                     }
 
@@ -75,6 +524,7 @@ class MessageService {
                                 success: false,
                                 error: 'Number not registered on WhatsApp'
                             });
+                            await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Number not registered on WhatsApp' });
                             continue;
                         }
                     }
@@ -118,6 +568,8 @@ class MessageService {
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient, queuedMessageId: options.queuedMessageId });
+
                     logWhatsappEvent('message_sent', sessionId, {
                         to: jid,
                         type: 'text',
@@ -135,6 +587,7 @@ class MessageService {
                         success: false,
                         error: error.message
                     });
+                    await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: error.message });
 
                     logWithSession('error', 'Error sending text message', sessionId, {
                         to: recipient,
@@ -192,6 +645,16 @@ class MessageService {
                 mimeType = mimeType || 'application/octet-stream';
             }
 
+            // Field Message untuk pengiriman yang gagal, retry antrian memperbarui row yang sama
+            const logFields = {
+                messageType: type.toUpperCase(),
+                content: options.caption || null,
+                mediaType: mimeType,
+                mediaFileName: fileName,
+                mediaSize: mediaBuffer.length,
+                queuedMessageId: options.queuedMessageId
+            };
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatToWhatsAppId(recipient, config.countryCode);
@@ -202,6 +665,7 @@ class MessageService {
                             success: false,
                             error: 'Invalid phone number'
                         });
+                        await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Invalid phone number' });
                         continue;
                     }
 
@@ -214,6 +678,7 @@ class MessageService {
                                 success: false,
                                 error: 'Number not registered on WhatsApp'
                             });
+                            await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Number not registered on WhatsApp' });
                             continue;
                         }
                     }
@@ -290,6 +755,8 @@ class MessageService {
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient, queuedMessageId: options.queuedMessageId });
+
                     logWhatsappEvent('message_sent', sessionId, {
                         to: jid,
                         type: type,
@@ -308,6 +775,7 @@ class MessageService {
                         success: false,
                         error: error.message
                     });
+                    await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: error.message });
 
                     logWithSession('error', 'Error sending media message', sessionId, {
                         to: recipient,
@@ -347,6 +815,16 @@ class MessageService {
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Field Message untuk pengiriman yang gagal, retry antrian memperbarui row yang sama
+            const logFields = {
+                messageType: 'LOCATION',
+                latitude,
+                longitude,
+                locationName: options.name || null,
+                locationAddress: options.address || null,
+                queuedMessageId: options.queuedMessageId
+            };
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatToWhatsAppId(recipient, config.countryCode);
@@ -357,6 +835,7 @@ class MessageService {
                             success: false,
                             error: 'Invalid phone number'
                         });
+                        await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Invalid phone number' });
                         continue;
                     }
 
@@ -395,6 +874,8 @@ class MessageService {
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient, queuedMessageId: options.queuedMessageId });
+
                     logWhatsappEvent('message_sent', sessionId, {
                         to: jid,
                         type: 'location',
@@ -412,6 +893,7 @@ class MessageService {
                         success: false,
                         error: error.message
                     });
+                    await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: error.message });
                 }
             }
 
@@ -444,6 +926,14 @@ class MessageService {
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Field Message untuk pengiriman yang gagal, retry antrian memperbarui row yang sama
+            const logFields = {
+                messageType: 'CONTACT',
+                contactName: contact.name || null,
+                contactPhone: contact.phone,
+                queuedMessageId: options.queuedMessageId
+            };
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatToWhatsAppId(recipient, config.countryCode);
@@ -454,6 +944,7 @@ class MessageService {
                             success: false,
                             error: 'Invalid phone number'
                         });
+                        await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Invalid phone number' });
                         continue;
                     }
 
@@ -499,6 +990,8 @@ END:VCARD`;
                         timestamp: sentMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, sentMessage, { recipient, queuedMessageId: options.queuedMessageId });
+
                     logWhatsappEvent('message_sent', sessionId, {
                         to: jid,
                         type: 'contact',
@@ -516,6 +1009,7 @@ END:VCARD`;
                         success: false,
                         error: error.message
                     });
+                    await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: error.message });
                 }
             }
 
@@ -551,6 +1045,7 @@ END:VCARD`;
             };
 
             const sentMessage = await sock.sendMessage(messageKey.remoteJid, reactionMessage);
+            await messageLogService.recordSent(sessionId, sentMessage);
 
             logWhatsappEvent('reaction_sent', sessionId, {
                 to: messageKey.remoteJid,
@@ -587,6 +1082,9 @@ END:VCARD`;
             const recipients = Array.isArray(to) ? to : [to];
             const results = [];
 
+            // Field Message untuk pengiriman yang gagal
+            const logFields = { messageType: 'FORWARD' };
+
             for (const recipient of recipients) {
                 try {
                     const jid = formatToWhatsAppId(recipient, config.countryCode);
@@ -597,6 +1095,7 @@ END:VCARD`;
                             success: false,
                             error: 'Invalid phone number'
                         });
+                        await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: 'Invalid phone number' });
                         continue;
                     }
 
@@ -610,7 +1109,8 @@ END:VCARD`;
                         userJid: sock.user.id
                     });
 
-                    const sentMessage = await sock.relayMessage(jid, forwardMessage.message, {
+                    // relayMessage hanya mengembalikan ID, pesan lengkapnya forwardMessage
+                    await sock.relayMessage(jid, forwardMessage.message, {
                         messageId: forwardMessage.key.id
                     });
 
@@ -623,14 +1123,16 @@ END:VCARD`;
                     results.push({
                         to: recipient,
                         success: true,
-                        messageId: sentMessage.key.id,
-                        timestamp: sentMessage.messageTimestamp
+                        messageId: forwardMessage.key.id,
+                        timestamp: forwardMessage.messageTimestamp
                     });
 
+                    await messageLogService.recordSent(sessionId, forwardMessage, { recipient, messageType: 'FORWARD' });
+
                     logWhatsappEvent('message_forwarded', sessionId, {
                         to: jid,
                         originalMessageId: message.key.id,
-                        newMessageId: sentMessage.key.id
+                        newMessageId: forwardMessage.key.id
                     });
 
                     // Delay before next message
@@ -644,6 +1146,7 @@ END:VCARD`;
                         success: false,
                         error: error.message
                     });
+                    await messageLogService.recordFailed(sessionId, { recipient, ...logFields, error: error.message });
                 }
             }
 
@@ -676,9 +1179,11 @@ END:VCARD`;
                     delete: messageKey
                 };
 
-                await sock.sendMessage(messageKey.remoteJid, deleteMessage);
+                const sentMessage = await sock.sendMessage(messageKey.remoteJid, deleteMessage);
+                await messageLogService.recordSent(sessionId, sentMessage);
             } else {
                 await sock.chatModify({ delete: true, lastMessages: [{ key: messageKey, messageTimestamp: messageKey.messageTimestamp }] }, messageKey.remoteJid);
+                await messageLogService.markDeleted(sessionId, messageKey.id);
             }
 
             logWhatsappEvent('message_deleted', sessionId, {
@@ -717,6 +1222,7 @@ END:VCARD`;
             };
 
             const sentMessage = await sock.sendMessage(messageKey.remoteJid, editMessage);
+            await messageLogService.recordSent(sessionId, sentMessage);
 
             logWhatsappEvent('message_edited', sessionId, {
                 originalMessageId: messageKey.id,
@@ -781,11 +1287,15 @@ END:VCARD`;
     }
 
     /**
-     * Process message queue
+     * Process message queue: start worker untuk session terhubung yang punya pesan jatuh tempo
      */
-    processMessageQueue() {
-        // Implementation untuk process message queue jika diperlukan
-        // Untuk future enhancement
+    async processMessageQueue() {
+        try {
+            const sessionIds = await QueuedMessage.findSessionsWithDueMessages();
+            sessionIds.forEach(sessionId => this.startWorker(sessionId));
+        } catch (error) {
+            logger.error('Error processing message queue:', error);
+        }
     }
 
     /**
@@ -0,0 +1,454 @@
+const fs = require('fs');
+const { BufferJSON, toNumber } = require('@whiskeysockets/baileys');
+const { Op } = require('sequelize');
+
+const { sequelize } = require('../config/database');
+const StoreChat = require('../models/StoreChat');
+const StoreContact = require('../models/StoreContact');
+const StoreMessage = require('../models/StoreMessage');
+const { logWithSession } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+// Batas jumlah row per query bulk insert (SQLite membatasi jumlah parameter)
+const BULK_CHUNK_SIZE = 200;
+
+const serialize = (value) => JSON.stringify(value, BufferJSON.replacer);
+const deserialize = (data) => JSON.parse(data, BufferJSON.reviver);
+const toTimestamp = (value) => (value ? toNumber(value) : 0);
+
+/**
+ * Map dengan batas ukuran, entry yang paling lama tidak dipakai dibuang lebih dulu
+ */
+class LruMap extends Map {
+    constructor(limit) {
+        super();
+        this.limit = limit;
+    }
+
+    touch(key, value) {
+        this.delete(key);
+        this.set(key, value);
+
+        if (this.size > this.limit) {
+            this.delete(this.keys().next().value);
+        }
+
+        return value;
+    }
+}
+
+/**
+ * Store Baileys berbasis SQLite, pengganti makeInMemoryStore.
+ * Semua chat, kontak dan pesan disimpan di database, di memory hanya ada
+ * pesan terbaru per chat (untuk getMessage saat retry) dan presence.
+ */
+class SessionStore {
+    constructor(sessionId, options = {}) {
+        this.sessionId = sessionId;
+        this.options = { ...defaultConfig.store, ...options };
+
+        this.messages = new LruMap(this.options.hotChats); // jid -> array pesan terbaru
+        this.presences = new LruMap(this.options.hotPresences); // jid -> { participant: presence }
+
+        this.queue = Promise.resolve();
+        this.closed = false;
+    }
+
+    /**
+     * Jalankan write database secara berurutan
+     * @param {Function} operation - Fungsi async
+     * @returns {Promise} Selesai saat operasi selesai
+     */
+    enqueue(operation) {
+        const next = this.queue
+            .then(operation)
+            .catch(error => {
+                logWithSession('error', 'Store write failed', this.sessionId, { error: error.message });
+            });
+
+        this.queue = next;
+        return next;
+    }
+
+    /**
+     * Tunggu semua write yang masih antri
+     */
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Hentikan store, event dari socket lama diabaikan
+     */
+    async close() {
+        this.closed = true;
+        await this.flush();
+    }
+
+    /**
+     * Bind ke event emitter socket Baileys
+     * @param {Object} ev - sock.ev
+     */
+    bind(ev) {
+        const on = (event, handler) => {
+            ev.on(event, (data) => {
+                if (!this.closed) {
+                    handler(data);
+                }
+            });
+        };
+
+        on('messaging-history.set', ({ chats, contacts, messages }) => {
+            this.enqueue(async () => {
+                await this.upsertChats(chats);
+                await this.upsertContacts(contacts);
+                await this.upsertMessages(messages);
+            });
+        });
+
+        on('chats.upsert', (chats) => this.enqueue(() => this.upsertChats(chats)));
+        on('chats.update', (updates) => this.enqueue(() => this.updateChats(updates)));
+        on('chats.delete', (ids) => this.enqueue(() => this.deleteChats(ids)));
+
+        on('contacts.upsert', (contacts) => this.enqueue(() => this.upsertContacts(contacts)));
+        on('contacts.update', (updates) => this.enqueue(() => this.updateContacts(updates)));
+
+        on('messages.upsert', ({ messages }) => this.enqueue(() => this.upsertMessages(messages)));
+        on('messages.update', (updates) => this.enqueue(() => this.updateMessages(updates)));
+        on('messages.delete', (item) => this.enqueue(() => this.deleteMessages(item)));
+
+        on('presence.update', ({ id, presences }) => {
+            this.presences.touch(id, { ...(this.presences.get(id) || {}), ...presences });
+        });
+    }
+
+    /**
+     * Bulk upsert per potongan
+     */
+    async bulkUpsert(model, rows, fields) {
+        for (let i = 0; i < rows.length; i += BULK_CHUNK_SIZE) {
+            await model.bulkCreate(rows.slice(i, i + BULK_CHUNK_SIZE), {
+                updateOnDuplicate: [...fields, 'updatedAt']
+            });
+        }
+    }
+
+    async upsertChats(chats = []) {
+        const rows = chats.filter(chat => chat?.id).map(chat => ({
+            sessionId: this.sessionId,
+            id: chat.id,
+            name: chat.name || null,
+            conversationTimestamp: toTimestamp(chat.conversationTimestamp),
+            data: serialize(chat),
+            updatedAt: new Date()
+        }));
+
+        await this.bulkUpsert(StoreChat, rows, ['name', 'conversationTimestamp', 'data']);
+    }
+
+    async updateChats(updates = []) {
+        const existing = await this.findByIds(StoreChat, updates.map(update => update.id));
+
+        const chats = updates.map(update => {
+            const chat = existing.get(update.id) || { id: update.id };
+
+            // unreadCount positif dari Baileys bersifat relatif
+            if (update.unreadCount > 0) {
+                update = { ...update, unreadCount: (chat.unreadCount || 0) + update.unreadCount };
+            }
+
+            return { ...chat, ...update };
+        });
+
+        await this.upsertChats(chats);
+    }
+
+    async deleteChats(ids = []) {
+        await StoreChat.destroy({ where: { sessionId: this.sessionId, id: ids } });
+    }
+
+    async upsertContacts(contacts = []) {
+        const rows = contacts.filter(contact => contact?.id).map(contact => ({
+            sessionId: this.sessionId,
+            id: contact.id,
+            name: contact.name || contact.notify || null,
+            data: serialize(contact),
+            updatedAt: new Date()
+        }));
+
+        await this.bulkUpsert(StoreContact, rows, ['name', 'data']);
+    }
+
+    async updateContacts(updates = []) {
+        const existing = await this.findByIds(StoreContact, updates.map(update => update.id));
+        await this.upsertContacts(updates.map(update => ({ ...(existing.get(update.id) || {}), ...update })));
+    }
+
+    async upsertMessages(messages = []) {
+        const rows = messages.filter(message => message?.key?.remoteJid && message.key.id).map(message => {
+            this.cacheMessage(message);
+
+            return {
+                sessionId: this.sessionId,
+                jid: message.key.remoteJid,
+                id: message.key.id,
+                fromMe: !!message.key.fromMe,
+                timestamp: toTimestamp(message.messageTimestamp),
+                data: serialize(message),
+                updatedAt: new Date()
+            };
+        });
+
+        await this.bulkUpsert(StoreMessage, rows, ['fromMe', 'timestamp', 'data']);
+    }
+
+    async updateMessages(updates = []) {
+        const messages = [];
+
+        for (const { key, update } of updates) {
+            const message = await this.loadMessage(key.remoteJid, key.id);
+            if (!message) {
+                continue;
+            }
+
+            // Status hanya boleh naik (SERVER_ACK -> DELIVERY_ACK -> READ)
+            const changes = { ...update };
+            if (changes.status && message.status && changes.status <= message.status) {
+                delete changes.status;
+            }
+
+            messages.push(Object.assign(message, changes));
+        }
+
+        await this.upsertMessages(messages);
+    }
+
+    async deleteMessages(item) {
+        if ('all' in item) {
+            this.messages.delete(item.jid);
+            await StoreMessage.destroy({ where: { sessionId: this.sessionId, jid: item.jid } });
+            return;
+        }
+
+        for (const key of item.keys) {
+            const cached = this.messages.get(key.remoteJid);
+            if (cached) {
+                this.messages.set(key.remoteJid, cached.filter(message => message.key.id !== key.id));
+            }
+
+            await StoreMessage.destroy({
+                where: { sessionId: this.sessionId, jid: key.remoteJid, id: key.id }
+            });
+        }
+    }
+
+    /**
+     * Simpan pesan ke cache, hanya N pesan terbaru per chat
+     */
+    cacheMessage(message) {
+        const jid = message.key.remoteJid;
+        const list = (this.messages.get(jid) || []).filter(cached => cached.key.id !== message.key.id);
+
+        list.push(message);
+        if (list.length > this.options.hotMessagesPerChat) {
+            list.splice(0, list.length - this.options.hotMessagesPerChat);
+        }
+
+        this.messages.touch(jid, list);
+    }
+
+    /**
+     * Ambil row berdasarkan ID dan deserialize
+     * @returns {Promise<Map>} id -> object
+     */
+    async findByIds(model, ids) {
+        const records = await model.findAll({ where: { sessionId: this.sessionId, id: ids } });
+        return new Map(records.map(record => [record.id, deserialize(record.data)]));
+    }
+
+    /**
+     * Get pesan berdasarkan ID
+     * @param {string} jid - JID chat
+     * @param {string} id - ID pesan
+     * @returns {Promise<Object|null>} WAMessage
+     */
+    async loadMessage(jid, id) {
+        const cached = (this.messages.get(jid) || []).find(message => message.key.id === id);
+        if (cached) {
+            return cached;
+        }
+
+        const record = await StoreMessage.findOne({ where: { sessionId: this.sessionId, jid, id } });
+        return record ? deserialize(record.data) : null;
+    }
+
+    /**
+     * Get pesan di chat, terbaru lebih dulu
+     * @param {string} jid - JID chat
+     * @param {Object} options - { limit, before (unix timestamp detik) }
+     * @returns {Promise<Array>} Array WAMessage
+     */
+    async loadMessages(jid, { limit = 25, before = null } = {}) {
+        const where = { sessionId: this.sessionId, jid };
+        if (before) {
+            where.timestamp = { [Op.lt]: before };
+        }
+
+        const records = await StoreMessage.findAll({
+            where,
+            order: [['timestamp', 'DESC']],
+            limit
+        });
+
+        return records.map(record => deserialize(record.data));
+    }
+
+    /**
+     * Get daftar chat, terbaru lebih dulu
+     * @param {Object} options - { limit, offset, type: group | individual }
+     * @returns {Promise<Object>} { chats, total }
+     */
+    async getChats({ limit = 100, offset = 0, type = null } = {}) {
+        const where = { sessionId: this.sessionId };
+        if (type === 'group') {
+            where.id = { [Op.like]: '%@g.us' };
+        } else if (type === 'individual') {
+            where.id = { [Op.like]: '%@s.whatsapp.net' };
+        }
+
+        const { rows, count } = await StoreChat.findAndCountAll({
+            where,
+            order: [['conversationTimestamp', 'DESC']],
+            limit,
+            offset
+        });
+
+        return {
+            chats: rows.map(record => deserialize(record.data)),
+            total: count
+        };
+    }
+
+    /**
+     * Get daftar kontak
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Object>} { contacts, total }
+     */
+    async getContacts({ limit = 100, offset = 0 } = {}) {
+        const { rows, count } = await StoreContact.findAndCountAll({
+            where: { sessionId: this.sessionId },
+            order: [['name', 'ASC']],
+            limit,
+            offset
+        });
+
+        return {
+            contacts: rows.map(record => deserialize(record.data)),
+            total: count
+        };
+    }
+
+    /**
+     * Get presence terakhir yang diketahui
+     * @param {string} jid - JID chat
+     * @param {string} participant - JID participant (default sama dengan chat, untuk chat personal)
+     * @returns {Object|null} { lastKnownPresence, lastSeen }
+     */
+    getPresence(jid, participant = jid) {
+        return this.presences.get(jid)?.[participant] || null;
+    }
+
+    /**
+     * Get jumlah data di store
+     * @returns {Promise<Object>} { chats, contacts, messages }
+     */
+    async getStats() {
+        const where = { sessionId: this.sessionId };
+
+        return {
+            chats: await StoreChat.count({ where }),
+            contacts: await StoreContact.count({ where }),
+            messages: await StoreMessage.count({ where })
+        };
+    }
+
+    /**
+     * Migrasi store.json lama (makeInMemoryStore) ke database, file di-rename setelah berhasil
+     * @param {string} filePath - Path store.json
+     */
+    async importLegacyFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+
+        await this.enqueue(async () => {
+            const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            const chats = Array.isArray(json.chats) ? json.chats : Object.values(json.chats || {});
+            const contacts = Object.values(json.contacts || {});
+            const messages = Object.values(json.messages || {}).flat();
+
+            await this.upsertChats(chats);
+            await this.upsertContacts(contacts);
+            await this.upsertMessages(messages);
+
+            fs.renameSync(filePath, `${filePath}.migrated`);
+
+            logWithSession('info', 'Legacy store.json migrated to database', this.sessionId, {
+                chats: chats.length,
+                contacts: contacts.length,
+                messages: messages.length
+            });
+        });
+    }
+
+    /**
+     * Export semua data store session (untuk bundle session)
+     * @param {string} sessionId - ID session
+     * @returns {Promise<Object>} { chats, contacts, messages }
+     */
+    static async exportData(sessionId) {
+        const attributes = { exclude: ['sessionId', 'createdAt', 'updatedAt'] };
+        const where = { sessionId };
+
+        return {
+            chats: await StoreChat.findAll({ where, attributes, raw: true }),
+            contacts: await StoreContact.findAll({ where, attributes, raw: true }),
+            messages: await StoreMessage.findAll({ where, attributes, raw: true })
+        };
+    }
+
+    /**
+     * Import data hasil exportData, data lama session diganti
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { chats, contacts, messages }
+     */
+    static async importData(sessionId, data = {}) {
+        await sequelize.transaction(async (transaction) => {
+            for (const [model, rows] of [
+                [StoreChat, data.chats],
+                [StoreContact, data.contacts],
+                [StoreMessage, data.messages]
+            ]) {
+                await model.destroy({ where: { sessionId }, transaction });
+
+                const records = (rows || []).map(row => ({ ...row, sessionId }));
+                for (let i = 0; i < records.length; i += BULK_CHUNK_SIZE) {
+                    await model.bulkCreate(records.slice(i, i + BULK_CHUNK_SIZE), { transaction });
+                }
+            }
+        });
+    }
+
+    /**
+     * Hapus semua data store session
+     * @param {string} sessionId - ID session
+     */
+    static async clear(sessionId) {
+        for (const model of [StoreChat, StoreContact, StoreMessage]) {
+            await model.destroy({ where: { sessionId } });
+        }
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,507 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+
+const sessionManager = require('./sessionManager');
+const messageService = require('./messageService');
+const webhookService = require('./webhookService');
+const templateService = require('./templateService');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const ScheduleRun = require('../models/ScheduleRun');
+const QueuedMessage = require('../models/QueuedMessage');
+const { createError } = require('../middleware/error');
+const { logger, logWithSession } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+// Batas delay setTimeout, jadwal yang lebih jauh di-arm ulang bertahap
+const MAX_TIMEOUT = 2147483647;
+
+// Batas run cron terlewat yang dihitung saat server start
+const MAX_MISSED_RUNS = 1000;
+
+// Jadwal yang masih bisa diubah
+const EDITABLE_STATUSES = ['ACTIVE', 'PAUSED'];
+
+class ScheduleService {
+    constructor() {
+        this.tasks = new Map(); // scheduleId -> { type: 'cron'|'timeout', handle }
+        this.scheduleDir = path.join(defaultConfig.queue.spoolPath, 'schedules');
+
+        // Jadwal session yang dihapus ikut dibatalkan
+        sessionManager.on('deleted', (sessionId) => {
+            this.cancelSessionSchedules(sessionId).catch(error => {
+                logWithSession('error', 'Error cancelling schedules of deleted session', sessionId, { error: error.message });
+            });
+        });
+    }
+
+    /**
+     * Load dan arm semua jadwal aktif saat server start
+     */
+    async loadSchedules() {
+        const schedules = await ScheduledMessage.findAll({ where: { status: 'ACTIVE' } });
+
+        for (const schedule of schedules) {
+            this.arm(schedule);
+
+            // Run cron yang jatuh tempo saat server mati dijalankan sekali atau dicatat skipped
+            if (schedule.isRecurring()) {
+                const missed = this.getMissedRuns(schedule);
+                if (missed.count > 0) {
+                    await this.runSchedule(schedule.id, missed.lastDueAt, { missed: missed.count });
+                } else if (schedule.endAt && new Date(schedule.endAt) <= new Date()) {
+                    await this.finish(schedule, 'COMPLETED');
+                }
+            }
+        }
+
+        logger.info(`Loaded ${schedules.length} active message schedule(s)`);
+    }
+
+    /**
+     * Hitung run cron yang terlewat sejak jadwal terakhir disentuh server (run terakhir, dibuat, diubah atau di-resume)
+     * @param {Object} schedule - Record ScheduledMessage
+     * @returns {Object} { count, lastDueAt }
+     */
+    getMissedRuns(schedule) {
+        const since = Math.max(
+            new Date(schedule.lastRunAt || 0).getTime(),
+            new Date(schedule.updatedAt || schedule.createdAt).getTime()
+        );
+        const now = new Date();
+        const until = schedule.endAt && new Date(schedule.endAt) < now ? new Date(schedule.endAt) : now;
+        const missed = { count: 0, lastDueAt: null };
+
+        if (since >= until.getTime()) {
+            return missed;
+        }
+
+        try {
+            const interval = cronParser.parseExpression(schedule.cron, {
+                currentDate: new Date(since),
+                endDate: until,
+                ...(schedule.timezone ? { tz: schedule.timezone } : {})
+            });
+
+            while (interval.hasNext() && missed.count < MAX_MISSED_RUNS) {
+                missed.lastDueAt = interval.next().toDate();
+                missed.count++;
+            }
+        } catch (error) {
+            logWithSession('warn', 'Could not compute missed schedule runs', schedule.sessionId, {
+                scheduleId: schedule.id,
+                error: error.message
+            });
+        }
+
+        return missed;
+    }
+
+    /**
+     * Validasi waktu kirim, cron dan timezone
+     * @throws {ValidationError}
+     */
+    validateTiming({ sendAt, cron: expression, timezone, endAt }) {
+        if (sendAt && new Date(sendAt) <= new Date()) {
+            throw createError.validation('sendAt must be in the future');
+        }
+
+        if (expression && !cron.validate(expression)) {
+            throw createError.validation(`Invalid cron expression: ${expression}`);
+        }
+
+        if (timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            } catch (error) {
+                throw createError.validation(`Invalid timezone: ${timezone}`);
+            }
+        }
+
+        if (endAt && new Date(endAt) <= new Date()) {
+            throw createError.validation('endAt must be in the future');
+        }
+    }
+
+    /**
+     * Buat jadwal baru
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { type, recipients, payload, sendAt, cron, timezone, endAt, missedPolicy, priority }
+     * @param {Object} file - File multer untuk jadwal tipe media
+     * @returns {Promise<Object>} Summary jadwal
+     */
+    async createSchedule(sessionId, data, file = null) {
+        this.validateTiming(data);
+
+        if (data.type === 'media' && !file) {
+            throw createError.validation('Media file is required for media schedules');
+        }
+
+        const payload = data.type === 'media'
+            ? { ...data.payload, fileName: data.payload.fileName || file.originalname, mimeType: file.mimetype }
+            : data.payload;
+
+        // Template dirender ulang setiap run, di sini hanya dicek variabelnya lengkap
+        await this.renderPayloads(sessionId, data.type, payload, data.recipients);
+
+        const schedule = ScheduledMessage.build({
+            sessionId,
+            type: data.type,
+            recipients: data.recipients,
+            payload,
+            sendAt: data.sendAt || null,
+            cron: data.cron || null,
+            timezone: data.timezone || null,
+            endAt: data.endAt || null,
+            missedPolicy: data.missedPolicy || 'send_late',
+            priority: data.priority || 0
+        });
+
+        // Media disimpan selama jadwal aktif, disalin ke antrian setiap run
+        if (data.type === 'media') {
+            fs.mkdirSync(this.scheduleDir, { recursive: true });
+            schedule.mediaPath = path.join(this.scheduleDir, schedule.id);
+            fs.writeFileSync(schedule.mediaPath, file.buffer);
+        }
+
+        await schedule.save();
+        this.arm(schedule);
+
+        logWithSession('info', `Message schedule created (${schedule.cron ? `cron ${schedule.cron}` : schedule.sendAt.toISOString()})`, sessionId, {
+            scheduleId: schedule.id,
+            type: schedule.type
+        });
+
+        return schedule.getSummary();
+    }
+
+    /**
+     * Update jadwal yang masih ACTIVE atau PAUSED
+     * @param {string} sessionId - ID session
+     * @param {string} scheduleId - ID jadwal
+     * @param {Object} changes - Field yang diubah, status ACTIVE/PAUSED untuk resume/pause
+     * @returns {Promise<Object>} Summary jadwal
+     */
+    async updateSchedule(sessionId, scheduleId, changes) {
+        const schedule = await this.findSchedule(sessionId, scheduleId);
+
+        if (!EDITABLE_STATUSES.includes(schedule.status)) {
+            throw createError.conflict(`Schedule is ${schedule.status} and can no longer be changed`);
+        }
+
+        const updates = { ...changes };
+
+        // File media tidak bisa diganti, mimeType lama tetap dipakai
+        if (updates.payload && schedule.type === 'media') {
+            updates.payload = {
+                ...updates.payload,
+                fileName: updates.payload.fileName || schedule.payload.fileName,
+                mimeType: schedule.payload.mimeType
+            };
+        }
+
+        if (updates.payload || updates.recipients) {
+            await this.renderPayloads(
+                sessionId,
+                schedule.type,
+                updates.payload || schedule.payload,
+                updates.recipients || schedule.recipients
+            );
+        }
+
+        // sendAt dan cron saling menggantikan
+        if (updates.sendAt) {
+            updates.cron = null;
+            updates.timezone = null;
+            updates.endAt = null;
+        } else if (updates.cron) {
+            updates.sendAt = null;
+        }
+
+        this.validateTiming({
+            ...updates,
+            // Jadwal sekali kirim yang di-resume tetap harus di masa depan
+            sendAt: updates.sendAt || (!updates.cron && updates.status === 'ACTIVE' ? schedule.sendAt : null)
+        });
+
+        this.disarm(schedule.id);
+        await schedule.update(updates);
+
+        if (schedule.status === 'ACTIVE') {
+            this.arm(schedule);
+        }
+
+        logWithSession('info', 'Message schedule updated', sessionId, {
+            scheduleId,
+            fields: Object.keys(changes)
+        });
+
+        return schedule.getSummary();
+    }
+
+    /**
+     * Batalkan jadwal
+     * @param {string} sessionId - ID session
+     * @param {string} scheduleId - ID jadwal
+     * @returns {Promise<Object>} Summary jadwal
+     */
+    async cancelSchedule(sessionId, scheduleId) {
+        const schedule = await this.findSchedule(sessionId, scheduleId);
+
+        if (!EDITABLE_STATUSES.includes(schedule.status)) {
+            throw createError.conflict(`Schedule is already ${schedule.status}`);
+        }
+
+        await this.finish(schedule, 'CANCELLED');
+        logWithSession('info', 'Message schedule cancelled', sessionId, { scheduleId });
+
+        return schedule.getSummary();
+    }
+
+    /**
+     * Batalkan semua jadwal aktif milik session
+     * @param {string} sessionId - ID session
+     */
+    async cancelSessionSchedules(sessionId) {
+        const schedules = await ScheduledMessage.findAll({
+            where: { sessionId, status: EDITABLE_STATUSES }
+        });
+
+        for (const schedule of schedules) {
+            await this.finish(schedule, 'CANCELLED');
+        }
+    }
+
+    /**
+     * Get jadwal session
+     * @param {string} sessionId - ID session
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<Object>} { schedules, total }
+     */
+    async listSchedules(sessionId, { status = null, limit = 50, offset = 0 } = {}) {
+        const where = { sessionId };
+        if (status) {
+            where.status = status;
+        }
+
+        const { rows, count } = await ScheduledMessage.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset
+        });
+
+        return {
+            schedules: rows.map(row => row.getSummary()),
+            total: count
+        };
+    }
+
+    /**
+     * Get detail jadwal beserta riwayat run
+     * @param {string} sessionId - ID session
+     * @param {string} scheduleId - ID jadwal
+     * @param {Object} options - { limit } jumlah run terbaru
+     * @returns {Promise<Object>} Summary jadwal + runs (dengan status pengiriman dari antrian)
+     */
+    async getSchedule(sessionId, scheduleId, { limit = 20 } = {}) {
+        const schedule = await this.findSchedule(sessionId, scheduleId);
+
+        const runs = await ScheduleRun.findAll({
+            where: { scheduleId },
+            order: [['createdAt', 'DESC']],
+            limit
+        });
+
+        const batchIds = runs.map(run => run.batchId).filter(Boolean);
+        const delivery = batchIds.length > 0 ? await QueuedMessage.getBatchCounts(batchIds) : {};
+
+        return {
+            ...schedule.getSummary(),
+            runs: runs.map(run => ({
+                ...run.getSummary(),
+                delivery: run.batchId ? (delivery[run.batchId] || {}) : null
+            }))
+        };
+    }
+
+    /**
+     * Cari jadwal milik session
+     * @throws {NotFoundError}
+     */
+    async findSchedule(sessionId, scheduleId) {
+        const schedule = await ScheduledMessage.findOne({ where: { id: scheduleId, sessionId } });
+        if (!schedule) {
+            throw createError.notFound('Schedule');
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Pasang timer atau cron task untuk jadwal aktif
+     * @param {Object} schedule - Record ScheduledMessage
+     */
+    arm(schedule) {
+        this.disarm(schedule.id);
+
+        if (schedule.isRecurring()) {
+            const options = schedule.timezone ? { timezone: schedule.timezone } : {};
+            const task = cron.schedule(schedule.cron, () => {
+                this.runSchedule(schedule.id, new Date());
+            }, options);
+
+            this.tasks.set(schedule.id, { type: 'cron', handle: task });
+            return;
+        }
+
+        // Jadwal sekali kirim yang terlewat (server mati) langsung dijalankan sesuai missedPolicy
+        const dueAt = new Date(schedule.sendAt);
+        const delay = Math.max(0, dueAt.getTime() - Date.now());
+
+        const handle = setTimeout(() => {
+            if (delay > MAX_TIMEOUT) {
+                this.arm(schedule);
+            } else {
+                this.runSchedule(schedule.id, dueAt);
+            }
+        }, Math.min(delay, MAX_TIMEOUT));
+
+        this.tasks.set(schedule.id, { type: 'timeout', handle });
+    }
+
+    /**
+     * Buat payload antrian untuk setiap penerima, template diisi dari data kontak terbaru
+     * @param {string} sessionId - ID session
+     * @param {string} type - Tipe pesan
+     * @param {Object} payload - Payload jadwal (format API)
+     * @param {Array} recipients - Array nomor penerima
+     * @returns {Promise<Object|Function>} Payload antrian, atau fungsi recipient -> payload
+     * @throws {ValidationError} Jika variabel template kurang
+     */
+    async renderPayloads(sessionId, type, payload, recipients) {
+        if (!payload.template) {
+            return messageService.toQueuePayload(type, payload);
+        }
+
+        const rendered = await templateService.renderPayload(sessionId, type, payload, recipients);
+        return recipient => messageService.toQueuePayload(type, rendered.get(recipient));
+    }
+
+    /**
+     * Lepas timer atau cron task jadwal
+     * @param {string} scheduleId - ID jadwal
+     */
+    disarm(scheduleId) {
+        const task = this.tasks.get(scheduleId);
+        if (!task) {
+            return;
+        }
+
+        if (task.type === 'cron') {
+            task.handle.stop();
+        } else {
+            clearTimeout(task.handle);
+        }
+
+        this.tasks.delete(scheduleId);
+    }
+
+    /**
+     * Jalankan satu run jadwal: masukkan pesan ke antrian atau skip sesuai missedPolicy
+     * @param {string} scheduleId - ID jadwal
+     * @param {Date} dueAt - Waktu run seharusnya
+     * @param {Object} options - { missed } jumlah run cron yang terlewat saat server mati
+     */
+    async runSchedule(scheduleId, dueAt, { missed = 0 } = {}) {
+        try {
+            const schedule = await ScheduledMessage.findByPk(scheduleId);
+            if (!schedule || schedule.status !== 'ACTIVE') {
+                this.disarm(scheduleId);
+                return;
+            }
+
+            const { sessionId } = schedule;
+            const connected = sessionManager.isSessionConnected(sessionId);
+            const run = { scheduleId, sessionId, dueAt };
+
+            if (missed > 0 && schedule.missedPolicy === 'skip') {
+                run.outcome = 'skipped';
+                run.reason = `Server was offline, ${missed} run(s) missed`;
+            } else if (!connected && schedule.missedPolicy === 'skip') {
+                run.outcome = 'skipped';
+                run.reason = 'Session not connected';
+            } else {
+                try {
+                    const { batchId } = await messageService.enqueueMessages(
+                        sessionId,
+                        schedule.type,
+                        schedule.recipients,
+                        await this.renderPayloads(sessionId, schedule.type, schedule.payload, schedule.recipients),
+                        {
+                            priority: schedule.priority,
+                            media: schedule.mediaPath ? fs.readFileSync(schedule.mediaPath) : null
+                        }
+                    );
+
+                    run.outcome = 'queued';
+                    run.batchId = batchId;
+                    run.reason = [
+                        missed > 0 ? `Server was offline, sent late once for ${missed} missed run(s)` : null,
+                        connected ? null : 'Session not connected, sent after reconnect'
+                    ].filter(Boolean).join('; ') || null;
+                } catch (error) {
+                    run.outcome = 'failed';
+                    run.reason = error.message;
+                }
+            }
+
+            const record = await ScheduleRun.create(run);
+
+            // lastRunAt berisi waktu jatuh tempo, dasar hitungan run terlewat saat server start
+            await schedule.update({
+                runCount: schedule.runCount + 1,
+                lastRunAt: dueAt
+            });
+
+            const expired = !schedule.isRecurring() || (schedule.endAt && new Date(schedule.endAt) <= new Date());
+            if (expired) {
+                await this.finish(schedule, 'COMPLETED');
+            }
+
+            logWithSession(run.outcome === 'failed' ? 'error' : 'info', `Schedule run ${run.outcome}`, sessionId, {
+                scheduleId,
+                batchId: run.batchId,
+                reason: run.reason
+            });
+
+            await webhookService.sendWebhook(sessionId, {
+                event: 'schedule_run',
+                scheduleId,
+                run: record.getSummary(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Error running message schedule:', { scheduleId, error: error.message });
+        }
+    }
+
+    /**
+     * Tutup jadwal (COMPLETED atau CANCELLED) dan hapus media-nya
+     */
+    async finish(schedule, status) {
+        this.disarm(schedule.id);
+        await schedule.update({ status });
+
+        if (schedule.mediaPath && fs.existsSync(schedule.mediaPath)) {
+            fs.unlinkSync(schedule.mediaPath);
+        }
+    }
+}
+
+// Singleton instance
+const scheduleService = new ScheduleService();
+
+module.exports = scheduleService;
@@ -0,0 +1,235 @@
+const { v4: uuidv4 } = require('uuid');
+
+const sessionManager = require('./sessionManager');
+const whatsappService = require('./whatsappService');
+const { logger, logWithSession } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+// Jumlah job selesai yang tetap disimpan untuk dicek statusnya
+const MAX_FINISHED_JOBS = 50;
+
+// Session yang tidak ikut di-boot otomatis
+const SKIPPED_BOOT_STATES = ['LOGGED_OUT'];
+
+class SessionBootService {
+    constructor() {
+        this.jobs = new Map(); // jobId -> job
+        this.bootJobId = null;
+    }
+
+    /**
+     * Urutkan session berdasarkan config bootPriority (besar lebih dulu)
+     * @param {Array} sessionIds - Array ID session
+     * @returns {Array} Array ID session terurut
+     */
+    sortByPriority(sessionIds) {
+        const priority = (sessionId) => sessionManager.getSessionConfig(sessionId)?.bootPriority || 0;
+
+        return [...sessionIds].sort((a, b) => priority(b) - priority(a));
+    }
+
+    /**
+     * Jalankan task untuk banyak session dengan batas concurrency
+     * @param {string} type - boot, connect, disconnect
+     * @param {Array} sessionIds - Array ID session
+     * @param {Function} task - async (sessionId) => void, return 'skipped' untuk melewati session,
+     *                          'restarted' jika socket lama ditutup lalu dibuat ulang
+     * @param {Object} options - { concurrency, stagger, ownerKeyId }
+     * @returns {Object} Job (berjalan di background)
+     */
+    runJob(type, sessionIds, task, options = {}) {
+        const concurrency = options.concurrency || defaultConfig.session.bootConcurrency;
+        const stagger = options.stagger ?? defaultConfig.session.bootStagger;
+        const queue = this.sortByPriority(sessionIds);
+
+        const job = {
+            id: uuidv4(),
+            type,
+            status: 'running',
+            concurrency,
+            total: queue.length,
+            completed: 0,
+            succeeded: 0,
+            failed: 0,
+            skipped: 0,
+            restarted: 0,
+            errors: [],
+            ownerKeyId: options.ownerKeyId || null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const sessionId = queue.shift();
+
+                try {
+                    const result = await task(sessionId);
+                    if (result === 'skipped') {
+                        job.skipped++;
+                    } else {
+                        job.succeeded++;
+                        if (result === 'restarted') {
+                            job.restarted++;
+                        }
+                    }
+                } catch (error) {
+                    job.failed++;
+                    job.errors.push({ sessionId, error: error.message });
+                    logWithSession('warn', `Bulk ${type} failed`, sessionId, { error: error.message });
+                }
+
+                job.completed++;
+
+                // Jeda antar session di worker yang sama supaya handshake tidak serentak
+                if (queue.length > 0 && stagger > 0) {
+                    await new Promise(resolve => setTimeout(resolve, stagger));
+                }
+            }
+        };
+
+        job.promise = Promise.all(
+            Array.from({ length: Math.min(concurrency, queue.length) }, () => worker())
+        ).then(() => {
+            job.status = 'completed';
+            job.finishedAt = new Date().toISOString();
+            this.pruneJobs();
+
+            logger.info(`Bulk ${type} completed`, {
+                jobId: job.id,
+                succeeded: job.succeeded,
+                failed: job.failed,
+                skipped: job.skipped
+            });
+
+            return job;
+        });
+
+        return job;
+    }
+
+    /**
+     * Boot semua session yang tersimpan saat server start
+     * @returns {Object} Job boot
+     */
+    bootSessions() {
+        const sessionIds = sessionManager.getAllSessionIds();
+
+        const job = this.runJob('boot', sessionIds, async (sessionId) => {
+            const state = sessionManager.getSessionState(sessionId);
+            if (SKIPPED_BOOT_STATES.includes(state)) {
+                logWithSession('info', `Skipping boot, last state ${state}`, sessionId);
+                return 'skipped';
+            }
+
+            await whatsappService.createConnection(sessionId);
+        });
+
+        this.bootJobId = job.id;
+        logger.info(`Booting ${job.total} sessions (concurrency ${job.concurrency})`);
+
+        return job;
+    }
+
+    /**
+     * Connect banyak session sekaligus
+     * @param {Array} sessionIds - Array ID session
+     * @param {Object} options - { concurrency, ownerKeyId }
+     * @returns {Object} Job
+     */
+    bulkConnect(sessionIds, options = {}) {
+        return this.runJob('connect', sessionIds, async (sessionId) => {
+            if (whatsappService.hasLiveConnection(sessionId)) {
+                return 'skipped';
+            }
+
+            // Socket lama dan reconnect terjadwal ditutup dulu, handler-nya tidak boleh menimpa socket baru
+            const restarted = whatsappService.hasStaleConnection(sessionId);
+            if (restarted) {
+                await whatsappService.closeConnection(sessionId, 'DISCONNECTED');
+            }
+
+            await whatsappService.createConnection(sessionId);
+            return restarted ? 'restarted' : undefined;
+        }, options);
+    }
+
+    /**
+     * Disconnect banyak session sekaligus (tanpa reconnect otomatis)
+     * @param {Array} sessionIds - Array ID session
+     * @param {Object} options - { concurrency, ownerKeyId }
+     * @returns {Object} Job
+     */
+    bulkDisconnect(sessionIds, options = {}) {
+        return this.runJob('disconnect', sessionIds, async (sessionId) => {
+            if (!sessionManager.getSession(sessionId)) {
+                return 'skipped';
+            }
+
+            await whatsappService.closeConnection(sessionId, 'DISCONNECTED');
+        }, { stagger: 0, ...options });
+    }
+
+    /**
+     * Get job berdasarkan ID
+     * @param {string} jobId - ID job
+     * @param {Object} apiKey - Batasi ke job yang dibuat API key ini (optional)
+     * @returns {Object|null} Ringkasan job
+     */
+    getJob(jobId, apiKey = null) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        // Sama dengan akses session: master key dan admin user melihat semua job
+        if (apiKey && !apiKey.isMaster && !apiKey.userId && job.ownerKeyId !== apiKey.id) {
+            return null;
+        }
+
+        return this.getJobSummary(job);
+    }
+
+    /**
+     * Ringkasan job tanpa field internal
+     */
+    getJobSummary(job) {
+        const { promise, ownerKeyId, ...summary } = job;
+        return {
+            ...summary,
+            pending: job.total - job.completed
+        };
+    }
+
+    /**
+     * Progress boot untuk /health
+     * @returns {Object} { status, total, completed, ... }
+     */
+    getBootProgress() {
+        const job = this.bootJobId && this.jobs.get(this.bootJobId);
+        if (!job) {
+            return { status: 'idle' };
+        }
+
+        const { errors, ...progress } = this.getJobSummary(job);
+        return progress;
+    }
+
+    /**
+     * Buang job selesai yang paling lama, job boot tetap disimpan
+     */
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.status === 'completed' && job.id !== this.bootJobId);
+
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+// Singleton instance
+const sessionBootService = new SessionBootService();
+
+module.exports = sessionBootService;
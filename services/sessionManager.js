@@ -1,14 +1,61 @@
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const authStateService = require('./authStateService');
+const SessionStore = require('./messageStore');
 const { logger, logWithSession } = require('../utils/logger');
 const { defaultConfig, getSessionConfig } = require('../config/default');
 
-class SessionManager {
+/**
+ * Sembunyikan user:password di URL proxy
+ */
+const redactProxyUrl = (proxyUrl) => {
+    try {
+        const url = new URL(proxyUrl);
+        if (!url.username && !url.password) {
+            return proxyUrl;
+        }
+
+        url.username = '***';
+        url.password = url.password ? '***' : '';
+        return url.toString();
+    } catch (error) {
+        return '***';
+    }
+};
+
+/**
+ * Salinan konfigurasi session tanpa kredensial proxy, untuk log dan response API
+ * @param {Object} config - Konfigurasi session
+ * @returns {Object} Konfigurasi aman ditampilkan
+ */
+const redactSessionConfig = (config) => {
+    if (!config?.socket?.proxyUrl) {
+        return config;
+    }
+
+    return {
+        ...config,
+        socket: { ...config.socket, proxyUrl: redactProxyUrl(config.socket.proxyUrl) }
+    };
+};
+
+// Event: 'state' (sessionId, state, oldState), 'deleted' (sessionId)
+class SessionManager extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0); // Banyak listener SSE bisa aktif bersamaan
+
+        // Cache in-memory dari tabel sessions (source of truth ada di database)
         this.sessions = new Map();
         this.sessionConfigs = new Map();
         this.sessionStates = new Map(); // CONNECTING, CONNECTED, DISCONNECTED, BANNED
+        this.sessionOwners = new Map(); // sessionId -> ID API key pemilik (null = master)
+        this.stateChangedAt = new Map(); // sessionId -> timestamp terakhir status berubah
+        this.persistQueues = new Map(); // Antrian write database per session
         this.sessionPath = defaultConfig.session.path;
         this.ensureSessionDirectory();
     }
@@ -31,25 +78,92 @@ class SessionManager {
         return `session_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
     }
 
+    /**
+     * Jalankan operasi database secara berurutan per session
+     * @param {string} sessionId - ID session
+     * @param {Function} operation - Fungsi async yang menerima record Session
+     * @returns {Promise} Hasil operasi
+     */
+    persist(sessionId, operation) {
+        const previous = this.persistQueues.get(sessionId) || Promise.resolve();
+
+        const next = previous
+            .then(async () => {
+                const record = await Session.findByPk(sessionId);
+                if (!record) {
+                    return null;
+                }
+                return operation(record);
+            })
+            .catch(error => {
+                logWithSession('error', 'Failed to persist session', sessionId, { error: error.message });
+                return null;
+            });
+
+        this.persistQueues.set(sessionId, next);
+        next.then(() => {
+            if (this.persistQueues.get(sessionId) === next) {
+                this.persistQueues.delete(sessionId);
+            }
+        });
+
+        return next;
+    }
+
     /**
      * Buat session baru
      * @param {string} sessionId - ID session (optional)
      * @param {Object} config - Konfigurasi custom (optional)
-     * @returns {string} Session ID
+     * @param {string} ownerKeyId - ID API key pemilik (optional, null = master)
+     * @returns {Promise<string>} Session ID
      */
-    createSession(sessionId = null, config = {}) {
+    async createSession(sessionId = null, config = {}, ownerKeyId = null) {
         const id = sessionId || this.generateSessionId();
 
-        if (this.sessions.has(id)) {
+        if (this.sessionConfigs.has(id)) {
+            throw new Error(`Session ${id} sudah ada`);
+        }
+
+        // Simpan ke database, aktifkan kembali jika session pernah dihapus
+        const existing = await Session.findByPk(id);
+        if (existing && existing.isActive) {
             throw new Error(`Session ${id} sudah ada`);
         }
 
+        // Session yang pernah dihapus hanya boleh diaktifkan lagi oleh pemiliknya atau master,
+        // riwayat pesan dan kontak lama masih mengacu ke ID ini
+        if (existing && ownerKeyId && existing.ownerKeyId !== ownerKeyId) {
+            throw new Error(`Session ${id} sudah ada`);
+        }
+
+        if (existing) {
+            await existing.update({
+                config,
+                status: 'DISCONNECTED',
+                webhookUrl: config.webhookUrl || null,
+                name: config.displayName || null,
+                isActive: true,
+                ownerKeyId
+            });
+        } else {
+            await Session.create({
+                id,
+                config,
+                status: 'DISCONNECTED',
+                webhookUrl: config.webhookUrl || null,
+                name: config.displayName || null,
+                ownerKeyId
+            });
+        }
+
         // Buat konfigurasi session
         const sessionConfig = getSessionConfig(id, config);
         this.sessionConfigs.set(id, sessionConfig);
 
         // Set status awal
         this.sessionStates.set(id, 'DISCONNECTED');
+        this.stateChangedAt.set(id, Date.now());
+        this.sessionOwners.set(id, ownerKeyId);
 
         // Buat direktori session
         const sessionDir = path.join(this.sessionPath, id);
@@ -57,7 +171,7 @@ class SessionManager {
             fs.mkdirSync(sessionDir, { recursive: true });
         }
 
-        logWithSession('info', 'Session created', id, { config: sessionConfig });
+        logWithSession('info', 'Session created', id, { config: redactSessionConfig(sessionConfig) });
 
         return id;
     }
@@ -81,6 +195,14 @@ class SessionManager {
         return this.sessions.get(sessionId) || null;
     }
 
+    /**
+     * Hapus session instance (socket) tanpa menghapus session
+     * @param {string} sessionId - ID session
+     */
+    removeSession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
     /**
      * Get konfigurasi session
      * @param {string} sessionId - ID session
@@ -90,6 +212,15 @@ class SessionManager {
         return this.sessionConfigs.get(sessionId) || null;
     }
 
+    /**
+     * Get konfigurasi session untuk response API (kredensial proxy disembunyikan)
+     * @param {string} sessionId - ID session
+     * @returns {Object|null} Konfigurasi session
+     */
+    getPublicSessionConfig(sessionId) {
+        return redactSessionConfig(this.getSessionConfig(sessionId));
+    }
+
     /**
      * Update konfigurasi session
      * @param {string} sessionId - ID session
@@ -100,19 +231,38 @@ class SessionManager {
         const updatedConfig = { ...currentConfig, ...newConfig };
         this.sessionConfigs.set(sessionId, updatedConfig);
 
-        logWithSession('info', 'Session config updated', sessionId, { newConfig });
+        this.persist(sessionId, record => {
+            if (newConfig.webhookUrl !== undefined) {
+                record.webhookUrl = newConfig.webhookUrl || null;
+            }
+            if (newConfig.displayName !== undefined) {
+                record.name = newConfig.displayName || null;
+            }
+            return record.updateConfig(newConfig);
+        });
+
+        logWithSession('info', 'Session config updated', sessionId, { newConfig: redactSessionConfig(newConfig) });
     }
 
     /**
      * Set status session
      * @param {string} sessionId - ID session
      * @param {string} state - Status (CONNECTING, CONNECTED, DISCONNECTED, BANNED)
+     * @param {Object} additionalData - Data tambahan untuk record (userInfo, error, qrCode)
      */
-    setSessionState(sessionId, state) {
+    setSessionState(sessionId, state, additionalData = {}) {
         const oldState = this.sessionStates.get(sessionId);
         this.sessionStates.set(sessionId, state);
 
+        // Rotasi QR (QR_GENERATED -> QR_GENERATED) tidak mereset umur status
+        if (oldState !== state) {
+            this.stateChangedAt.set(sessionId, Date.now());
+        }
+
+        this.persist(sessionId, record => record.updateStatus(state, additionalData));
+
         logWithSession('info', `Session state changed: ${oldState} -> ${state}`, sessionId);
+        this.emit('state', sessionId, state, oldState);
     }
 
     /**
@@ -124,13 +274,53 @@ class SessionManager {
         return this.sessionStates.get(sessionId) || 'UNKNOWN';
     }
 
+    /**
+     * Get berapa lama session berada di status sekarang
+     * @param {string} sessionId - ID session
+     * @returns {number} Umur status dalam ms
+     */
+    getSessionStateAge(sessionId) {
+        const changedAt = this.stateChangedAt.get(sessionId);
+        return changedAt ? Date.now() - changedAt : 0;
+    }
+
+    /**
+     * Get record session dari database
+     * @param {string} sessionId - ID session
+     * @returns {Promise<Object|null>} Record Session
+     */
+    async getSessionRecord(sessionId) {
+        // Tunggu write yang masih antri agar data yang dibaca terbaru
+        await this.persistQueues.get(sessionId);
+        return Session.findByPk(sessionId);
+    }
+
     /**
      * Cek apakah session exist
      * @param {string} sessionId - ID session
      * @returns {boolean} True jika session ada
      */
     hasSession(sessionId) {
-        return this.sessions.has(sessionId);
+        return this.sessionConfigs.has(sessionId);
+    }
+
+    /**
+     * Cek apakah API key boleh mengakses session
+     * @param {string} sessionId - ID session
+     * @param {Object} apiKey - req.apiKey dari validateApiKey
+     * @returns {boolean} True jika boleh
+     */
+    canAccessSession(sessionId, apiKey) {
+        if (!this.hasSession(sessionId)) {
+            return false;
+        }
+
+        // Master key dan admin user (JWT) melihat semua session
+        if (!apiKey || apiKey.isMaster || apiKey.userId) {
+            return true;
+        }
+
+        return this.sessionOwners.get(sessionId) === apiKey.id;
     }
 
     /**
@@ -147,20 +337,78 @@ class SessionManager {
      * @returns {Array} Array session ID
      */
     getAllSessionIds() {
-        return Array.from(this.sessions.keys());
+        return Array.from(this.sessionConfigs.keys());
+    }
+
+    /**
+     * Get session ID yang boleh diakses API key
+     * @param {Object} apiKey - req.apiKey dari validateApiKey
+     * @returns {Array} Array session ID
+     */
+    getAccessibleSessionIds(apiKey) {
+        return this.getAllSessionIds().filter(sessionId => this.canAccessSession(sessionId, apiKey));
     }
 
     /**
      * Get semua session dengan status
+     * @param {Object} apiKey - Batasi ke session milik API key (optional)
      * @returns {Array} Array object session info
      */
-    getAllSessionsInfo() {
-        return this.getAllSessionIds().map(sessionId => ({
+    getAllSessionsInfo(apiKey = null) {
+        return this.getAccessibleSessionIds(apiKey).map(sessionId => this.getSessionInfo(sessionId));
+    }
+
+    /**
+     * Get info session termasuk label dan metadata
+     * @param {string} sessionId - ID session
+     * @returns {Object} Session info
+     */
+    getSessionInfo(sessionId) {
+        const config = this.getSessionConfig(sessionId);
+
+        return {
             sessionId,
+            displayName: config.displayName || null,
+            owner: config.owner || null,
+            labels: config.labels || [],
+            metadata: config.metadata || {},
             state: this.getSessionState(sessionId),
-            config: this.getSessionConfig(sessionId),
+            stateChangedAt: new Date(this.stateChangedAt.get(sessionId) || Date.now()).toISOString(),
+            config: redactSessionConfig(config),
             connected: this.isSessionConnected(sessionId)
-        }));
+        };
+    }
+
+    /**
+     * Cari session dengan filter, sort dan pagination
+     * @param {Object} apiKey - Batasi ke session milik API key
+     * @param {Object} query - { label, state, owner, search, sortBy, sortOrder, limit, offset }
+     * @returns {Object} { sessions, total, connected }
+     */
+    querySessions(apiKey, query = {}) {
+        const { label, state, owner, search, sortBy = 'sessionId', sortOrder = 'asc', limit = 50, offset = 0 } = query;
+
+        const labels = label ? label.split(',').map(value => value.trim()).filter(Boolean) : [];
+        const states = state ? state.split(',').map(value => value.trim().toUpperCase()).filter(Boolean) : [];
+        const keyword = search ? search.toLowerCase() : null;
+
+        const sessions = this.getAllSessionsInfo(apiKey).filter(session =>
+            labels.every(value => session.labels.includes(value)) &&
+            (states.length === 0 || states.includes(session.state)) &&
+            (!owner || session.owner === owner) &&
+            (!keyword ||
+                session.sessionId.toLowerCase().includes(keyword) ||
+                (session.displayName || '').toLowerCase().includes(keyword))
+        );
+
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        sessions.sort((a, b) => String(a[sortBy] ?? '').localeCompare(String(b[sortBy] ?? '')) * direction);
+
+        return {
+            sessions: sessions.slice(offset, offset + limit),
+            total: sessions.length,
+            connected: sessions.filter(session => session.connected).length
+        };
     }
 
     /**
@@ -179,7 +427,7 @@ class SessionManager {
      * @param {boolean} deleteFiles - Hapus file session juga
      */
     async deleteSession(sessionId, deleteFiles = false) {
-        if (!this.sessions.has(sessionId)) {
+        if (!this.hasSession(sessionId)) {
             throw new Error(`Session ${sessionId} tidak ditemukan`);
         }
 
@@ -197,10 +445,23 @@ class SessionManager {
         this.sessions.delete(sessionId);
         this.sessionConfigs.delete(sessionId);
         this.sessionStates.delete(sessionId);
+        this.sessionOwners.delete(sessionId);
+        this.stateChangedAt.delete(sessionId);
+        this.emit('deleted', sessionId);
+
+        // Nonaktifkan record, riwayat pesan dan kontak tetap mengacu ke session ini
+        await this.persist(sessionId, record => record.update({
+            status: 'DISCONNECTED',
+            lastDisconnectedAt: new Date(),
+            isActive: false
+        }));
 
-        // Hapus file jika diminta
+        // Hapus file dan auth state jika diminta
         if (deleteFiles) {
             const sessionDir = path.join(this.sessionPath, sessionId);
+            await authStateService.clearAuthState(sessionId, sessionDir);
+            await SessionStore.clear(sessionId);
+
             if (fs.existsSync(sessionDir)) {
                 fs.rmSync(sessionDir, { recursive: true, force: true });
             }
@@ -219,42 +480,73 @@ class SessionManager {
     }
 
     /**
-     * Load session yang tersimpan dari disk
+     * Load session yang tersimpan dari database
      */
-    loadExistingSessions() {
+    async loadExistingSessions() {
         try {
-            const sessionDirs = fs.readdirSync(this.sessionPath);
-
-            sessionDirs.forEach(sessionId => {
-                const sessionDir = path.join(this.sessionPath, sessionId);
-                const statsPath = path.join(sessionDir, 'stats.json');
-
-                if (fs.statSync(sessionDir).isDirectory()) {
-                    // Load konfigurasi jika ada
-                    let config = {};
-                    if (fs.existsSync(statsPath)) {
-                        try {
-                            const statsData = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
-                            config = statsData.config || {};
-                        } catch (error) {
-                            logWithSession('warn', 'Failed to load session config', sessionId, { error: error.message });
-                        }
-                    }
-
-                    // Recreate session
-                    this.sessionConfigs.set(sessionId, getSessionConfig(sessionId, config));
-                    this.sessionStates.set(sessionId, 'DISCONNECTED');
-
-                    logWithSession('info', 'Session loaded from disk', sessionId);
-                }
-            });
+            await this.importLegacySessions();
+
+            const records = await Session.findAll({ where: { isActive: true } });
 
-            logger.info(`Loaded ${sessionDirs.length} existing sessions`);
+            for (const record of records) {
+                this.sessionConfigs.set(record.id, getSessionConfig(record.id, record.config));
+                // LOGGED_OUT dipertahankan supaya tidak ikut di-boot otomatis
+                this.sessionStates.set(record.id, record.status === 'LOGGED_OUT' ? 'LOGGED_OUT' : 'DISCONNECTED');
+                this.sessionOwners.set(record.id, record.ownerKeyId || null);
+                this.stateChangedAt.set(record.id, Date.now());
+
+                logWithSession('info', 'Session loaded from database', record.id, {
+                    lastStatus: record.status
+                });
+            }
+
+            logger.info(`Loaded ${records.length} existing sessions`);
         } catch (error) {
             logger.error('Error loading existing sessions:', error);
         }
     }
 
+    /**
+     * Import session lama yang hanya tersimpan sebagai folder di disk
+     */
+    async importLegacySessions() {
+        const sessionDirs = fs.readdirSync(this.sessionPath);
+
+        for (const sessionId of sessionDirs) {
+            const sessionDir = path.join(this.sessionPath, sessionId);
+            if (!fs.statSync(sessionDir).isDirectory()) {
+                continue;
+            }
+
+            const existing = await Session.findByPk(sessionId);
+            if (existing) {
+                continue;
+            }
+
+            // Load konfigurasi jika ada
+            let config = {};
+            const statsPath = path.join(sessionDir, 'stats.json');
+            if (fs.existsSync(statsPath)) {
+                try {
+                    const statsData = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+                    const { sessionId: _id, ...storedConfig } = statsData.config || {};
+                    config = storedConfig;
+                } catch (error) {
+                    logWithSession('warn', 'Failed to load session config', sessionId, { error: error.message });
+                }
+            }
+
+            await Session.create({
+                id: sessionId,
+                config,
+                status: 'DISCONNECTED',
+                webhookUrl: config.webhookUrl || null
+            });
+
+            logWithSession('info', 'Legacy session imported from disk', sessionId);
+        }
+    }
+
     /**
      * Save session stats
      * @param {string} sessionId - ID session
@@ -282,28 +574,33 @@ class SessionManager {
     /**
      * Cleanup session yang tidak aktif
      */
-    cleanupInactiveSessions() {
-        const inactiveThreshold = Date.now() - (24 * 60 * 60 * 1000); // 24 jam
-
-        this.getAllSessionIds().forEach(sessionId => {
-            const state = this.getSessionState(sessionId);
-            if (state === 'DISCONNECTED' || state === 'BANNED') {
-                const sessionDir = this.getSessionPath(sessionId);
-                const statsPath = path.join(sessionDir, 'stats.json');
-
-                if (fs.existsSync(statsPath)) {
-                    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
-                    const lastUpdate = new Date(stats.lastUpdate).getTime();
-
-                    if (lastUpdate < inactiveThreshold) {
-                        logWithSession('info', 'Cleaning up inactive session', sessionId);
-                        this.deleteSession(sessionId, true).catch(error => {
-                            logWithSession('error', 'Error cleaning up session', sessionId, { error: error.message });
-                        });
-                    }
+    async cleanupInactiveSessions() {
+        const inactiveThreshold = new Date(Date.now() - (24 * 60 * 60 * 1000)); // 24 jam
+
+        try {
+            const records = await Session.findAll({
+                where: {
+                    status: ['DISCONNECTED', 'BANNED', 'LOGGED_OUT'],
+                    updatedAt: { [Op.lt]: inactiveThreshold },
+                    isActive: true
+                }
+            });
+
+            for (const record of records) {
+                if (!this.hasSession(record.id)) {
+                    continue;
+                }
+
+                logWithSession('info', 'Cleaning up inactive session', record.id);
+                try {
+                    await this.deleteSession(record.id, true);
+                } catch (error) {
+                    logWithSession('error', 'Error cleaning up session', record.id, { error: error.message });
                 }
             }
-        });
+        } catch (error) {
+            logger.error('Error cleaning up inactive sessions:', error);
+        }
     }
 }
 
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const sessionManager = require('./sessionManager');
+const authStateService = require('./authStateService');
+const SessionStore = require('./messageStore');
+const { logWithSession } = require('../utils/logger');
+
+// Format bundle: MAGIC | VERSION | SALT | IV | AUTH TAG | ciphertext(gzip(JSON))
+const BUNDLE_MAGIC = Buffer.from('WABUNDLE');
+const BUNDLE_VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Sama dengan aturan sessionId di schema createSession, ID dipakai sebagai nama direktori
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9]{3,50}$/;
+
+// File non-auth di direktori session yang ikut dipindahkan (store.json untuk bundle lama)
+const SESSION_FILES = ['store.json', 'stats.json'];
+
+class SessionTransferService {
+
+    /**
+     * Derive encryption key dari passphrase
+     * @param {string} passphrase - Passphrase dari caller
+     * @param {Buffer} salt - Salt random
+     * @returns {Buffer} Key AES-256
+     */
+    deriveKey(passphrase, salt) {
+        return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+    }
+
+    /**
+     * Validasi passphrase
+     * @param {string} passphrase - Passphrase dari caller
+     */
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Enkripsi payload bundle
+     * @param {Object} payload - Isi bundle
+     * @param {string} passphrase - Passphrase
+     * @returns {Buffer} Bundle terenkripsi
+     */
+    encryptBundle(payload, passphrase) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const key = this.deriveKey(passphrase, salt);
+
+        const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(payload), 'utf8'));
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(compressed), cipher.final()]);
+
+        return Buffer.concat([
+            BUNDLE_MAGIC,
+            Buffer.from([BUNDLE_VERSION]),
+            salt,
+            iv,
+            cipher.getAuthTag(),
+            ciphertext
+        ]);
+    }
+
+    /**
+     * Dekripsi bundle
+     * @param {Buffer} buffer - Bundle terenkripsi
+     * @param {string} passphrase - Passphrase
+     * @returns {Object} Isi bundle
+     */
+    decryptBundle(buffer, passphrase) {
+        const headerLength = BUNDLE_MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+        if (!Buffer.isBuffer(buffer) || buffer.length <= headerLength ||
+            !buffer.subarray(0, BUNDLE_MAGIC.length).equals(BUNDLE_MAGIC)) {
+            throw new Error('Invalid session bundle');
+        }
+
+        let offset = BUNDLE_MAGIC.length;
+        const version = buffer[offset];
+        offset += 1;
+
+        if (version !== BUNDLE_VERSION) {
+            throw new Error(`Unsupported session bundle version: ${version}`);
+        }
+
+        const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+        const iv = buffer.subarray(offset, offset += IV_LENGTH);
+        const authTag = buffer.subarray(offset, offset += TAG_LENGTH);
+        const ciphertext = buffer.subarray(offset);
+
+        let compressed;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey(passphrase, salt), iv);
+            decipher.setAuthTag(authTag);
+            compressed = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        } catch (error) {
+            throw new Error('Unable to decrypt session bundle. Wrong passphrase or corrupted file');
+        }
+
+        return JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+    }
+
+    /**
+     * Export session menjadi satu bundle terenkripsi
+     * @param {string} sessionId - ID session
+     * @param {string} passphrase - Passphrase untuk enkripsi
+     * @returns {Promise<Buffer>} Bundle terenkripsi
+     */
+    async exportSession(sessionId, passphrase) {
+        this.validatePassphrase(passphrase);
+
+        if (!sessionManager.hasSession(sessionId)) {
+            throw new Error(`Session ${sessionId} tidak ditemukan`);
+        }
+
+        const config = sessionManager.getSessionConfig(sessionId);
+        const sessionPath = sessionManager.getSessionPath(sessionId);
+        const authStore = config.authStore || 'file';
+
+        const files = {};
+        for (const file of SESSION_FILES) {
+            const filePath = path.join(sessionPath, file);
+            if (fs.existsSync(filePath)) {
+                files[file] = fs.readFileSync(filePath, 'utf8');
+            }
+        }
+
+        const payload = {
+            sessionId,
+            exportedAt: new Date().toISOString(),
+            config,
+            auth: {
+                provider: authStore,
+                data: await authStateService.exportAuthState(sessionId, sessionPath, authStore)
+            },
+            files,
+            store: await SessionStore.exportData(sessionId)
+        };
+
+        logWithSession('info', 'Session exported', sessionId, { authStore });
+
+        return this.encryptBundle(payload, passphrase);
+    }
+
+    /**
+     * Import session dari bundle terenkripsi
+     * @param {Buffer} buffer - Bundle terenkripsi
+     * @param {string} passphrase - Passphrase
+     * @param {Object} options - Opsi (sessionId untuk mengganti ID session, ownerKeyId pemilik session)
+     * @returns {Promise<Object>} Info session hasil import
+     */
+    async importSession(buffer, passphrase, options = {}) {
+        this.validatePassphrase(passphrase);
+
+        const payload = this.decryptBundle(buffer, passphrase);
+        const sessionId = options.sessionId || payload.sessionId;
+
+        if (!sessionId || !payload.auth) {
+            throw new Error('Invalid session bundle');
+        }
+
+        // Bundle berasal dari luar, cek ID sebelum menyentuh filesystem atau database
+        if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+            throw new Error('Invalid session ID in session bundle');
+        }
+
+        // Buang field yang dihasilkan getSessionConfig, simpan hanya konfigurasi custom
+        const { sessionId: _originalId, ...config } = payload.config || {};
+        config.authStore = payload.auth.provider;
+
+        await sessionManager.createSession(sessionId, config, options.ownerKeyId || null);
+
+        const sessionPath = sessionManager.getSessionPath(sessionId);
+
+        try {
+            await authStateService.importAuthState(sessionId, sessionPath, payload.auth.provider, payload.auth.data);
+
+            for (const file of SESSION_FILES) {
+                if (payload.files && typeof payload.files[file] === 'string') {
+                    fs.writeFileSync(path.join(sessionPath, file), payload.files[file]);
+                }
+            }
+
+            if (payload.store) {
+                await SessionStore.importData(sessionId, payload.store);
+            }
+        } catch (error) {
+            // Rollback agar tidak ada session setengah jadi
+            await sessionManager.deleteSession(sessionId, true);
+            throw error;
+        }
+
+        logWithSession('info', 'Session imported', sessionId, {
+            originalSessionId: payload.sessionId,
+            exportedAt: payload.exportedAt,
+            authStore: payload.auth.provider
+        });
+
+        return {
+            sessionId,
+            originalSessionId: payload.sessionId,
+            exportedAt: payload.exportedAt,
+            config: sessionManager.getSessionConfig(sessionId)
+        };
+    }
+}
+
+// Singleton instance
+const sessionTransferService = new SessionTransferService();
+
+module.exports = sessionTransferService;
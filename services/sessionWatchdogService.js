@@ -0,0 +1,146 @@
+const sessionManager = require('./sessionManager');
+const whatsappService = require('./whatsappService');
+const webhookService = require('./webhookService');
+const { logger, logWithSession } = require('../utils/logger');
+const { defaultConfig } = require('../config/default');
+
+class SessionWatchdogService {
+    constructor() {
+        this.timer = null;
+        this.checking = false;
+        this.qrRegenerations = new Map(); // sessionId -> jumlah QR yang sudah diregenerasi
+    }
+
+    /**
+     * Mulai watchdog
+     * @param {number} interval - Interval pengecekan dalam ms
+     */
+    start(interval = defaultConfig.session.watchdogInterval) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.check(), interval);
+        logger.info(`Session watchdog started (interval ${interval}ms)`);
+    }
+
+    /**
+     * Hentikan watchdog
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Cek semua session yang terlalu lama di QR_GENERATED, CONNECTING atau RECONNECT_EXHAUSTED
+     */
+    async check() {
+        // Hindari pengecekan tumpang tindih jika satu siklus lama
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            for (const sessionId of sessionManager.getAllSessionIds()) {
+                const state = sessionManager.getSessionState(sessionId);
+                const age = sessionManager.getSessionStateAge(sessionId);
+
+                try {
+                    if (state === 'CONNECTED') {
+                        this.qrRegenerations.delete(sessionId);
+                    } else if (state === 'QR_GENERATED' && age > defaultConfig.qr.timeout) {
+                        await this.handleQRExpired(sessionId, age);
+                    } else if (state === 'CONNECTING' && age > defaultConfig.session.timeout) {
+                        await this.handleStalled(sessionId, age);
+                    } else if (state === 'RECONNECT_EXHAUSTED' && age > defaultConfig.session.circuitBreakerInterval) {
+                        // Circuit breaker half-open: satu percobaan, gagal berarti tunggu interval berikutnya
+                        await whatsappService.retryExhaustedSession(sessionId);
+                    }
+                } catch (error) {
+                    logWithSession('error', 'Session watchdog action failed', sessionId, { error: error.message });
+                }
+            }
+
+            // Buang counter session yang sudah dihapus
+            for (const sessionId of this.qrRegenerations.keys()) {
+                if (!sessionManager.hasSession(sessionId)) {
+                    this.qrRegenerations.delete(sessionId);
+                }
+            }
+        } catch (error) {
+            logger.error('Error in session watchdog:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * QR tidak discan sampai timeout, regenerasi atau tandai QR_EXPIRED
+     * @param {string} sessionId - ID session
+     * @param {number} age - Lama session di QR_GENERATED (ms)
+     */
+    async handleQRExpired(sessionId, age) {
+        const maxRegenerations = defaultConfig.qr.maxRegenerations;
+        const regenerations = this.qrRegenerations.get(sessionId) || 0;
+
+        if (regenerations < maxRegenerations) {
+            this.qrRegenerations.set(sessionId, regenerations + 1);
+
+            logWithSession('info', `QR expired, regenerating (${regenerations + 1}/${maxRegenerations})`, sessionId);
+
+            // Tetap CONNECTING selama regenerasi supaya client SSE tidak menganggap session berakhir
+            await whatsappService.closeConnection(sessionId, 'CONNECTING');
+            await whatsappService.createConnection(sessionId);
+
+            await webhookService.sendWebhook(sessionId, {
+                event: 'qr_regenerated',
+                attempt: regenerations + 1,
+                maxRegenerations,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        this.qrRegenerations.delete(sessionId);
+
+        logWithSession('warn', `QR not scanned within ${defaultConfig.qr.timeout}ms, giving up`, sessionId, {
+            age,
+            regenerations
+        });
+
+        await whatsappService.closeConnection(sessionId, 'QR_EXPIRED', { error: 'QR code expired' });
+
+        await webhookService.sendWebhook(sessionId, {
+            event: 'qr_expired',
+            timeout: defaultConfig.qr.timeout,
+            regenerations,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Session terlalu lama di CONNECTING, tandai STALLED
+     * @param {string} sessionId - ID session
+     * @param {number} age - Lama session di CONNECTING (ms)
+     */
+    async handleStalled(sessionId, age) {
+        logWithSession('warn', `Session stuck in CONNECTING for ${age}ms`, sessionId);
+
+        await whatsappService.closeConnection(sessionId, 'STALLED', { error: 'Connection stalled' });
+
+        await webhookService.sendWebhook(sessionId, {
+            event: 'session_stalled',
+            timeout: defaultConfig.session.timeout,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Singleton instance
+const sessionWatchdogService = new SessionWatchdogService();
+
+module.exports = sessionWatchdogService;
@@ -0,0 +1,236 @@
+const { UniqueConstraintError } = require('sequelize');
+
+const sessionManager = require('./sessionManager');
+const MessageTemplate = require('../models/MessageTemplate');
+const Contact = require('../models/Contact');
+const { createError } = require('../middleware/error');
+const { renderTemplate, isValidUUID, chunk } = require('../utils/helper');
+const { formatToWhatsAppId, extractPhoneFromJid } = require('../utils/phoneFormatter');
+const { logWithSession } = require('../utils/logger');
+
+// Batas detail penerima yang dikembalikan saat variabel template kurang
+const MAX_MISSING_DETAILS = 100;
+
+class TemplateService {
+
+    /**
+     * Buat template baru
+     * @param {string} sessionId - ID session
+     * @param {Object} data - { name, body, description }
+     * @returns {Promise<Object>} Summary template
+     */
+    async createTemplate(sessionId, { name, body, description = null }) {
+        try {
+            const template = await MessageTemplate.create({ sessionId, name, body, description });
+            logWithSession('info', `Message template "${name}" created`, sessionId, { templateId: template.id });
+
+            return template.getSummary();
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                throw createError.conflict(`Template "${name}" already exists`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get daftar template session
+     * @param {string} sessionId - ID session
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Object>} { templates, total }
+     */
+    async listTemplates(sessionId, { limit = 50, offset = 0 } = {}) {
+        const { rows, count } = await MessageTemplate.findAndCountAll({
+            where: { sessionId },
+            order: [['name', 'ASC']],
+            limit,
+            offset
+        });
+
+        return {
+            templates: rows.map(row => row.getSummary()),
+            total: count
+        };
+    }
+
+    /**
+     * Cari template berdasarkan ID atau nama
+     * @param {string} sessionId - ID session
+     * @param {string} reference - ID atau nama template
+     * @throws {NotFoundError}
+     */
+    async findTemplate(sessionId, reference) {
+        const where = isValidUUID(reference) ? { sessionId, id: reference } : { sessionId, name: reference };
+        const template = await MessageTemplate.findOne({ where });
+
+        if (!template) {
+            throw createError.notFound(`Template "${reference}"`);
+        }
+
+        return template;
+    }
+
+    /**
+     * Get template
+     */
+    async getTemplate(sessionId, reference) {
+        return (await this.findTemplate(sessionId, reference)).getSummary();
+    }
+
+    /**
+     * Update template
+     * @param {string} sessionId - ID session
+     * @param {string} reference - ID atau nama template
+     * @param {Object} changes - { name, body, description }
+     * @returns {Promise<Object>} Summary template
+     */
+    async updateTemplate(sessionId, reference, changes) {
+        const template = await this.findTemplate(sessionId, reference);
+
+        try {
+            await template.update(changes);
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                throw createError.conflict(`Template "${changes.name}" already exists`);
+            }
+            throw error;
+        }
+
+        logWithSession('info', `Message template "${template.name}" updated`, sessionId, { templateId: template.id });
+        return template.getSummary();
+    }
+
+    /**
+     * Hapus template
+     */
+    async deleteTemplate(sessionId, reference) {
+        const template = await this.findTemplate(sessionId, reference);
+        await template.destroy();
+
+        logWithSession('info', `Message template "${template.name}" deleted`, sessionId, { templateId: template.id });
+        return template.getSummary();
+    }
+
+    /**
+     * Bangun context template per penerima dari data kontak
+     * @param {string} sessionId - ID session
+     * @param {Array} recipients - Array nomor atau JID
+     * @returns {Promise<Map>} recipient -> context
+     */
+    async buildContexts(sessionId, recipients) {
+        const config = sessionManager.getSessionConfig(sessionId);
+        const jids = new Map(recipients.map(recipient => [
+            recipient,
+            recipient.includes('@') ? recipient : formatToWhatsAppId(recipient, config.countryCode)
+        ]));
+
+        // Dicari per chunk supaya campaign besar tidak melewati batas parameter SQLite
+        const contactsByJid = new Map();
+        for (const batch of chunk([...new Set(jids.values())], 500)) {
+            const contacts = await Contact.findAll({ where: { sessionId, jid: batch } });
+            contacts.forEach(contact => contactsByJid.set(contact.jid, contact));
+        }
+
+        const contexts = new Map();
+        for (const [recipient, jid] of jids) {
+            const contact = contactsByJid.get(jid);
+            const context = { phone: extractPhoneFromJid(jid) };
+
+            if (contact) {
+                Object.assign(context, {
+                    name: contact.getDisplayName(),
+                    pushName: contact.pushName,
+                    displayName: contact.displayName,
+                    businessCategory: contact.businessCategory,
+                    notes: contact.notes,
+                    tags: contact.tags.length > 0 ? contact.tags.join(', ') : null,
+                    customFields: contact.customFields
+                });
+            }
+
+            contexts.set(recipient, context);
+        }
+
+        return contexts;
+    }
+
+    /**
+     * Render teks template untuk setiap penerima. Gagal jika ada variabel yang kosong
+     * untuk salah satu penerima, sebelum pesan apapun dikirim.
+     * @param {string} sessionId - ID session
+     * @param {string} body - Isi template
+     * @param {Array} recipients - Array nomor atau JID
+     * @param {Object} variables - Variabel request, menimpa data kontak
+     * @param {Map} recipientVariables - Variabel per penerima (mis. kolom CSV campaign), menimpa variabel request
+     * @returns {Promise<Map>} recipient -> teks
+     * @throws {ValidationError} details: [{ to, missing }]
+     */
+    async renderForRecipients(sessionId, body, recipients, variables = {}, recipientVariables = new Map()) {
+        const contexts = await this.buildContexts(sessionId, recipients);
+        const rendered = new Map();
+        const failures = [];
+
+        for (const recipient of recipients) {
+            const base = contexts.get(recipient);
+            const own = recipientVariables.get(recipient) || {};
+            const context = {
+                ...base,
+                ...variables,
+                ...own,
+                customFields: {
+                    ...(base.customFields || {}),
+                    ...(variables.customFields || {}),
+                    ...(own.customFields || {})
+                }
+            };
+
+            const { text, missing } = renderTemplate(body, context);
+            if (missing.length > 0) {
+                failures.push({ to: recipient, missing });
+            } else {
+                rendered.set(recipient, text);
+            }
+        }
+
+        if (failures.length > 0) {
+            throw createError.validation(
+                `Missing template variables for ${failures.length} recipient(s)`,
+                failures.slice(0, MAX_MISSING_DETAILS)
+            );
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Render template tersimpan (ID atau nama) untuk setiap penerima
+     * @returns {Promise<Map>} recipient -> teks
+     */
+    async renderTemplateFor(sessionId, reference, recipients, variables = {}, recipientVariables = new Map()) {
+        const template = await this.findTemplate(sessionId, reference);
+        return this.renderForRecipients(sessionId, template.body, recipients, variables, recipientVariables);
+    }
+
+    /**
+     * Isi text (tipe text) atau caption (tipe media) dari template payload untuk setiap penerima
+     * @param {string} sessionId - ID session
+     * @param {string} type - text atau media
+     * @param {Object} payload - Payload dengan template dan variables
+     * @param {Array} recipients - Array nomor atau JID
+     * @param {Map} recipientVariables - Variabel per penerima
+     * @returns {Promise<Map>} recipient -> payload tanpa template/variables
+     * @throws {ValidationError} Jika ada variabel yang kosong
+     */
+    async renderPayload(sessionId, type, payload, recipients, recipientVariables = new Map()) {
+        const { template, variables = {}, ...rest } = payload;
+        const field = type === 'media' ? 'caption' : 'text';
+        const rendered = await this.renderTemplateFor(sessionId, template, recipients, variables, recipientVariables);
+
+        return new Map(recipients.map(recipient => [recipient, { ...rest, [field]: rendered.get(recipient) }]));
+    }
+}
+
+// Singleton instance
+const templateService = new TemplateService();
+
+module.exports = templateService;
@@ -231,7 +231,8 @@ class UtilityService {
                     status: 'healthy',
                     value: this.formatDuration(Date.now() - this.startTime)
                 },
-                sessions: this.getSessionsHealth()
+                sessions: this.getSessionsHealth(),
+                boot: this.getBootHealth()
             },
             timestamp: new Date().toISOString()
         };
@@ -249,6 +250,20 @@ class UtilityService {
         return health;
     }
 
+    /**
+     * Get progress boot session (tidak mempengaruhi status health)
+     */
+    getBootHealth() {
+        const sessionBootService = require('./sessionBootService');
+        const { status: state, ...progress } = sessionBootService.getBootProgress();
+
+        return {
+            status: 'healthy',
+            state, // idle | running | completed
+            ...progress
+        };
+    }
+
     /**
      * Get sessions health status
      */
@@ -1,9 +1,7 @@
 const {
     default: makeWASocket,
     DisconnectReason,
-    useMultiFileAuthState,
     fetchLatestBaileysVersion,
-    makeInMemoryStore,
     jidNormalizedUser,
     areJidsSameUser,
     extractMessageContent,
@@ -14,21 +12,51 @@ const {
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const qrcode = require('qrcode');
 const QRCode = require('qrcode-terminal');
 const { Boom } = require('@hapi/boom');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
 
 const sessionManager = require('./sessionManager');
 const webhookService = require('./webhookService');
+const authStateService = require('./authStateService');
+const SessionStore = require('./messageStore');
+const callService = require('./callService');
+const messageLogService = require('./messageLogService');
+const ReconnectAttempt = require('../models/ReconnectAttempt');
 const { logger, logWithSession, logWhatsappEvent } = require('../utils/logger');
 const { formatToWhatsAppId, isValidPhoneNumber, extractPhoneFromJid } = require('../utils/phoneFormatter');
 const { defaultConfig } = require('../config/default');
 
-class WhatsAppService {
+// Status session yang socketnya masih aktif bekerja, createConnection baru akan menimpanya
+const LIVE_STATES = ['CONNECTED', 'CONNECTING', 'QR_GENERATED', 'RESTART_REQUIRED'];
+
+// Event: 'qr' (sessionId, qrDataUrl), 'pairing_code' (sessionId, code), 'paired' (sessionId),
+// 'message_update' (sessionId, update) untuk status terkirim/dibaca
+class WhatsAppService extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0); // Banyak listener SSE bisa aktif bersamaan
+
         this.stores = new Map(); // Store untuk setiap session
         this.reconnectAttempts = new Map(); // Track reconnect attempts
+        this.reconnectTimers = new Map(); // Reconnect yang sudah dijadwalkan
+        this.intentionalCloses = new Set(); // Session yang socketnya sengaja ditutup (tanpa reconnect)
         this.setupGlobalErrorHandlers();
+
+        // Lepas store dari memory saat session dihapus
+        sessionManager.on('deleted', (sessionId) => {
+            const store = this.stores.get(sessionId);
+            if (store) {
+                this.stores.delete(sessionId);
+                store.close().catch(() => {});
+            }
+
+            this.cancelReconnect(sessionId);
+            this.reconnectAttempts.delete(sessionId);
+        });
     }
 
     /**
@@ -54,9 +82,12 @@ class WhatsAppService {
         try {
             logWithSession('info', 'Creating new WhatsApp connection', sessionId);
 
+            // Socket baru, flag penutupan socket lama tidak berlaku lagi
+            this.intentionalCloses.delete(sessionId);
+
             // Pastikan session sudah dibuat
             if (!sessionManager.hasSession(sessionId)) {
-                sessionManager.createSession(sessionId, customConfig);
+                await sessionManager.createSession(sessionId, customConfig);
             } else {
                 sessionManager.updateSessionConfig(sessionId, customConfig);
             }
@@ -66,39 +97,53 @@ class WhatsAppService {
 
             logWithSession('info', `Using WA v${version.join('.')}, isLatest: ${isLatest}`, sessionId);
 
-            // Setup auth state
-            const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
+            // Setup auth state sesuai provider session (file / database)
+            const config = sessionManager.getSessionConfig(sessionId);
+            const { state, saveCreds } = await authStateService.loadAuthState(sessionId, sessionPath, config.authStore);
 
-            // Setup store untuk session
-            const store = makeInMemoryStore({});
-            store.readFromFile(path.join(sessionPath, 'store.json'));
-
-            // Save store setiap 10 detik
-            setInterval(() => {
-                if (store) {
-                    store.writeToFile(path.join(sessionPath, 'store.json'));
-                }
-            }, 10000);
+            // Setup store untuk session (SQLite), store socket lama dihentikan dulu
+            const previousStore = this.stores.get(sessionId);
+            if (previousStore) {
+                await previousStore.close();
+            }
 
+            const store = new SessionStore(sessionId);
+            await store.importLegacyFile(path.join(sessionPath, 'store.json'));
             this.stores.set(sessionId, store);
 
-            // Konfigurasi socket
+            // Konfigurasi socket, opsi jaringan per session (browser, timeout, proxy)
+            const socketOptions = this.getSocketOptions(sessionId);
             const socketConfig = {
                 version,
                 auth: state,
                 printQRInTerminal: false,
                 logger: require('pino')({ level: 'silent' }), // Disable baileys logging
-                browser: ['WhatsApp API', 'Chrome', '10.15.7'],
-                defaultQueryTimeoutMs: 60000,
-                keepAliveIntervalMs: 30000,
-                markOnlineOnConnect: false,
-                syncFullHistory: false,
-                retryRequestDelayMs: 5000,
-                maxMsgRetryCount: 3,
-                connectTimeoutMs: 60000,
-                generateHighQualityLinkPreview: true
+                browser: socketOptions.browser,
+                defaultQueryTimeoutMs: socketOptions.defaultQueryTimeoutMs,
+                keepAliveIntervalMs: socketOptions.keepAliveIntervalMs,
+                markOnlineOnConnect: socketOptions.markOnlineOnConnect,
+                syncFullHistory: socketOptions.syncFullHistory,
+                retryRequestDelayMs: socketOptions.retryRequestDelayMs,
+                maxMsgRetryCount: socketOptions.maxMsgRetryCount,
+                connectTimeoutMs: socketOptions.connectTimeoutMs,
+                generateHighQualityLinkPreview: socketOptions.generateHighQualityLinkPreview,
+                // Dipakai Baileys untuk retry pesan yang gagal didekripsi penerima
+                getMessage: async (key) => {
+                    const message = await store.loadMessage(key.remoteJid, key.id);
+                    return message?.message || undefined;
+                }
             };
 
+            // Proxy per session, koneksi WebSocket dan upload/download media lewat egress yang sama
+            if (socketOptions.proxyUrl) {
+                const agent = this.createProxyAgent(socketOptions.proxyUrl);
+                socketConfig.agent = agent;
+                socketConfig.fetchAgent = agent;
+
+                const { protocol, host } = new URL(socketOptions.proxyUrl);
+                logWithSession('info', `Using proxy ${protocol}//${host}`, sessionId);
+            }
+
             const sock = makeWASocket(socketConfig);
 
             // Bind store ke socket
@@ -147,6 +192,11 @@ class WhatsAppService {
             await this.handleMessageUpdates(updates, sessionId);
         });
 
+        // Receipt per participant untuk pesan group
+        sock.ev.on('message-receipt.update', async (updates) => {
+            await messageLogService.applyParticipantReceipts(sessionId, updates);
+        });
+
         // Presence updates
         sock.ev.on('presence.update', async (update) => {
             await this.handlePresenceUpdate(update, sessionId);
@@ -180,18 +230,47 @@ class WhatsAppService {
         logWithSession('info', 'Event handlers setup completed', sessionId);
     }
 
+    /**
+     * Get opsi socket session, digabung dengan default
+     * @param {string} sessionId - ID session
+     * @returns {Object} Opsi socket
+     */
+    getSocketOptions(sessionId) {
+        const config = sessionManager.getSessionConfig(sessionId);
+        return {
+            ...defaultConfig.whatsapp.socket,
+            ...(config.socket || {})
+        };
+    }
+
+    /**
+     * Buat agent proxy dari URL (http, https, socks4, socks5)
+     * @param {string} proxyUrl - URL proxy, boleh dengan user:password
+     * @returns {Object} Agent untuk WebSocket dan request media
+     */
+    createProxyAgent(proxyUrl) {
+        const { protocol } = new URL(proxyUrl);
+
+        if (protocol.startsWith('socks')) {
+            return new SocksProxyAgent(proxyUrl);
+        }
+
+        return new HttpsProxyAgent(proxyUrl);
+    }
+
     /**
      * Handle connection updates
      */
     async handleConnectionUpdate(update, sessionId, sock) {
-        const { connection, lastDisconnect, qr, receivedPendingNotifications } = update;
+        const { connection, lastDisconnect, qr, receivedPendingNotifications, isNewLogin } = update;
 
         if (qr) {
             logWithSession('info', 'QR Code generated', sessionId);
-            sessionManager.setSessionState(sessionId, 'QR_GENERATED');
+            sessionManager.setSessionState(sessionId, 'QR_GENERATED', { qrCode: qr });
 
             // Generate QR code
-            await this.generateQRCode(qr, sessionId);
+            const qrDataUrl = await this.generateQRCode(qr, sessionId);
+            this.emit('qr', sessionId, qrDataUrl);
 
             // Send QR to webhook
             await webhookService.sendWebhook(sessionId, {
@@ -201,7 +280,10 @@ class WhatsAppService {
             });
         }
 
-        if (connection === 'close') {
+        if (connection === 'close' && this.intentionalCloses.has(sessionId)) {
+            this.intentionalCloses.delete(sessionId);
+            logWithSession('info', 'Connection closed intentionally, skipping reconnect', sessionId);
+        } else if (connection === 'close') {
             const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
             const reason = lastDisconnect?.error?.output?.statusCode;
             const reasonText = this.getDisconnectReason(reason);
@@ -213,15 +295,17 @@ class WhatsAppService {
 
             if (reason === DisconnectReason.badSession) {
                 logWithSession('error', 'Bad session - deleting session files', sessionId);
-                sessionManager.setSessionState(sessionId, 'BANNED');
+                sessionManager.setSessionState(sessionId, 'BANNED', { error: reasonText });
                 await this.deleteSessionFiles(sessionId);
             } else if (reason === DisconnectReason.restartRequired) {
-                logWithSession('info', 'Restart required', sessionId);
+                // Normal setelah scan QR / pairing, langsung buat socket baru
+                logWithSession('info', 'Restart required, reconnecting', sessionId);
                 sessionManager.setSessionState(sessionId, 'RESTART_REQUIRED');
+                await this.restartConnection(sessionId);
             } else if (shouldReconnect) {
-                await this.handleReconnection(sessionId);
+                await this.handleReconnection(sessionId, reasonText);
             } else {
-                sessionManager.setSessionState(sessionId, 'DISCONNECTED');
+                sessionManager.setSessionState(sessionId, 'LOGGED_OUT', { error: reasonText });
             }
 
             // Send disconnect webhook
@@ -234,8 +318,9 @@ class WhatsAppService {
 
         } else if (connection === 'open') {
             logWithSession('info', 'Connection opened successfully', sessionId);
-            sessionManager.setSessionState(sessionId, 'CONNECTED');
+            sessionManager.setSessionState(sessionId, 'CONNECTED', { userInfo: sock.user });
             this.reconnectAttempts.set(sessionId, 0);
+            this.recordReconnectOutcome(sessionId, 'connected');
 
             // Get user info
             const user = sock.user;
@@ -262,6 +347,11 @@ class WhatsAppService {
             sessionManager.setSessionState(sessionId, 'CONNECTING');
         }
 
+        if (isNewLogin) {
+            logWithSession('info', 'Device paired successfully', sessionId);
+            this.emit('paired', sessionId);
+        }
+
         if (receivedPendingNotifications) {
             logWithSession('info', 'Received pending notifications', sessionId);
         }
@@ -286,6 +376,9 @@ class WhatsAppService {
                 }, config.readMessageDelay);
             }
 
+            // Simpan ke tabel messages, termasuk pesan dari akun sendiri
+            await messageLogService.recordUpsert(sessionId, message);
+
             // Process message for webhook
             const processedMessage = await this.processIncomingMessage(message, sessionId);
 
@@ -332,6 +425,9 @@ class WhatsAppService {
                 update: update.update
             });
 
+            await messageLogService.applyUpdate(sessionId, update);
+            this.emit('message_update', sessionId, update);
+
             // Send to webhook
             await webhookService.sendWebhook(sessionId, {
                 event: 'message_updated',
@@ -429,49 +525,236 @@ class WhatsAppService {
                 status: call.status
             });
 
-            // Auto reject calls (default behavior)
-            if (call.status === 'offer') {
-                try {
-                    await sock.rejectCall(call.id, call.from);
-                    logWhatsappEvent('call_rejected', sessionId, { callId: call.id });
-                } catch (error) {
-                    logWithSession('error', 'Error rejecting call', sessionId, { error: error.message });
-                }
+            // Terapkan call policy session (ignore / reject / reject_reply / block)
+            let action = null;
+            try {
+                action = await callService.handleCall(sock, sessionId, call);
+            } catch (error) {
+                logWithSession('error', 'Error handling call', sessionId, { error: error.message });
             }
 
             await webhookService.sendWebhook(sessionId, {
                 event: 'call_received',
                 call: call,
+                action,
                 timestamp: new Date().toISOString()
             });
         }
     }
 
     /**
-     * Handle reconnection
+     * Request pairing code untuk login tanpa QR
+     * @param {string} sessionId - ID session
+     * @param {string} phoneNumber - Nomor telepon
+     * @returns {Promise<string>} Pairing code
+     */
+    async requestPairingCode(sessionId, phoneNumber) {
+        const sock = sessionManager.getSession(sessionId);
+        if (!sock) {
+            throw new Error('Session not connected');
+        }
+
+        const pairingCode = await sock.requestPairingCode(phoneNumber);
+        this.emit('pairing_code', sessionId, pairingCode);
+
+        return pairingCode;
+    }
+
+    /**
+     * Tutup socket tanpa memicu reconnect otomatis
+     * @param {string} sessionId - ID session
+     * @param {string} state - Status session setelah ditutup
+     * @param {Object} additionalData - Data tambahan untuk record (error, dll)
+     */
+    async closeConnection(sessionId, state, additionalData = {}) {
+        const sock = sessionManager.getSession(sessionId);
+
+        if (sock && sock.end) {
+            this.intentionalCloses.add(sessionId);
+            try {
+                await sock.end(new Error(additionalData.error || 'Connection closed'));
+            } catch (error) {
+                logWithSession('error', 'Error closing connection', sessionId, { error: error.message });
+            }
+        }
+
+        this.cancelReconnect(sessionId);
+        sessionManager.removeSession(sessionId);
+        sessionManager.setSessionState(sessionId, state, additionalData);
+    }
+
+    /**
+     * Handle reconnection dengan exponential backoff + jitter
+     * @param {string} sessionId - ID session
+     * @param {string} reason - Alasan disconnect
      */
-    async handleReconnection(sessionId) {
+    async handleReconnection(sessionId, reason = null) {
         const maxAttempts = defaultConfig.session.maxReconnectAttempts;
         const currentAttempts = this.reconnectAttempts.get(sessionId) || 0;
 
+        await this.recordReconnectOutcome(sessionId, 'failed', reason);
+
         if (currentAttempts >= maxAttempts) {
             logWithSession('error', `Max reconnection attempts reached (${maxAttempts})`, sessionId);
-            sessionManager.setSessionState(sessionId, 'BANNED');
+            sessionManager.setSessionState(sessionId, 'RECONNECT_EXHAUSTED', { error: 'Max reconnection attempts reached' });
+
+            await webhookService.sendWebhook(sessionId, {
+                event: 'reconnect_exhausted',
+                attempts: currentAttempts,
+                reason,
+                timestamp: new Date().toISOString()
+            });
             return;
         }
 
-        this.reconnectAttempts.set(sessionId, currentAttempts + 1);
+        const attempt = currentAttempts + 1;
+        this.reconnectAttempts.set(sessionId, attempt);
 
-        const delay = defaultConfig.session.reconnectInterval * (currentAttempts + 1);
-        logWithSession('info', `Reconnecting in ${delay}ms (attempt ${currentAttempts + 1}/${maxAttempts})`, sessionId);
+        const delay = this.getReconnectDelay(attempt);
+        logWithSession('info', `Reconnecting in ${delay}ms (attempt ${attempt}/${maxAttempts})`, sessionId);
+
+        await this.recordReconnectAttempt(sessionId, { attempt, trigger: 'disconnect', reason, delayMs: delay });
+        this.scheduleReconnect(sessionId, delay, reason);
+    }
+
+    /**
+     * Hitung delay reconnect: base * 2^(attempt-1), dibatasi max, dengan equal jitter
+     * @param {number} attempt - Nomor percobaan (mulai dari 1)
+     * @returns {number} Delay dalam ms
+     */
+    getReconnectDelay(attempt) {
+        const { reconnectInterval, reconnectMaxDelay } = defaultConfig.session;
+        const backoff = Math.min(reconnectMaxDelay, reconnectInterval * Math.pow(2, attempt - 1));
+
+        // Setengah tetap, setengah acak supaya session tidak reconnect bersamaan
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Jadwalkan createConnection, gagal membuat socket dihitung sebagai percobaan gagal
+     */
+    scheduleReconnect(sessionId, delay, reason = null) {
+        this.cancelReconnect(sessionId);
+
+        const timer = setTimeout(async () => {
+            this.reconnectTimers.delete(sessionId);
 
-        setTimeout(async () => {
             try {
                 await this.createConnection(sessionId);
             } catch (error) {
                 logWithSession('error', 'Reconnection failed', sessionId, { error: error.message });
+                await this.handleReconnection(sessionId, error.message || reason);
             }
         }, delay);
+
+        this.reconnectTimers.set(sessionId, timer);
+    }
+
+    /**
+     * Cek apakah session masih punya socket yang hidup (terhubung, handshake, menunggu QR atau restart).
+     * Session yang sedang menunggu backoff tidak dihitung, socket lamanya sudah tertutup.
+     * @param {string} sessionId - ID session
+     * @returns {boolean}
+     */
+    hasLiveConnection(sessionId) {
+        return !this.reconnectTimers.has(sessionId)
+            && !!sessionManager.getSession(sessionId)
+            && LIVE_STATES.includes(sessionManager.getSessionState(sessionId));
+    }
+
+    /**
+     * Cek apakah session punya socket lama atau reconnect terjadwal yang harus ditutup sebelum connect ulang
+     * @param {string} sessionId - ID session
+     * @returns {boolean}
+     */
+    hasStaleConnection(sessionId) {
+        return this.reconnectTimers.has(sessionId) || !!sessionManager.getSession(sessionId);
+    }
+
+    /**
+     * Batalkan reconnect yang sudah dijadwalkan
+     */
+    cancelReconnect(sessionId) {
+        const timer = this.reconnectTimers.get(sessionId);
+        if (timer) {
+            clearTimeout(timer);
+            this.reconnectTimers.delete(sessionId);
+        }
+    }
+
+    /**
+     * Reconnect langsung setelah RESTART_REQUIRED, tidak dihitung dalam backoff
+     */
+    async restartConnection(sessionId) {
+        await this.recordReconnectAttempt(sessionId, {
+            attempt: this.reconnectAttempts.get(sessionId) || 0,
+            trigger: 'restart_required',
+            reason: 'Restart Required',
+            delayMs: 0
+        });
+
+        try {
+            await this.createConnection(sessionId);
+        } catch (error) {
+            logWithSession('error', 'Restart after RESTART_REQUIRED failed', sessionId, { error: error.message });
+            await this.handleReconnection(sessionId, error.message);
+        }
+    }
+
+    /**
+     * Percobaan lambat untuk session RECONNECT_EXHAUSTED (dipanggil circuit breaker di watchdog).
+     * Counter tidak direset, jika gagal session langsung kembali ke RECONNECT_EXHAUSTED.
+     * @param {string} sessionId - ID session
+     */
+    async retryExhaustedSession(sessionId) {
+        logWithSession('info', 'Circuit breaker retrying exhausted session', sessionId);
+
+        await this.recordReconnectAttempt(sessionId, {
+            attempt: this.reconnectAttempts.get(sessionId) || 0,
+            trigger: 'circuit_breaker',
+            reason: 'Reconnect exhausted',
+            delayMs: 0
+        });
+
+        try {
+            await this.createConnection(sessionId);
+        } catch (error) {
+            logWithSession('error', 'Circuit breaker retry failed', sessionId, { error: error.message });
+            await this.handleReconnection(sessionId, error.message);
+        }
+    }
+
+    /**
+     * Catat percobaan reconnect
+     */
+    async recordReconnectAttempt(sessionId, data) {
+        try {
+            await ReconnectAttempt.create({ sessionId, ...data });
+        } catch (error) {
+            logWithSession('error', 'Error recording reconnect attempt', sessionId, { error: error.message });
+        }
+    }
+
+    /**
+     * Tandai percobaan reconnect yang masih pending sebagai connected / failed
+     */
+    async recordReconnectOutcome(sessionId, outcome, error = null) {
+        try {
+            await ReconnectAttempt.resolvePending(sessionId, outcome, error);
+        } catch (err) {
+            logWithSession('error', 'Error updating reconnect attempt', sessionId, { error: err.message });
+        }
+    }
+
+    /**
+     * Get riwayat percobaan reconnect
+     * @param {string} sessionId - ID session
+     * @param {number} limit - Jumlah record
+     * @returns {Promise<Array>} Percobaan terbaru lebih dulu
+     */
+    async getReconnectHistory(sessionId, limit = 10) {
+        const attempts = await ReconnectAttempt.findRecent(sessionId, limit);
+        return attempts.map(attempt => attempt.getSummary());
     }
 
     /**
@@ -522,6 +805,9 @@ class WhatsAppService {
     async deleteSessionFiles(sessionId) {
         try {
             const sessionPath = sessionManager.getSessionPath(sessionId);
+            await authStateService.clearAuthState(sessionId, sessionPath);
+            await SessionStore.clear(sessionId);
+
             if (fs.existsSync(sessionPath)) {
                 fs.rmSync(sessionPath, { recursive: true, force: true });
                 logWithSession('info', 'Session files deleted', sessionId);
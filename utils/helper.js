@@ -338,6 +338,39 @@ const escapeHtml = (str) => {
     return str.replace(/[&<>"']/g, match => htmlEntities[match]);
 };
 
+/**
+ * Placeholder template, contoh {{name}} atau {{customFields.orderId}}
+ */
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Daftar variabel unik yang dipakai template
+ */
+const extractTemplateVariables = (body) => {
+    return unique([...body.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]));
+};
+
+/**
+ * Render template dengan context, variabel yang kosong dikembalikan di missing
+ * @returns {Object} { text, missing }
+ */
+const renderTemplate = (body, context) => {
+    const missing = [];
+
+    const text = body.replace(TEMPLATE_PLACEHOLDER, (placeholder, path) => {
+        const value = get(context, path);
+
+        if (value === undefined || value === null || typeof value === 'object') {
+            missing.push(path);
+            return placeholder;
+        }
+
+        return String(value);
+    });
+
+    return { text, missing: unique(missing) };
+};
+
 /**
  * Parse JSON safely
  */
@@ -671,6 +704,8 @@ module.exports = {
     snakeCase,
     truncate,
     escapeHtml,
+    extractTemplateVariables,
+    renderTemplate,
 
     // JSON utilities
     parseJSON,
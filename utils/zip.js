@@ -0,0 +1,232 @@
+const zlib = require('zlib');
+
+// Batas format ZIP tanpa ekstensi ZIP64
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+// Flag bit 3: CRC dan ukuran ditulis setelah data, bit 11: nama file UTF-8
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 (lanjutkan dari nilai sebelumnya untuk data bertahap)
+ */
+const crc32 = (buffer, previous = 0) => {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Waktu dan tanggal format MS-DOS
+ */
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Penulis ZIP streaming ke Writable (mis. Express response) tanpa menampung arsip di memory.
+ * File dengan isi lengkap disimpan tanpa kompresi (media sudah terkompresi),
+ * entry bertahap dikompresi deflate dengan data descriptor.
+ */
+class ZipWriter {
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Tulis ke output dengan menghormati backpressure
+     */
+    async write(buffer) {
+        this.offset += buffer.length;
+        if (this.offset > MAX_SIZE) {
+            throw new Error('Zip archive exceeds 4 GB');
+        }
+
+        if (!this.output.write(buffer)) {
+            await new Promise((resolve, reject) => {
+                const onDrain = () => { cleanup(); resolve(); };
+                const onClose = () => { cleanup(); reject(new Error('Output closed')); };
+                const cleanup = () => {
+                    this.output.off('drain', onDrain);
+                    this.output.off('close', onClose);
+                };
+                this.output.on('drain', onDrain);
+                this.output.on('close', onClose);
+            });
+        }
+    }
+
+    /**
+     * Nama entry unik, file dengan nama sama diberi akhiran (1), (2), ...
+     */
+    uniqueName(name) {
+        let candidate = name;
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+
+        for (let i = 1; this.names.has(candidate); i++) {
+            candidate = `${base} (${i})${extension}`;
+        }
+
+        this.names.add(candidate);
+        return candidate;
+    }
+
+    async writeLocalHeader(entry) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error(`Zip archive exceeds ${MAX_ENTRIES} entries`);
+        }
+
+        const name = Buffer.from(entry.name, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(entry.flags, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(name.length, 26);
+
+        entry.offset = this.offset;
+        this.entries.push(entry);
+        await this.write(Buffer.concat([header, name]));
+    }
+
+    /**
+     * Tambah file dengan isi lengkap (tanpa kompresi)
+     * @param {string} name - Nama file di arsip
+     * @param {Buffer} buffer - Isi file
+     * @param {Date} modifiedAt - Waktu file
+     * @returns {Promise<string>} Nama yang dipakai (unik)
+     */
+    async addBuffer(name, buffer, modifiedAt = new Date()) {
+        const entry = {
+            name: this.uniqueName(name),
+            flags: FLAG_UTF8,
+            method: 0,
+            ...dosDateTime(modifiedAt),
+            crc: crc32(buffer),
+            compressedSize: buffer.length,
+            size: buffer.length
+        };
+
+        await this.writeLocalHeader(entry);
+        await this.write(buffer);
+        return entry.name;
+    }
+
+    /**
+     * Mulai entry yang isinya ditulis bertahap (deflate)
+     * @param {string} name - Nama file di arsip
+     * @returns {Promise<Object>} { write(chunk), end() }
+     */
+    async addStream(name, modifiedAt = new Date()) {
+        const entry = {
+            name: this.uniqueName(name),
+            flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+            method: 8,
+            ...dosDateTime(modifiedAt),
+            crc: 0,
+            compressedSize: 0,
+            size: 0
+        };
+
+        await this.writeLocalHeader(entry);
+
+        const deflate = zlib.createDeflateRaw();
+        const pending = [];
+        deflate.on('data', chunk => pending.push(chunk));
+
+        const flushCompressed = async () => {
+            while (pending.length > 0) {
+                const chunk = pending.shift();
+                entry.compressedSize += chunk.length;
+                await this.write(chunk);
+            }
+        };
+
+        return {
+            write: async (chunk) => {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                entry.crc = crc32(buffer, entry.crc);
+                entry.size += buffer.length;
+                await new Promise(resolve => deflate.write(buffer, resolve));
+                await flushCompressed();
+            },
+            end: async () => {
+                const ended = new Promise(resolve => deflate.once('end', resolve));
+                deflate.end();
+                await ended;
+                await flushCompressed();
+
+                if (entry.size > MAX_SIZE) {
+                    throw new Error(`Zip entry ${entry.name} exceeds 4 GB`);
+                }
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await this.write(descriptor);
+            }
+        };
+    }
+
+    /**
+     * Tulis central directory, arsip selesai setelah ini
+     */
+    async finish() {
+        const start = this.offset;
+
+        for (const entry of this.entries) {
+            const name = Buffer.from(entry.name, 'utf8');
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([header, name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+    }
+}
+
+module.exports = {
+    ZipWriter,
+    crc32
+};